@@ -1,9 +1,10 @@
 const mongoose = require("mongoose");
+const { config } = require("./index");
 
 const connectDB = async (retries = 5, delay = 5000) => {
   for (let i = 0; i < retries; i++) {
     try {
-      const conn = await mongoose.connect(process.env.MONGODB_URI, {
+      const conn = await mongoose.connect(config.database.uri, {
         // Connection options for better reliability
         maxPoolSize: 10, // Maintain up to 10 socket connections
         serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
@@ -45,16 +46,4 @@ const connectDB = async (retries = 5, delay = 5000) => {
   }
 };
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  try {
-    await mongoose.connection.close();
-    console.log("MongoDB connection closed through app termination");
-    process.exit(0);
-  } catch (error) {
-    console.error("Error during database disconnection:", error);
-    process.exit(1);
-  }
-});
-
 module.exports = connectDB;
@@ -0,0 +1,414 @@
+const dotenv = require("dotenv");
+
+/**
+ * Application configuration
+ * Every setting the backend reads from the environment is declared here,
+ * with its type and default. The environment (and backend/.env) is read
+ * once, when this module is first required; missing or invalid values are
+ * reported together and the process exits before anything starts.
+ *
+ * Modules read settings from `config` instead of `process.env`. The admin
+ * endpoint GET /api/admin/config shows the values with secrets masked.
+ */
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per missing or invalid setting
+   */
+  constructor(problems) {
+    super(
+      [
+        "Invalid configuration:",
+        ...problems.map((problem) => `  - ${problem}`),
+        "Set these in backend/.env (see backend/.env.example).",
+      ].join("\n")
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Setting definitions. Each parser turns the raw string into a value or
+// throws a message ending "..., got <raw>".
+
+const integer = (env, defaultValue, { min = 0, max = Infinity } = {}) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      const range =
+        max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`;
+      throw new Error(`must be an integer ${range}`);
+    }
+    return value;
+  },
+});
+
+const boolean = (env, defaultValue) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => {
+    if (!["true", "false"].includes(raw.toLowerCase())) {
+      throw new Error("must be true or false");
+    }
+    return raw.toLowerCase() === "true";
+  },
+});
+
+const string = (env, defaultValue = null, options = {}) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => raw,
+  ...options,
+});
+
+const oneOf = (env, values, defaultValue, options = {}) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => {
+    if (!values.includes(raw)) {
+      throw new Error(`must be one of ${values.join(", ")}`);
+    }
+    return raw;
+  },
+  ...options,
+});
+
+const url = (env, defaultValue = null, options = {}) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => {
+    try {
+      new URL(raw);
+    } catch {
+      throw new Error("must be a URL");
+    }
+    return raw;
+  },
+  ...options,
+});
+
+const list = (env, defaultValue = [], { values = null } = {}) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => {
+    const items = raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    const unknown = values && items.filter((item) => !values.includes(item));
+    if (unknown && unknown.length > 0) {
+      throw new Error(`may only contain ${values.join(", ")}`);
+    }
+    return items;
+  },
+});
+
+const json = (env, defaultValue, check) => ({
+  env,
+  default: defaultValue,
+  parse: (raw) => {
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      throw new Error("must be valid JSON");
+    }
+    const problem = check(value);
+    if (problem) {
+      throw new Error(`must be ${problem}`);
+    }
+    return value;
+  },
+});
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+const isRegExpSource = (source) => {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const PROVIDERS = ["openrouter", "openai-compatible", "mock"];
+
+/**
+ * Whether the mock provider may serve requests: always outside production,
+ * and in production only when MOCK_LLM_ENABLED=true
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {boolean}
+ */
+const isMockEnabled = (config) =>
+  config.env !== "production" || config.mock.enabled;
+
+const SCHEMA = {
+  env: oneOf("NODE_ENV", ["development", "production", "test"], "development"),
+  server: {
+    port: integer("PORT", 5000, { min: 1, max: 65535 }),
+    frontendUrl: url("FRONTEND_URL", "http://localhost:5173"),
+    siteUrl: url("SITE_URL", "http://localhost:3000"),
+    bodyLimit: string("BODY_LIMIT", "10mb", {
+      parse: (raw) => {
+        if (!/^\d+(b|kb|mb)$/i.test(raw)) {
+          throw new Error("must be a size such as 500kb or 10mb");
+        }
+        return raw.toLowerCase();
+      },
+    }),
+    requestTimeoutMs: integer("REQUEST_TIMEOUT_MS", 30000, { min: 1 }),
+    shutdownTimeoutMs: integer("SHUTDOWN_TIMEOUT_MS", 10000, { min: 1 }),
+  },
+  database: {
+    uri: string("MONGODB_URI", null, { required: true, secret: "url" }),
+    saveTimeoutMs: integer("DB_SAVE_TIMEOUT_MS", 10000, { min: 1 }),
+  },
+  ai: {
+    provider: oneOf("LLM_PROVIDER", PROVIDERS, "openrouter", {
+      check: (config) =>
+        config.ai.provider === "mock" && !isMockEnabled(config)
+          ? "cannot be mock in production unless MOCK_LLM_ENABLED=true"
+          : null,
+    }),
+    requestTimeoutMs: integer("AI_REQUEST_TIMEOUT_MS", 25000, { min: 1 }),
+    streamIdleTimeoutMs: integer("AI_STREAM_IDLE_TIMEOUT_MS", 25000, {
+      min: 1,
+    }),
+    socketTimeoutMs: integer("AI_SOCKET_TIMEOUT_MS", 30000, { min: 1 }),
+    modelPricing: json("MODEL_PRICING", {}, (value) =>
+      isPlainObject(value) ? null : "an object keyed by model"
+    ),
+  },
+  openRouter: {
+    apiKey: string("OPENROUTER_API_KEY", null, {
+      secret: true,
+      requiredWhen: (config) => config.ai.provider === "openrouter",
+    }),
+    maxRetries: integer("OPENROUTER_MAX_RETRIES", 2),
+    retryBaseDelayMs: integer("OPENROUTER_RETRY_BASE_DELAY_MS", 500),
+    retryMaxDelayMs: integer("OPENROUTER_RETRY_MAX_DELAY_MS", 8000),
+    fallbackModels: list("OPENROUTER_FALLBACK_MODELS"),
+  },
+  openAICompatible: {
+    baseUrl: url("OPENAI_COMPATIBLE_BASE_URL", null, {
+      requiredWhen: (config) => config.ai.provider === "openai-compatible",
+    }),
+    apiKey: string("OPENAI_COMPATIBLE_API_KEY", null, { secret: true }),
+    defaultModel: string("OPENAI_COMPATIBLE_DEFAULT_MODEL", null, {
+      requiredWhen: (config) =>
+        config.ai.provider === "openai-compatible" &&
+        config.openAICompatible.models.length === 0,
+    }),
+    models: list("OPENAI_COMPATIBLE_MODELS"),
+  },
+  mock: {
+    // The mock is always available outside production
+    enabled: boolean("MOCK_LLM_ENABLED", false),
+    responses: json("MOCK_LLM_RESPONSES", [], (value) =>
+      isStringArray(value) ? null : "a JSON array of strings"
+    ),
+    latencyMs: integer("MOCK_LLM_LATENCY_MS", 0),
+    failure: oneOf(
+      "MOCK_LLM_FAILURE",
+      ["401", "429", "500", "malformed", "unreachable", "timeout"],
+      null
+    ),
+    timeoutMs: integer("MOCK_LLM_TIMEOUT_MS", 30000, { min: 1 }),
+  },
+  cache: {
+    mode: oneOf("RESPONSE_CACHE", ["off", "memory", "mongo"], "memory"),
+    ttlSeconds: integer("RESPONSE_CACHE_TTL_SECONDS", 3600, { min: 1 }),
+    maxEntries: integer("RESPONSE_CACHE_MAX_ENTRIES", 500, { min: 1 }),
+  },
+  rateLimit: {
+    windowMs: integer("RATE_LIMIT_WINDOW_MS", 60000, { min: 1 }),
+    aiMax: integer("RATE_LIMIT_AI_MAX", 30),
+    readMax: integer("RATE_LIMIT_READ_MAX", 120),
+    writeMax: integer("RATE_LIMIT_WRITE_MAX", 60),
+    store: oneOf("RATE_LIMIT_STORE", ["memory", "mongo"], "memory"),
+    maxKeys: integer("RATE_LIMIT_MAX_KEYS", 10000, { min: 1 }),
+  },
+  admin: {
+    token: string("ADMIN_TOKEN", null, { secret: true }),
+  },
+  logging: {
+    level: oneOf("LOG_LEVEL", ["error", "warn", "info", "debug"], null),
+    dir: string("LOG_DIR", null),
+    rotation: oneOf("LOG_ROTATION", ["daily", "size"], "daily"),
+    maxSizeMb: integer("LOG_MAX_SIZE_MB", 10, { min: 1 }),
+    maxFiles: integer("LOG_MAX_FILES", 14),
+    compress: boolean("LOG_COMPRESS", false),
+    flushIntervalMs: integer("LOG_FLUSH_INTERVAL_MS", 1000, { min: 1 }),
+    content: oneOf("LOG_CONTENT", ["hash", "full"], "hash"),
+    redactPaths: list("LOG_REDACT_PATHS"),
+    redactDetectors: list("LOG_REDACT_DETECTORS", null, {
+      values: ["apiKey", "bearer", "jwt", "email", "none"],
+    }),
+    redactPatterns: json("LOG_REDACT_PATTERNS", [], (value) =>
+      isStringArray(value) && value.every(isRegExpSource)
+        ? null
+        : "a JSON array of regular expressions"
+    ),
+  },
+  health: {
+    required: list("HEALTH_REQUIRED", ["database", "provider"], {
+      values: ["database", "provider"],
+    }),
+    providerPing: boolean("HEALTH_PROVIDER_PING", false),
+    pingTimeoutMs: integer("HEALTH_PING_TIMEOUT_MS", 3000, { min: 1 }),
+    pingCacheMs: integer("HEALTH_PING_CACHE_MS", 30000),
+  },
+};
+
+const isSetting = (node) => typeof node.parse === "function";
+
+/**
+ * Call `visit(setting, path)` for every setting in a schema
+ */
+const forEachSetting = (schema, visit, path = []) => {
+  for (const [key, node] of Object.entries(schema)) {
+    if (isSetting(node)) {
+      visit(node, [...path, key]);
+    } else {
+      forEachSetting(node, visit, [...path, key]);
+    }
+  }
+};
+
+const getPath = (object, path) =>
+  path.reduce((value, key) => value && value[key], object);
+
+const setPath = (object, path, value) => {
+  const parent = path
+    .slice(0, -1)
+    .reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[path[path.length - 1]] = value;
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === "object") {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+};
+
+/**
+ * Read, type-check and default every setting
+ * @param {Object} env - Environment variables, e.g. process.env
+ * @returns {Object} Frozen configuration
+ * @throws {ConfigError} Listing every missing or invalid setting
+ */
+const loadConfig = (env = process.env) => {
+  const config = {};
+  const problems = [];
+
+  forEachSetting(SCHEMA, (setting, path) => {
+    // Empty values (e.g. "KEY=") count as unset
+    const raw = env[setting.env]?.trim();
+
+    if (!raw) {
+      setPath(config, path, setting.default);
+      return;
+    }
+
+    try {
+      setPath(config, path, setting.parse(raw));
+    } catch (error) {
+      const shown = setting.secret ? "" : `, got "${raw}"`;
+      problems.push(`${setting.env} ${error.message}${shown}`);
+      setPath(config, path, setting.default);
+    }
+  });
+
+  // Requirements and checks may depend on other settings, so run them once
+  // all are read
+  forEachSetting(SCHEMA, (setting, path) => {
+    const isRequired =
+      setting.required ||
+      (setting.requiredWhen && setting.requiredWhen(config));
+
+    if (isRequired && getPath(config, path) === null) {
+      problems.push(`${setting.env} is required`);
+    }
+
+    const problem = setting.check && setting.check(config);
+    if (problem) {
+      problems.push(`${setting.env} ${problem}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze(config);
+};
+
+/**
+ * Hide credentials in a connection string, keeping the host visible
+ */
+const redactUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    if (parsed.password) {
+      parsed.password = "****";
+    }
+    return parsed.toString();
+  } catch {
+    return "[REDACTED]";
+  }
+};
+
+/**
+ * Copy of the configuration that is safe to show: secrets are replaced
+ * with "[REDACTED]" (or lose their password, for URLs), unset ones stay null
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object}
+ */
+const getRedactedConfig = (config) => {
+  const redacted = {};
+
+  forEachSetting(SCHEMA, (setting, path) => {
+    let value = getPath(config, path);
+
+    if (setting.secret && value !== null) {
+      value = setting.secret === "url" ? redactUrl(value) : "[REDACTED]";
+    }
+
+    setPath(redacted, path, value);
+  });
+
+  return redacted;
+};
+
+dotenv.config();
+
+let config;
+try {
+  config = loadConfig(process.env);
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+
+  // Nothing else is set up yet, logger included
+  console.error(error.message);
+  process.exit(1);
+}
+
+module.exports = {
+  config,
+  loadConfig,
+  getRedactedConfig,
+  isMockEnabled,
+  ConfigError,
+};
@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+
+/**
+ * Admin authentication middleware
+ * Admin endpoints require `Authorization: Bearer <ADMIN_TOKEN>`; they are
+ * disabled entirely while ADMIN_TOKEN is unset.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = config.admin.token;
+
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: "Admin endpoints are disabled. Set ADMIN_TOKEN to enable them",
+        code: "ADMIN_DISABLED",
+      },
+    });
+  }
+
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+  // Compare digests so the check takes the same time for any token
+  const isValid = crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(token).digest(),
+    crypto.createHash("sha256").update(adminToken).digest()
+  );
+
+  if (!isValid) {
+    logger.warn("Admin authentication failed", {
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: "Invalid or missing admin token",
+        code: "ADMIN_AUTH_REQUIRED",
+      },
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireAdmin };
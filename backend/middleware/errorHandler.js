@@ -1,4 +1,8 @@
+const mongoose = require("mongoose");
+const { config } = require("../config");
 const logger = require("../utils/logger");
+const { AppError, ValidationError } = require("../utils/errors");
+const { toDatabaseError } = require("../models/plugins/typedErrors");
 
 /**
  * Enhanced error handling middleware
@@ -12,25 +16,23 @@ const validateRequest = (requiredFields = []) => {
     try {
       // Check content type for POST requests
       if (req.method === "POST" && !req.is("application/json")) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: "Content-Type must be application/json",
-            code: "INVALID_CONTENT_TYPE",
-          },
-        });
+        return next(
+          new ValidationError(
+            "Content-Type must be application/json",
+            "INVALID_CONTENT_TYPE"
+          )
+        );
       }
 
       // Validate required fields
       for (const field of requiredFields) {
         if (!(field in req.body)) {
-          return res.status(400).json({
-            success: false,
-            error: {
-              message: `Missing required field: ${field}`,
-              code: "MISSING_REQUIRED_FIELD",
-            },
-          });
+          return next(
+            new ValidationError(
+              `Missing required field: ${field}`,
+              "MISSING_REQUIRED_FIELD"
+            )
+          );
         }
       }
 
@@ -43,69 +45,27 @@ const validateRequest = (requiredFields = []) => {
 };
 
 /**
- * Rate limiting middleware
+ * Validate an :id route parameter as a MongoDB ObjectId
  */
-const rateLimiter = (() => {
-  const requests = new Map();
-  const WINDOW_SIZE = 60 * 1000; // 1 minute
-  const MAX_REQUESTS = 30; // 30 requests per minute
-
+const validateObjectId = (resourceName, paramName = "id") => {
   return (req, res, next) => {
-    try {
-      const ip = req.ip || req.connection.remoteAddress;
-      const now = Date.now();
-      const windowStart = now - WINDOW_SIZE;
-
-      // Get existing requests for this IP
-      if (!requests.has(ip)) {
-        requests.set(ip, []);
-      }
-
-      const ipRequests = requests.get(ip);
-
-      // Remove old requests outside the window
-      const recentRequests = ipRequests.filter(
-        (timestamp) => timestamp > windowStart
+    if (!mongoose.isValidObjectId(req.params[paramName])) {
+      return next(
+        new ValidationError(`Invalid ${resourceName} ID`, "INVALID_ID")
       );
-      requests.set(ip, recentRequests);
-
-      // Check if limit exceeded
-      if (recentRequests.length >= MAX_REQUESTS) {
-        const resetTime = Math.ceil(
-          (recentRequests[0] + WINDOW_SIZE - now) / 1000
-        );
-
-        logger.warn("Rate limit exceeded", {
-          ip,
-          requestCount: recentRequests.length,
-          resetTime,
-        });
-
-        return res.status(429).json({
-          success: false,
-          error: {
-            message: `Too many requests. Try again in ${resetTime} seconds`,
-            code: "RATE_LIMIT_EXCEEDED",
-          },
-        });
-      }
-
-      // Add current request
-      recentRequests.push(now);
-      requests.set(ip, recentRequests);
-
-      next();
-    } catch (error) {
-      logger.logError(error, req, { middleware: "rateLimiter" });
-      next(error);
     }
+
+    next();
   };
-})();
+};
 
 /**
  * Request timeout middleware
+ *
+ * Long-lived responses such as SSE streams call `res.clearRequestTimeout()`
+ * once they take over their own idle timeout handling.
  */
-const requestTimeout = (timeoutMs = 30000) => {
+const requestTimeout = (timeoutMs = config.server.requestTimeoutMs) => {
   return (req, res, next) => {
     const timeout = setTimeout(() => {
       if (!res.headersSent) {
@@ -125,92 +85,102 @@ const requestTimeout = (timeoutMs = 30000) => {
       }
     }, timeoutMs);
 
-    // Clear timeout when response is sent
+    res.clearRequestTimeout = () => {
+      clearTimeout(timeout);
+    };
+
+    // Clear timeout when response is sent or the client goes away
     res.on("finish", () => {
       clearTimeout(timeout);
     });
+    res.on("close", () => {
+      clearTimeout(timeout);
+    });
 
     next();
   };
 };
 
 /**
- * Enhanced global error handler
+ * Build the HTTP status and body for an error
+ * Application errors (utils/errors) carry their own status and code; raw
+ * Mongoose and driver errors are translated like the models translate them.
+ * @param {Error} err - Error thrown by a route, model or service
+ * @returns {{ status: number, body: Object }}
  */
-const globalErrorHandler = (err, req, res, next) => {
-  // Log the error
-  logger.logError(err, req, {
-    body: req.body,
-    params: req.params,
-    query: req.query,
-  });
+const toErrorResponse = (err) => {
+  // Malformed JSON request bodies, from express.json()
+  if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: { message: "Invalid JSON format", code: "JSON_PARSE_ERROR" },
+      },
+    };
+  }
 
-  // Don't send error response if headers already sent
-  if (res.headersSent) {
-    return next(err);
+  const error =
+    err instanceof mongoose.Error || err instanceof mongoose.mongo.MongoError
+      ? toDatabaseError(err)
+      : err;
+
+  if (!(error instanceof AppError)) {
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: { message: "Internal server error", code: "INTERNAL_ERROR" },
+      },
+    };
   }
 
-  // Default error response
-  const errorResponse = {
-    success: false,
-    error: {
-      message: "Internal server error",
-      code: "INTERNAL_ERROR",
+  return {
+    status: error.status,
+    body: {
+      success: false,
+      error: {
+        message: error.publicMessage,
+        code: error.code,
+        details: config.env === "development" ? error.details : undefined,
+      },
     },
   };
+};
 
-  // Handle specific error types
-  if (err.name === "ValidationError") {
-    errorResponse.error.message = "Validation failed";
-    errorResponse.error.code = "VALIDATION_ERROR";
-    if (process.env.NODE_ENV === "development") {
-      errorResponse.error.details = err.message;
-    }
-    return res.status(400).json(errorResponse);
-  }
-
-  if (err.name === "CastError") {
-    errorResponse.error.message = "Invalid data format";
-    errorResponse.error.code = "CAST_ERROR";
-    return res.status(400).json(errorResponse);
-  }
-
-  // Handle JSON parsing errors
-  if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
-    errorResponse.error.message = "Invalid JSON format";
-    errorResponse.error.code = "JSON_PARSE_ERROR";
-    return res.status(400).json(errorResponse);
-  }
-
-  // Handle MongoDB connection errors
-  if (
-    err.name === "MongoNetworkError" ||
-    err.name === "MongooseError" ||
-    err.message.includes("buffering timed out") ||
-    err.message.includes("connection") ||
-    err.message.includes("ECONNREFUSED")
-  ) {
-    errorResponse.error.message = "Database temporarily unavailable";
-    errorResponse.error.code = "DATABASE_UNAVAILABLE";
-    return res.status(503).json(errorResponse);
-  }
-
-  // Handle duplicate key errors
-  if (err.code === 11000) {
-    errorResponse.error.message = "Duplicate entry detected";
-    errorResponse.error.code = "DUPLICATE_ENTRY";
-    return res.status(409).json(errorResponse);
+/**
+ * Global error handler
+ * Routes let errors propagate here; this is the only place they are turned
+ * into HTTP responses.
+ */
+const globalErrorHandler = (err, req, res, next) => {
+  const { status, body } = toErrorResponse(err);
+
+  // Client errors are expected; only server errors get a stack trace
+  if (status >= 500) {
+    logger.logError(err, req, {
+      code: body.error.code,
+      body: req.body,
+      params: req.params,
+      query: req.query,
+    });
+  } else {
+    logger.warn("Request rejected", {
+      method: req.method,
+      url: req.url,
+      status,
+      code: body.error.code,
+      error: err.message,
+      ip: req.ip,
+    });
   }
 
-  // Handle custom application errors
-  if (err.statusCode && err.code) {
-    errorResponse.error.message = err.message;
-    errorResponse.error.code = err.code;
-    return res.status(err.statusCode).json(errorResponse);
+  // Don't send error response if headers already sent
+  if (res.headersSent) {
+    return next(err);
   }
 
-  // Default to 500 server error
-  res.status(500).json(errorResponse);
+  res.status(status).json(body);
 };
 
 /**
@@ -234,26 +204,40 @@ const notFoundHandler = (req, res) => {
 
 /**
  * Graceful shutdown handler
+ * Stops accepting requests, closes the database connection, then writes
+ * buffered log lines before the process exits.
  */
 const gracefulShutdown = (server) => {
+  const exit = (code) => logger.flush().finally(() => process.exit(code));
+
   const shutdown = (signal) => {
     logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
-    server.close((err) => {
+    server.close(async (err) => {
       if (err) {
         logger.error("Error during server shutdown", { error: err.message });
-        process.exit(1);
+      } else {
+        logger.info("Server closed successfully");
+      }
+
+      try {
+        await mongoose.connection.close();
+        logger.info("MongoDB connection closed");
+      } catch (error) {
+        logger.error("Error during database disconnection", {
+          error: error.message,
+        });
+        return exit(1);
       }
 
-      logger.info("Server closed successfully");
-      process.exit(0);
+      exit(err ? 1 : 0);
     });
 
-    // Force shutdown after 10 seconds
+    // Force shutdown if connections do not close in time
     setTimeout(() => {
       logger.error("Forced shutdown after timeout");
       process.exit(1);
-    }, 10000);
+    }, config.server.shutdownTimeoutMs);
   };
 
   process.on("SIGTERM", () => shutdown("SIGTERM"));
@@ -262,8 +246,9 @@ const gracefulShutdown = (server) => {
 
 module.exports = {
   validateRequest,
-  rateLimiter,
+  validateObjectId,
   requestTimeout,
+  toErrorResponse,
   globalErrorHandler,
   notFoundHandler,
   gracefulShutdown,
@@ -0,0 +1,158 @@
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const { recordRateLimitRejection } = require("../services/metrics");
+const {
+  MemoryRateLimitStore,
+  MongoRateLimitStore,
+} = require("../services/rateLimitStore");
+
+/**
+ * Rate limiting middleware
+ * Each request counts against the first policy that matches it, per client
+ * IP. Limits use a sliding window: requests in the current window plus the
+ * previous window's count, weighted by how much of it still overlaps the
+ * last `windowMs`. Responses carry RateLimit-* headers; rejected requests
+ * get a 429 with Retry-After.
+ *
+ * Configuration:
+ *   RATE_LIMIT_WINDOW_MS - Window length (default 60000)
+ *   RATE_LIMIT_AI_MAX    - POST /api/ask-ai requests per window (default 30)
+ *   RATE_LIMIT_WRITE_MAX - Other non-GET requests per window (default 60)
+ *   RATE_LIMIT_READ_MAX  - GET requests per window (default 120)
+ *   RATE_LIMIT_STORE     - memory (default) or mongo, to share the limits
+ *                          between server instances
+ *   RATE_LIMIT_MAX_KEYS  - Clients tracked in memory (default 10000)
+ * A max of 0 turns the policy off.
+ */
+
+/**
+ * Policies checked in order; paths are relative to the /api mount
+ */
+const getDefaultPolicies = () => [
+  {
+    name: "ai",
+    max: config.rateLimit.aiMax,
+    matches: (req) => req.method === "POST" && req.path === "/ask-ai",
+  },
+  {
+    name: "read",
+    max: config.rateLimit.readMax,
+    matches: (req) => req.method === "GET" || req.method === "HEAD",
+  },
+  {
+    name: "write",
+    max: config.rateLimit.writeMax,
+    matches: () => true,
+  },
+];
+
+/**
+ * Create the store named by RATE_LIMIT_STORE
+ */
+const createDefaultStore = () => {
+  const { store, maxKeys } = config.rateLimit;
+
+  return store === "mongo"
+    ? new MongoRateLimitStore({ maxKeys })
+    : new MemoryRateLimitStore({ maxKeys });
+};
+
+/**
+ * Time until one more request fits under `max`, given the counts that
+ * already include the rejected request
+ */
+const getRetryDelay = ({ current, previous }, max, windowMs, elapsed) => {
+  // Room in this window appears as the previous window slides out
+  if (current < max && previous > 0) {
+    return Math.max(
+      0,
+      Math.ceil(windowMs * (1 - (max - current - 1) / previous) - elapsed)
+    );
+  }
+
+  // Otherwise wait for the next window, where this one's count fades out
+  return Math.ceil(
+    windowMs - elapsed + windowMs * Math.max(0, 1 - (max - 1) / current)
+  );
+};
+
+/**
+ * Create the rate limiting middleware
+ * @param {Object} options
+ * @param {Object[]} options.policies - { name, max, matches(req) }, checked in order
+ * @param {number} options.windowMs - Window length
+ * @param {Object} options.store - Store implementing hit(key, windowStart, windowMs)
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({
+  policies = getDefaultPolicies(),
+  windowMs = config.rateLimit.windowMs,
+  store = createDefaultStore(),
+} = {}) => {
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    const policy = policies.find((candidate) => candidate.matches(req));
+    if (!policy || policy.max === 0) {
+      return next();
+    }
+
+    const ip = req.ip || req.socket.remoteAddress;
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const elapsed = now - windowStart;
+
+    let counts;
+    try {
+      counts = await store.hit(`${policy.name}:${ip}`, windowStart, windowMs);
+    } catch (error) {
+      // A broken store must not take the API down with it
+      logger.warn("Rate limit store failed, allowing request", {
+        policy: policy.name,
+        error: error.message,
+        ip,
+      });
+      return next();
+    }
+
+    const estimate =
+      counts.previous * (1 - elapsed / windowMs) + counts.current;
+    const isLimited = estimate > policy.max;
+    const resetMs = isLimited
+      ? getRetryDelay(counts, policy.max, windowMs, elapsed)
+      : windowMs - elapsed;
+    const resetSeconds = Math.ceil(resetMs / 1000);
+
+    res.set({
+      "RateLimit-Policy": `${policy.max};w=${windowSeconds}`,
+      "RateLimit-Limit": String(policy.max),
+      "RateLimit-Remaining": String(
+        Math.max(0, Math.floor(policy.max - estimate))
+      ),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (isLimited) {
+      logger.warn("Rate limit exceeded", {
+        policy: policy.name,
+        ip,
+        requestCount: Math.ceil(estimate),
+        resetTime: resetSeconds,
+      });
+
+      recordRateLimitRejection(policy.name);
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        error: {
+          message: `Too many requests. Try again in ${resetSeconds} seconds`,
+          code: "RATE_LIMIT_EXCEEDED",
+        },
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+const { runWithRequestContext } = require("../utils/requestContext");
+
+// Client-supplied IDs end up in logs, so only plain tokens are accepted
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Add the request ID to an error response body
+ * @param {Object} body - `{ success: false, error: { message, code } }`
+ * @param {string} requestId
+ * @returns {Object} Body with `error.requestId`
+ */
+const withRequestId = (body, requestId) => ({
+  ...body,
+  error: { ...body.error, requestId },
+});
+
+/**
+ * Request ID middleware
+ * Every request gets an ID, taken from a valid `X-Request-Id` header or
+ * generated. It is sent back in the `X-Request-Id` header and in JSON
+ * error bodies as `error.requestId`, and the logger adds it to every line
+ * written while the request is handled.
+ */
+const requestId = (req, res, next) => {
+  const header = req.get("X-Request-Id");
+  const id =
+    header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+
+  req.id = id;
+  res.set("X-Request-Id", id);
+
+  // Error bodies sent by any route or middleware carry the ID
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(
+      body?.success === false && body.error ? withRequestId(body, id) : body
+    );
+
+  runWithRequestContext({ requestId: id }, next);
+};
+
+module.exports = { requestId, withRequestId };
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+
+// An AI response shared across server restarts and instances; MongoDB
+// removes entries once `expiresAt` has passed
+const cachedResponseSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: String,
+  model: String,
+  content: {
+    type: String,
+    required: true,
+  },
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// TTL index: documents expire at their own `expiresAt`
+cachedResponseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cachedResponseSchema.plugin(typedErrors);
+
+const CachedResponse = mongoose.model("CachedResponse", cachedResponseSchema);
+
+module.exports = CachedResponse;
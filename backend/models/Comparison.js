@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+const { saveMetrics } = require("./plugins/saveMetrics");
+
+// One model's response to the compared prompt
+const variantSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      required: [true, "Variant model is required"],
+      trim: true,
+    },
+    // Generation parameters the response was produced with
+    parameters: {
+      temperature: Number,
+      max_tokens: Number,
+      top_p: Number,
+      stop: [String],
+    },
+    response: {
+      type: String,
+      required: [true, "Variant response is required"],
+      trim: true,
+    },
+    // Token counts reported by the provider, when available
+    usage: {
+      promptTokens: { type: Number, min: 0 },
+      completionTokens: { type: Number, min: 0 },
+      totalTokens: { type: Number, min: 0 },
+    },
+    // Time the provider took to produce the full response
+    latencyMs: {
+      type: Number,
+      min: 0,
+    },
+    // Whether the backend answered from its response cache
+    cached: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const comparisonSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Title cannot exceed 200 characters"],
+    },
+    prompt: {
+      type: String,
+      required: [true, "Prompt is required"],
+      trim: true,
+      maxLength: [10000, "Prompt cannot exceed 10,000 characters"],
+    },
+    // System prompt sent ahead of the user prompt, if any
+    system: {
+      type: String,
+      trim: true,
+      maxLength: [10000, "System prompt cannot exceed 10,000 characters"],
+    },
+    // Responses in the order they were shown side by side
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: (variants) => variants.length >= 2,
+        message: "Comparison must contain at least two variants",
+      },
+    },
+    // Index of the variant marked as the winner, if any
+    winner: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: function (winner) {
+          return (
+            winner === null ||
+            (Number.isInteger(winner) &&
+              winner >= 0 &&
+              winner < this.variants.length)
+          );
+        },
+        message: "Winner must be the index of one of the variants",
+      },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Add timestamps for updatedAt as well
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Add indexes for better query performance
+comparisonSchema.index({ updatedAt: -1 });
+
+// Default the title to the start of the prompt
+comparisonSchema.pre("validate", function () {
+  if (!this.title && this.prompt) {
+    this.title = this.prompt.substring(0, 100);
+  }
+});
+
+// Static method to page through saved comparisons, most recently
+// updated first
+comparisonSchema.statics.findPage = async function ({
+  page = 1,
+  limit = 20,
+} = {}) {
+  const [items, total] = await Promise.all([
+    this.find()
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(),
+  ]);
+
+  return { items, total };
+};
+
+// Instance method to get summary
+comparisonSchema.methods.getSummary = function () {
+  const winner = this.winner !== null ? this.variants[this.winner] : null;
+
+  return {
+    id: this._id,
+    title: this.title,
+    models: this.variants.map((variant) => variant.model),
+    winner: winner ? winner.model : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+comparisonSchema.plugin(saveMetrics);
+comparisonSchema.plugin(typedErrors);
+
+const Comparison = mongoose.model("Comparison", comparisonSchema);
+
+module.exports = Comparison;
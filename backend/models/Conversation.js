@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+const { saveMetrics } = require("./plugins/saveMetrics");
+
+// A single turn in a conversation thread
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: [true, "Message role is required"],
+      enum: {
+        values: ["system", "user", "assistant"],
+        message: "Message role must be system, user or assistant",
+      },
+    },
+    content: {
+      type: String,
+      required: [true, "Message content is required"],
+      trim: true,
+      maxLength: [10000, "Message cannot exceed 10,000 characters"],
+    },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Title cannot exceed 200 characters"],
+    },
+    // Ordered system/user/assistant messages
+    messages: {
+      type: [messageSchema],
+      validate: {
+        validator: (messages) => messages.length > 0,
+        message: "Conversation must contain at least one message",
+      },
+    },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    // Generation parameters the replies were produced with
+    parameters: {
+      temperature: Number,
+      max_tokens: Number,
+      top_p: Number,
+      stop: [String],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Add timestamps for updatedAt as well
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Add indexes for better query performance
+conversationSchema.index({ updatedAt: -1 });
+
+// Default the title to the start of the first user message
+conversationSchema.pre("validate", function () {
+  if (!this.title) {
+    const firstUserMessage = this.messages.find(
+      (message) => message.role === "user"
+    );
+    if (firstUserMessage) {
+      this.title = firstUserMessage.content.substring(0, 100);
+    }
+  }
+});
+
+// Static method to page through saved conversations, most recently
+// updated first
+conversationSchema.statics.findPage = async function ({
+  page = 1,
+  limit = 20,
+} = {}) {
+  const [items, total] = await Promise.all([
+    this.find()
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(),
+  ]);
+
+  return { items, total };
+};
+
+// Instance method to get summary
+conversationSchema.methods.getSummary = function () {
+  const lastMessage = this.messages[this.messages.length - 1];
+
+  return {
+    id: this._id,
+    title: this.title,
+    messageCount: this.messages.length,
+    lastMessage: lastMessage
+      ? {
+          role: lastMessage.role,
+          content:
+            lastMessage.content.length > 100
+              ? lastMessage.content.substring(0, 100) + "..."
+              : lastMessage.content,
+        }
+      : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+conversationSchema.plugin(saveMetrics);
+conversationSchema.plugin(typedErrors);
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+module.exports = Conversation;
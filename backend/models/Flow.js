@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+const { saveMetrics } = require("./plugins/saveMetrics");
+
+// A React Flow node; `data` holds the node's serialized state
+const flowNodeSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    type: { type: String, required: true },
+    position: {
+      x: { type: Number, required: true },
+      y: { type: Number, required: true },
+    },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    width: Number,
+    height: Number,
+  },
+  { _id: false, minimize: false }
+);
+
+// A React Flow edge between two nodes
+const flowEdgeSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    source: { type: String, required: true },
+    target: { type: String, required: true },
+    sourceHandle: String,
+    targetHandle: String,
+    type: String,
+    animated: Boolean,
+  },
+  { _id: false }
+);
+
+const flowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Flow name is required"],
+      trim: true,
+      maxLength: [100, "Flow name cannot exceed 100 characters"],
+    },
+    nodes: {
+      type: [flowNodeSchema],
+      default: [],
+    },
+    edges: {
+      type: [flowEdgeSchema],
+      default: [],
+    },
+    // Canvas pan and zoom when the flow was saved
+    viewport: {
+      x: { type: Number, default: 0 },
+      y: { type: Number, default: 0 },
+      zoom: { type: Number, default: 1 },
+    },
+    // Template variable values entered in the Variables panel
+    variables: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Add timestamps for updatedAt as well
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Add indexes for better query performance
+flowSchema.index({ updatedAt: -1 });
+
+// Static method to page through saved flows, most recently updated first
+flowSchema.statics.findPage = async function ({ page = 1, limit = 20 } = {}) {
+  const [items, total] = await Promise.all([
+    this.find({}, "name nodes.type edges.id createdAt updatedAt")
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(),
+  ]);
+
+  return { items, total };
+};
+
+// Instance method to get summary
+flowSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    nodeCount: this.nodes.length,
+    edgeCount: this.edges.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+flowSchema.plugin(saveMetrics);
+flowSchema.plugin(typedErrors);
+
+const Flow = mongoose.model("Flow", flowSchema);
+
+module.exports = Flow;
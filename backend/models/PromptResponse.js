@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+const { saveMetrics } = require("./plugins/saveMetrics");
+const { ValidationError } = require("../utils/errors");
 
 const promptResponseSchema = new mongoose.Schema(
   {
@@ -14,6 +17,38 @@ const promptResponseSchema = new mongoose.Schema(
       required: [true, "Response is required"],
       trim: true,
     },
+    // System prompt sent ahead of the user prompt, if any
+    system: {
+      type: String,
+      trim: true,
+      maxLength: [10000, "System prompt cannot exceed 10,000 characters"],
+    },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    // Generation parameters the response was produced with
+    parameters: {
+      temperature: Number,
+      max_tokens: Number,
+      top_p: Number,
+      stop: [String],
+    },
+    // Token counts reported by the provider, when available
+    usage: {
+      promptTokens: { type: Number, min: 0 },
+      completionTokens: { type: Number, min: 0 },
+      totalTokens: { type: Number, min: 0 },
+    },
+    // Time the provider took to produce the full response
+    latencyMs: {
+      type: Number,
+      min: 0,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -41,20 +76,16 @@ promptResponseSchema.virtual("formattedDate").get(function () {
 promptResponseSchema.pre("save", function () {
   // Trim whitespace and validate prompt is not just whitespace
   if (this.prompt && this.prompt.trim().length === 0) {
-    const error = new Error(
+    throw new ValidationError(
       "Prompt cannot be empty or contain only whitespace"
     );
-    error.name = "ValidationError";
-    throw error;
   }
 
   // Ensure response is not empty
   if (this.response && this.response.trim().length === 0) {
-    const error = new Error(
+    throw new ValidationError(
       "Response cannot be empty or contain only whitespace"
     );
-    error.name = "ValidationError";
-    throw error;
   }
 });
 
@@ -66,6 +97,39 @@ promptResponseSchema.statics.findRecent = function (limit = 10) {
     .select("prompt response createdAt");
 };
 
+// Static method to page through saved pairs, optionally filtered by a
+// full-text search against the prompt/response text index
+promptResponseSchema.statics.search = async function ({
+  query = "",
+  page = 1,
+  limit = 20,
+  sort = "newest",
+} = {}) {
+  const filter = query ? { $text: { $search: query } } : {};
+
+  let sortOrder = { createdAt: sort === "oldest" ? 1 : -1 };
+  let projection = "prompt response createdAt";
+  if (query && sort === "relevance") {
+    projection = {
+      prompt: 1,
+      response: 1,
+      createdAt: 1,
+      score: { $meta: "textScore" },
+    };
+    sortOrder = { score: { $meta: "textScore" }, createdAt: -1 };
+  }
+
+  const [items, total] = await Promise.all([
+    this.find(filter, projection)
+      .sort(sortOrder)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(filter),
+  ]);
+
+  return { items, total };
+};
+
 // Instance method to get summary
 promptResponseSchema.methods.getSummary = function () {
   return {
@@ -79,6 +143,9 @@ promptResponseSchema.methods.getSummary = function () {
   };
 };
 
+promptResponseSchema.plugin(saveMetrics);
+promptResponseSchema.plugin(typedErrors);
+
 const PromptResponse = mongoose.model("PromptResponse", promptResponseSchema);
 
 module.exports = PromptResponse;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+const { saveMetrics } = require("./plugins/saveMetrics");
+const { extractVariables } = require("../utils/template");
+
+const promptTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxLength: [100, "Template name cannot exceed 100 characters"],
+    },
+    // Prompt text with {{variable}} placeholders
+    template: {
+      type: String,
+      required: [true, "Template is required"],
+      trim: true,
+      maxLength: [10000, "Template cannot exceed 10,000 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Description cannot exceed 500 characters"],
+    },
+    // Variable names detected in the template, in order of first use
+    variables: {
+      type: [String],
+      default: [],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Add timestamps for updatedAt as well
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Template names are unique so they can be picked from a list
+promptTemplateSchema.index({ name: 1 }, { unique: true });
+promptTemplateSchema.index({ createdAt: -1 });
+
+// Keep the detected variables in sync with the template text
+promptTemplateSchema.pre("validate", function () {
+  this.variables = extractVariables(this.template);
+});
+
+// Static method to page through templates, sorted by name
+promptTemplateSchema.statics.findPage = async function ({
+  page = 1,
+  limit = 20,
+} = {}) {
+  const [items, total] = await Promise.all([
+    this.find()
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(),
+  ]);
+
+  return { items, total };
+};
+
+// Instance method to get summary
+promptTemplateSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    variables: this.variables,
+    createdAt: this.createdAt,
+  };
+};
+
+promptTemplateSchema.plugin(saveMetrics);
+promptTemplateSchema.plugin(typedErrors, {
+  duplicateMessage: "A template with this name already exists",
+});
+
+const PromptTemplate = mongoose.model("PromptTemplate", promptTemplateSchema);
+
+module.exports = PromptTemplate;
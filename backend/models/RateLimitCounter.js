@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+
+// Requests one client made in one rate limit window; shared by every server
+// instance so they enforce a single limit. MongoDB removes a counter once it
+// no longer affects the sliding window.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+// TTL index: counters expire at their own `expiresAt`
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+rateLimitCounterSchema.plugin(typedErrors);
+
+const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  rateLimitCounterSchema
+);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { typedErrors } = require("./plugins/typedErrors");
+const { saveMetrics } = require("./plugins/saveMetrics");
+
+// One completed AI provider call, written whether or not the response is
+// saved; GET /api/usage totals these. Cache hits never reach a provider and
+// are not recorded.
+const usageRecordSchema = new mongoose.Schema({
+  provider: String,
+  model: String,
+  // Token counts reported by the provider, when available
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number,
+  },
+  // Time the provider took to produce the full response
+  latencyMs: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+usageRecordSchema.index({ createdAt: 1 });
+
+// Static method to total calls, token usage and latency per day and model
+// over a date range; calls without reported usage add no tokens
+usageRecordSchema.statics.aggregateUsage = function ({ from, to }) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          model: { $ifNull: ["$model", "unknown"] },
+        },
+        requests: { $sum: 1 },
+        promptTokens: { $sum: "$usage.promptTokens" },
+        completionTokens: { $sum: "$usage.completionTokens" },
+        totalTokens: { $sum: "$usage.totalTokens" },
+        totalLatencyMs: { $sum: { $ifNull: ["$latencyMs", 0] } },
+        latencyCount: {
+          $sum: { $cond: [{ $isNumber: "$latencyMs" }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { "_id.date": 1, "_id.model": 1 } },
+  ]);
+};
+
+usageRecordSchema.plugin(saveMetrics);
+usageRecordSchema.plugin(typedErrors);
+
+const UsageRecord = mongoose.model("UsageRecord", usageRecordSchema);
+
+module.exports = UsageRecord;
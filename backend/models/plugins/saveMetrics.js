@@ -0,0 +1,31 @@
+const { recordDbSave } = require("../../services/metrics");
+
+/**
+ * Schema plugin: time every document save for the db_save_duration_seconds
+ * metric
+ */
+const saveMetrics = (schema) => {
+  schema.pre("save", function () {
+    this.$locals.saveStartedAt = Date.now();
+  });
+
+  schema.post("save", function () {
+    recordDbSave(
+      this.constructor.modelName,
+      Date.now() - this.$locals.saveStartedAt
+    );
+  });
+
+  schema.post("save", function (error, doc, next) {
+    if (this.$locals.saveStartedAt) {
+      recordDbSave(
+        this.constructor.modelName,
+        Date.now() - this.$locals.saveStartedAt,
+        true
+      );
+    }
+    next(error);
+  });
+};
+
+module.exports = { saveMetrics };
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const {
+  AppError,
+  ValidationError,
+  ConflictError,
+  DatabaseError,
+  DatabaseUnavailableError,
+} = require("../../utils/errors");
+
+// Driver errors raised when MongoDB cannot be reached
+const UNAVAILABLE_ERRORS = [
+  mongoose.mongo.MongoNetworkError,
+  mongoose.mongo.MongoServerSelectionError,
+  mongoose.mongo.MongoNotConnectedError,
+  mongoose.mongo.MongoTopologyClosedError,
+];
+
+/**
+ * Convert a Mongoose or MongoDB driver error to an application error
+ * @param {Error} error - Error from a model operation
+ * @param {Object} options
+ * @param {string} options.duplicateMessage - Client message for unique index violations
+ * @returns {AppError}
+ */
+const toDatabaseError = (
+  error,
+  { duplicateMessage = "Duplicate entry detected" } = {}
+) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError("Validation failed", "VALIDATION_ERROR", {
+      details: error.message,
+      cause: error,
+    });
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError("Invalid data format", "CAST_ERROR", {
+      cause: error,
+    });
+  }
+
+  if (error.code === 11000) {
+    return new ConflictError(duplicateMessage, { cause: error });
+  }
+
+  // Operations buffered while disconnected time out with a plain
+  // MongooseError, so the connection state decides those
+  if (
+    UNAVAILABLE_ERRORS.some((ErrorClass) => error instanceof ErrorClass) ||
+    mongoose.connection.readyState !== 1
+  ) {
+    return new DatabaseUnavailableError(error.message, { cause: error });
+  }
+
+  return new DatabaseError(error.message, { cause: error });
+};
+
+// Every operation the models run; errors from any of them are translated
+const OPERATIONS = [
+  "save",
+  "validate",
+  "insertMany",
+  "aggregate",
+  "countDocuments",
+  "estimatedDocumentCount",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "distinct",
+];
+
+/**
+ * Schema plugin: model operations reject with application errors
+ * (ValidationError, ConflictError, DatabaseUnavailableError, DatabaseError)
+ * instead of raw Mongoose and driver errors
+ * @param {mongoose.Schema} schema
+ * @param {Object} options - Passed to toDatabaseError
+ */
+const typedErrors = (schema, options = {}) => {
+  schema.post(OPERATIONS, function (error, res, next) {
+    next(toDatabaseError(error, options));
+  });
+};
+
+module.exports = { typedErrors, toDatabaseError };
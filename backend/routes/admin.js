@@ -0,0 +1,56 @@
+const express = require("express");
+const { config, getRedactedConfig } = require("../config");
+const logger = require("../utils/logger");
+const { requireAdmin } = require("../middleware/adminAuth");
+const { purgeCache, getCacheStats } = require("../services/responseCache");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/cache
+ * Describe the response cache
+ *
+ * Response Body: {
+ *   success: boolean,
+ *   cache: { mode, ttlSeconds, entries, maxEntries, hits, misses }
+ * }
+ */
+router.get("/cache", (req, res) => {
+  res.json({ success: true, cache: getCacheStats() });
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Remove every cached AI response
+ *
+ * Response Body: { success: boolean, removed: { memory: number, mongo: number } }
+ */
+router.delete("/cache", async (req, res) => {
+  const removed = await purgeCache();
+
+  logger.info("Response cache purged", {
+    ...removed,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    removed,
+    message: "Response cache purged",
+  });
+});
+
+/**
+ * GET /api/admin/config
+ * Show the configuration the server is running with; secrets are
+ * "[REDACTED]" when set and null when not
+ *
+ * Response Body: { success: boolean, config: Object }
+ */
+router.get("/config", (req, res) => {
+  res.json({ success: true, config: getRedactedConfig(config) });
+});
+
+module.exports = router;
@@ -1,9 +1,41 @@
 const express = require("express");
-const OpenRouterClient = require("../services/openRouterClient");
+const { config } = require("../config");
+const {
+  getProvider,
+  getProviderNames,
+  isKnownProvider,
+} = require("../services/providers");
 const PromptResponse = require("../models/PromptResponse");
 const logger = require("../utils/logger");
-const { validatePrompt, validateSaveData } = require("../utils/validation");
-const { validateRequest } = require("../middleware/errorHandler");
+const { withSaveTimeout } = require("../utils/withTimeout");
+const {
+  validatePrompt,
+  validateSystemPrompt,
+  validateMessages,
+  validateGenerationParams,
+  validateUsageData,
+  validateTemplateVariables,
+  validateSaveData,
+} = require("../utils/validation");
+const { isTemplate, renderTemplate } = require("../utils/template");
+const {
+  validateRequest,
+  toErrorResponse,
+} = require("../middleware/errorHandler");
+const { withRequestId } = require("../middleware/requestId");
+const {
+  ValidationError,
+  ProviderUnavailableError,
+  RequestCancelledError,
+} = require("../utils/errors");
+const {
+  isCacheEnabled,
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+} = require("../services/responseCache");
+const { recordAIRequest } = require("../services/metrics");
+const { recordUsage } = require("../services/usageLog");
 
 const router = express.Router();
 
@@ -12,142 +44,543 @@ router.get("/test", (req, res) => {
   res.json({ message: "AI routes are working" });
 });
 
+// Maximum time the non-streaming AI call may take
+const AI_REQUEST_TIMEOUT = config.ai.requestTimeoutMs;
+
+// Maximum silence between streamed tokens before the stream is abandoned
+const AI_STREAM_IDLE_TIMEOUT = config.ai.streamIdleTimeoutMs;
+
 /**
- * POST /api/ask-ai
- * Process AI requests securely on backend
- *
- * Request Body: { prompt: string }
- * Response Body: { response: string }
- *
- * Requirements: 4.3, 4.4
+ * Format a provider's completion result for API responses
+ */
+const toResultFields = (result) => ({
+  response: result.content,
+  model: result.model,
+  attempts: result.attempts,
+  usage: result.usage,
+  latencyMs: result.latencyMs,
+});
+
+/**
+ * Run a provider call and record its outcome in the AI metrics; completed
+ * calls also go to the usage log
+ * @param {Object} provider - Provider instance
+ * @param {string} model - Requested model, or undefined for the default
+ * @param {Function} call - () => Promise of a completion result
+ * @returns {Promise<Object>} The completion result
  */
-router.post("/ask-ai", validateRequest(["prompt"]), async (req, res) => {
+const measureAICall = async (provider, model, call) => {
   const startTime = Date.now();
 
   try {
-    const { prompt } = req.body;
+    const result = await call();
+    recordAIRequest({
+      provider: provider.name,
+      model: result.model,
+      durationMs: Date.now() - startTime,
+    });
+    recordUsage({
+      provider: provider.name,
+      model: result.model,
+      usage: result.usage,
+      latencyMs: result.latencyMs,
+    });
+    return result;
+  } catch (error) {
+    // Rejected input (e.g. an unknown model) never reached the provider
+    if (error instanceof ValidationError) {
+      throw error;
+    }
 
-    logger.info("AI request received", {
-      promptLength: prompt ? prompt.length : 0,
-      ip: req.ip,
+    // Client-chosen model names would make unbounded label values
+    const requestedModel = model || provider.getDefaultModel();
+    recordAIRequest({
+      provider: provider.name,
+      model: provider.isConfiguredModel(requestedModel)
+        ? requestedModel
+        : "other",
+      durationMs: Date.now() - startTime,
+      errorCode: toErrorResponse(error).body.error.code,
     });
+    throw error;
+  }
+};
 
-    // Validate and sanitize prompt
-    const validation = validatePrompt(prompt);
-    if (!validation.isValid) {
-      logger.warn("Invalid prompt validation", {
-        errors: validation.errors,
-        ip: req.ip,
-      });
+/**
+ * Create the AbortController for a request's upstream AI call, aborted when
+ * the client disconnects before the response is complete so the provider
+ * stops generating tokens nobody will read
+ */
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
 
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: validation.errors[0],
-          code: "INVALID_PROMPT",
-        },
-      });
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
     }
+  });
 
-    const sanitizedPrompt = validation.sanitized;
+  return controller;
+};
 
-    // Initialize OpenRouter client
-    const openRouterClient = new OpenRouterClient();
+/**
+ * Write a single server-sent event
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
-    // Call OpenRouter API with timeout
-    const aiResponse = await Promise.race([
-      openRouterClient.chatCompletion(sanitizedPrompt),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("AI request timeout")), 25000)
-      ),
-    ]);
+/**
+ * Start a server-sent event response
+ */
+const openEventStream = (res) => {
+  // The stream manages its own idle timeout instead of the global one
+  if (res.clearRequestTimeout) {
+    res.clearRequestTimeout();
+  }
 
-    const duration = Date.now() - startTime;
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+};
 
-    logger.info("AI request completed successfully", {
-      duration: `${duration}ms`,
-      responseLength: aiResponse ? aiResponse.length : 0,
+/**
+ * Cache a fresh result under the key built for `model`
+ * A fallback model's answer is not cached: identical requests should reach
+ * the requested model again once it recovers.
+ */
+const cacheResult = (cacheKey, model, result, provider) => {
+  if (cacheKey && result.model === model) {
+    setCachedResponse(cacheKey, result, provider.name);
+  }
+};
+
+/**
+ * Send a cached response as a stream with a single `token` event, so
+ * streaming clients handle it like any other response
+ */
+const streamCachedResponse = (res, result, responseFields = {}) => {
+  openEventStream(res);
+  writeEvent(res, "token", { content: result.content });
+  writeEvent(res, "done", {
+    ...toResultFields(result),
+    cached: true,
+    ...responseFields,
+  });
+  res.end();
+};
+
+/**
+ * Stream an AI response to the client as server-sent events
+ *
+ * Events:
+ *   token - { content: string }                 one delta of the response
+ *   done  - { response, model, attempts, usage, latencyMs, cached } the
+ *           full response text and request details, plus any `responseFields`
+ *   error - { success: false, error: { message, code, requestId } }
+ *
+ * A completed response from `cacheModel` is stored in the response cache
+ * under `cacheKey`.
+ * The upstream request is aborted when the client disconnects or the
+ * stream goes idle.
+ */
+const streamAIResponse = async (
+  req,
+  res,
+  provider,
+  input,
+  generation,
+  { responseFields = {}, cacheKey = null, cacheModel = null } = {}
+) => {
+  const { model, ...options } = generation;
+  const startTime = Date.now();
+  const controller = abortOnDisconnect(res);
+
+  openEventStream(res);
+
+  let idleTimer = null;
+  let rejectIdle = null;
+  const idleTimeout = new Promise((_, reject) => {
+    rejectIdle = reject;
+  });
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      rejectIdle(new ProviderUnavailableError("AI stream idle timeout"));
+      controller.abort();
+    }, AI_STREAM_IDLE_TIMEOUT);
+  };
+
+  try {
+    resetIdleTimer();
+
+    const result = await measureAICall(provider, model, () =>
+      Promise.race([
+        provider.streamChatCompletion(
+          input,
+          model,
+          (content) => {
+            resetIdleTimer();
+            if (!res.writableEnded) {
+              writeEvent(res, "token", { content });
+            }
+          },
+          { ...options, signal: controller.signal }
+        ),
+        idleTimeout,
+      ])
+    );
+
+    logger.info("AI stream completed successfully", {
+      duration: `${Date.now() - startTime}ms`,
+      responseLength: result.content.length,
+      model: result.model,
+      totalTokens: result.usage?.totalTokens,
       ip: req.ip,
     });
 
-    // Return response in the required format
-    res.json({
-      response: aiResponse,
+    cacheResult(cacheKey, cacheModel, result, provider);
+
+    writeEvent(res, "done", {
+      ...toResultFields(result),
+      cached: false,
+      ...responseFields,
     });
   } catch (error) {
-    const duration = Date.now() - startTime;
+    // Nobody is left to send an error event to
+    if (error instanceof RequestCancelledError) {
+      logger.info("AI stream cancelled", {
+        duration: `${Date.now() - startTime}ms`,
+        ip: req.ip,
+      });
+      return;
+    }
 
-    logger.error("AI request failed", {
+    logger.error("AI stream failed", {
       error: error.message,
-      duration: `${duration}ms`,
+      duration: `${Date.now() - startTime}ms`,
       ip: req.ip,
       stack: error.stack,
     });
 
-    // Handle specific OpenRouter client errors
-    if (error.message.includes("Invalid OpenRouter API key")) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "AI service authentication failed",
-          code: "AI_AUTH_ERROR",
-        },
-      });
+    // Headers are already sent, so the error goes out as an event
+    if (!res.writableEnded) {
+      writeEvent(
+        res,
+        "error",
+        withRequestId(toErrorResponse(error).body, req.id)
+      );
     }
+  } finally {
+    clearTimeout(idleTimer);
+    res.end();
+  }
+};
 
-    if (error.message.includes("Rate limit exceeded")) {
-      return res.status(429).json({
-        success: false,
-        error: {
-          message: "AI service rate limit exceeded. Please try again later",
-          code: "AI_RATE_LIMIT",
-        },
-      });
+/**
+ * POST /api/ask-ai
+ * Process AI requests securely on backend
+ *
+ * Request Body: {
+ *   prompt?: string, messages?: { role, content }[], system?: string,
+ *   variables?: { [name]: string }, stream?: boolean, provider?: string,
+ *   model?: string, temperature?: number, max_tokens?: number,
+ *   top_p?: number, stop?: string | string[], bypassCache?: boolean
+ * }
+ * Response Body: {
+ *   response: string, model: string, attempts: number,
+ *   usage: { promptTokens, completionTokens, totalTokens } | null,
+ *   latencyMs: number, cached: boolean, renderedPrompt?: string
+ * }
+ *
+ * Send either a single `prompt` or a `messages` conversation ending with a
+ * user message; the response is the assistant's next reply. `system` is
+ * sent ahead of them as the system message.
+ *
+ * A `prompt` may be a template with {{name}} placeholders, filled in from
+ * `variables`; the filled-in prompt is returned as `renderedPrompt`. Write
+ * `\{{` for a literal `{{`.
+ *
+ * With `stream: true` the response is a `text/event-stream` of `token`
+ * events followed by a single `done` (or `error`) event.
+ *
+ * `model` is the model that answered, which may be a configured fallback;
+ * `attempts` counts every upstream call made, including retries. `usage` is
+ * null when the provider does not report token counts.
+ *
+ * Responses are cached; a cached response has `cached: true`, `attempts: 0`
+ * and the original `usage`. `bypassCache: true` skips the lookup and caches
+ * the fresh response in place of the old one.
+ *
+ * Closing the connection before the response is complete cancels the
+ * upstream provider request.
+ *
+ * Requirements: 4.3, 4.4
+ */
+router.post("/ask-ai", validateRequest(), async (req, res) => {
+  const startTime = Date.now();
+
+  const {
+    prompt,
+    messages,
+    stream,
+    bypassCache,
+    provider: providerName,
+  } = req.body;
+
+  logger.info("AI request received", {
+    promptLength: prompt ? prompt.length : 0,
+    messageCount: Array.isArray(messages) ? messages.length : 0,
+    stream: Boolean(stream),
+    provider: providerName,
+    ip: req.ip,
+  });
+
+  if (providerName !== undefined && !isKnownProvider(providerName)) {
+    throw new ValidationError(
+      `Unknown AI provider. Available providers: ${getProviderNames().join(
+        ", "
+      )}`,
+      "INVALID_PROVIDER"
+    );
+  }
+
+  if (prompt === undefined && messages === undefined) {
+    throw new ValidationError(
+      "Missing required field: prompt or messages",
+      "MISSING_REQUIRED_FIELD"
+    );
+  }
+
+  if (prompt !== undefined && messages !== undefined) {
+    throw new ValidationError(
+      "Send either prompt or messages, not both",
+      "INVALID_MESSAGES"
+    );
+  }
+
+  // Validate and sanitize the prompt or conversation
+  const validation =
+    messages !== undefined
+      ? validateMessages(messages)
+      : validatePrompt(prompt);
+  if (!validation.isValid) {
+    throw new ValidationError(
+      validation.errors[0],
+      messages !== undefined ? "INVALID_MESSAGES" : "INVALID_PROMPT"
+    );
+  }
+
+  // Fill in {{variable}} placeholders and unescape \{{ in a prompt template
+  let renderedPrompt;
+  if (messages === undefined && isTemplate(validation.sanitized)) {
+    const variablesValidation = validateTemplateVariables(req.body.variables);
+    if (!variablesValidation.isValid) {
+      throw new ValidationError(
+        variablesValidation.errors[0],
+        "INVALID_VARIABLES"
+      );
     }
 
-    if (
-      error.message.includes("Unable to connect") ||
-      error.message.includes("AI request timeout")
-    ) {
-      return res.status(503).json({
-        success: false,
-        error: {
-          message: "AI service temporarily unavailable",
-          code: "AI_SERVICE_UNAVAILABLE",
-        },
-      });
+    const { rendered, missing } = renderTemplate(
+      validation.sanitized,
+      variablesValidation.sanitized
+    );
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Missing value for template variable${
+          missing.length === 1 ? "" : "s"
+        }: ${missing.join(", ")}`,
+        "INVALID_PROMPT"
+      );
     }
 
-    if (
-      error.message.includes(
-        "OPENROUTER_API_KEY environment variable is required"
-      )
-    ) {
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: "AI service configuration error",
-          code: "AI_CONFIG_ERROR",
-        },
-      });
+    const renderedValidation = validatePrompt(rendered);
+    if (!renderedValidation.isValid) {
+      throw new ValidationError(renderedValidation.errors[0], "INVALID_PROMPT");
+    }
+
+    renderedPrompt = renderedValidation.sanitized;
+  }
+
+  const systemValidation = validateSystemPrompt(req.body.system);
+  if (!systemValidation.isValid) {
+    throw new ValidationError(
+      systemValidation.errors[0],
+      "INVALID_SYSTEM_PROMPT"
+    );
+  }
+
+  // A system prompt turns a plain prompt into a two-message conversation
+  const system = systemValidation.sanitized;
+  let input = renderedPrompt || validation.sanitized;
+  if (system) {
+    input = [
+      { role: "system", content: system },
+      ...(Array.isArray(input) ? input : [{ role: "user", content: input }]),
+    ];
+  }
+
+  // Validate optional model and generation parameters
+  const paramsValidation = validateGenerationParams(req.body);
+  if (!paramsValidation.isValid) {
+    throw new ValidationError(paramsValidation.errors[0], "INVALID_PARAMETERS");
+  }
+
+  const { model, ...options } = paramsValidation.sanitized;
+
+  if (bypassCache !== undefined && typeof bypassCache !== "boolean") {
+    throw new ValidationError(
+      "bypassCache must be a boolean",
+      "INVALID_PARAMETERS"
+    );
+  }
+
+  // Resolve the requested (or configured default) LLM provider and model;
+  // an unknown model fails with 400 before a stream sends its headers
+  const provider = getProvider(providerName);
+  const resolvedModel = provider.resolveModel(model);
+  const responseFields = renderedPrompt ? { renderedPrompt } : {};
+
+  // Identical requests are answered from the response cache unless the
+  // client asks for a fresh response, which then replaces the cached one
+  const cacheKey = isCacheEnabled()
+    ? buildCacheKey({
+        provider: provider.name,
+        model: resolvedModel,
+        input,
+        options,
+      })
+    : null;
+  const cachedResult =
+    cacheKey && !bypassCache ? await getCachedResponse(cacheKey) : null;
+
+  if (cachedResult) {
+    const result = {
+      ...cachedResult,
+      attempts: 0,
+      latencyMs: Date.now() - startTime,
+    };
+
+    logger.info("AI request served from cache", {
+      responseLength: result.content.length,
+      model: result.model,
+      stream: Boolean(stream),
+      ip: req.ip,
+    });
+
+    if (stream === true) {
+      return streamCachedResponse(res, result, responseFields);
     }
 
-    // Generic error response
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to process AI request",
-        code: "AI_PROCESSING_ERROR",
-      },
+    return res.json({
+      ...toResultFields(result),
+      cached: true,
+      ...responseFields,
     });
   }
+
+  if (stream === true) {
+    return await streamAIResponse(
+      req,
+      res,
+      provider,
+      input,
+      paramsValidation.sanitized,
+      { responseFields, cacheKey, cacheModel: resolvedModel }
+    );
+  }
+
+  // Call the provider API with timeout; retries must fit the same budget
+  const controller = abortOnDisconnect(res);
+  let timeoutTimer = null;
+  let result;
+
+  try {
+    result = await measureAICall(provider, model, () =>
+      Promise.race([
+        provider.chatCompletion(input, model, {
+          ...options,
+          deadline: startTime + AI_REQUEST_TIMEOUT,
+          signal: controller.signal,
+        }),
+        new Promise((_, reject) => {
+          timeoutTimer = setTimeout(() => {
+            reject(new ProviderUnavailableError("AI request timeout"));
+            controller.abort();
+          }, AI_REQUEST_TIMEOUT);
+        }),
+      ])
+    );
+  } finally {
+    clearTimeout(timeoutTimer);
+  }
+
+  const duration = Date.now() - startTime;
+
+  logger.info("AI request completed successfully", {
+    duration: `${duration}ms`,
+    responseLength: result.content.length,
+    model: result.model,
+    attempts: result.attempts,
+    totalTokens: result.usage?.totalTokens,
+    ip: req.ip,
+  });
+
+  cacheResult(cacheKey, resolvedModel, result, provider);
+
+  // Return response in the required format
+  res.json({
+    ...toResultFields(result),
+    cached: false,
+    ...responseFields,
+  });
+});
+
+/**
+ * GET /api/models
+ * List the models a provider can serve
+ *
+ * Query: { provider?: string }
+ * Response Body: { success: boolean, provider: string, defaultModel: string, models: string[] }
+ */
+router.get("/models", async (req, res) => {
+  const providerName = req.query.provider;
+
+  if (providerName !== undefined && !isKnownProvider(providerName)) {
+    throw new ValidationError(
+      `Unknown AI provider. Available providers: ${getProviderNames().join(
+        ", "
+      )}`,
+      "INVALID_PROVIDER"
+    );
+  }
+
+  const provider = getProvider(providerName);
+  const models = await provider.listModels();
+
+  res.json({
+    success: true,
+    provider: provider.name,
+    defaultModel: provider.getDefaultModel(),
+    models,
+  });
 });
 
 /**
  * POST /api/save
  * Persist prompt-response pairs to MongoDB
  *
- * Request Body: { prompt: string, response: string }
+ * Request Body: {
+ *   prompt: string, response: string, system?: string, provider?: string,
+ *   model?: string, parameters?: { temperature?, max_tokens?, top_p?, stop? },
+ *   usage?: { promptTokens, completionTokens, totalTokens }, latencyMs?: number
+ * }
  * Response Body: { success: boolean, id: string }
  *
  * Requirements: 4.5, 3.1, 3.2
@@ -158,125 +591,86 @@ router.post(
   async (req, res) => {
     const startTime = Date.now();
 
-    try {
-      const { prompt, response } = req.body;
+    const {
+      prompt,
+      response,
+      system,
+      provider,
+      model,
+      parameters = {},
+      usage,
+      latencyMs,
+    } = req.body;
+
+    logger.info("Save request received", {
+      promptLength: prompt ? prompt.length : 0,
+      responseLength: response ? response.length : 0,
+      ip: req.ip,
+    });
 
-      logger.info("Save request received", {
-        promptLength: prompt ? prompt.length : 0,
-        responseLength: response ? response.length : 0,
-        ip: req.ip,
-      });
+    // Validate and sanitize data
+    const validation = validateSaveData(prompt, response);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors[0], "INVALID_SAVE_DATA");
+    }
 
-      // Validate and sanitize data
-      const validation = validateSaveData(prompt, response);
-      if (!validation.isValid) {
-        logger.warn("Invalid save data validation", {
-          errors: validation.errors,
-          ip: req.ip,
-        });
-
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: validation.errors[0],
-            code: "INVALID_SAVE_DATA",
-          },
-        });
+    // Validate the system prompt, model and parameters the response was
+    // generated with
+    const systemValidation = validateSystemPrompt(system);
+    const paramsValidation = validateGenerationParams({
+      ...(parameters && typeof parameters === "object" ? parameters : {}),
+      model,
+    });
+    const usageValidation = validateUsageData({ usage, latencyMs });
+    if (
+      !systemValidation.isValid ||
+      !paramsValidation.isValid ||
+      !usageValidation.isValid ||
+      (provider !== undefined && !isKnownProvider(provider))
+    ) {
+      let message = "Unknown AI provider";
+      if (!systemValidation.isValid) {
+        message = systemValidation.errors[0];
+      } else if (!paramsValidation.isValid) {
+        message = paramsValidation.errors[0];
+      } else if (!usageValidation.isValid) {
+        message = usageValidation.errors[0];
       }
 
-      // Create new PromptResponse document with sanitized data
-      const promptResponseDoc = new PromptResponse({
-        prompt: validation.sanitizedPrompt,
-        response: validation.sanitizedResponse,
-      });
-
-      // Save to database with timeout
-      const savedDoc = await Promise.race([
-        promptResponseDoc.save(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Database save timeout")), 10000)
-        ),
-      ]);
-
-      const duration = Date.now() - startTime;
-
-      logger.info("Save request completed successfully", {
-        duration: `${duration}ms`,
-        documentId: savedDoc._id.toString(),
-        ip: req.ip,
-      });
-
-      // Return success response with document ID
-      res.status(201).json({
-        success: true,
-        id: savedDoc._id.toString(),
-        message: "Prompt-response pair saved successfully",
-      });
-    } catch (error) {
-      const duration = Date.now() - startTime;
+      throw new ValidationError(message, "INVALID_SAVE_DATA");
+    }
 
-      logger.error("Save request failed", {
-        error: error.message,
-        duration: `${duration}ms`,
-        ip: req.ip,
-        stack: error.stack,
-      });
+    const { model: sanitizedModel, ...sanitizedParameters } =
+      paramsValidation.sanitized;
+
+    // Create new PromptResponse document with sanitized data
+    const promptResponseDoc = new PromptResponse({
+      prompt: validation.sanitizedPrompt,
+      response: validation.sanitizedResponse,
+      system: systemValidation.sanitized,
+      provider,
+      model: sanitizedModel,
+      parameters: sanitizedParameters,
+      ...usageValidation.sanitized,
+    });
 
-      // Handle Mongoose validation errors
-      if (error.name === "ValidationError") {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: "Validation failed",
-            code: "VALIDATION_ERROR",
-            details:
-              process.env.NODE_ENV === "development"
-                ? error.message
-                : undefined,
-          },
-        });
-      }
+    // Save to database with timeout
+    const savedDoc = await withSaveTimeout(promptResponseDoc.save());
 
-      // Handle database connection errors
-      if (
-        error.message.includes("buffering timed out") ||
-        error.message.includes("connection") ||
-        error.message.includes("ECONNREFUSED") ||
-        error.message.includes("Database save timeout") ||
-        error.name === "MongooseError" ||
-        error.message.includes("MongooseError") ||
-        error.message.includes("MongoNetworkError") ||
-        error.message.includes("topology")
-      ) {
-        return res.status(503).json({
-          success: false,
-          error: {
-            message: "Database temporarily unavailable",
-            code: "DATABASE_UNAVAILABLE",
-          },
-        });
-      }
+    const duration = Date.now() - startTime;
 
-      // Handle duplicate key errors (if any unique indexes exist)
-      if (error.code === 11000) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message: "Duplicate entry detected",
-            code: "DUPLICATE_ENTRY",
-          },
-        });
-      }
+    logger.info("Save request completed successfully", {
+      duration: `${duration}ms`,
+      documentId: savedDoc._id.toString(),
+      ip: req.ip,
+    });
 
-      // Generic database error
-      res.status(500).json({
-        success: false,
-        error: {
-          message: "Failed to save prompt-response pair",
-          code: "DATABASE_ERROR",
-        },
-      });
-    }
+    // Return success response with document ID
+    res.status(201).json({
+      success: true,
+      id: savedDoc._id.toString(),
+      message: "Prompt-response pair saved successfully",
+    });
   }
 );
 
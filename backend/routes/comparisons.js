@@ -0,0 +1,238 @@
+const express = require("express");
+const Comparison = require("../models/Comparison");
+const logger = require("../utils/logger");
+const { withSaveTimeout } = require("../utils/withTimeout");
+const { ValidationError } = require("../utils/errors");
+const { isKnownProvider } = require("../services/providers");
+const {
+  validateComparisonData,
+  validatePageQuery,
+} = require("../utils/validation");
+const {
+  validateRequest,
+  validateObjectId,
+} = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+/**
+ * Validate a comparison request body
+ * Returns { isValid, message, fields } where fields are ready to persist.
+ */
+const validateComparisonBody = (body) => {
+  const validation = validateComparisonData(body);
+  if (!validation.isValid) {
+    return { isValid: false, message: validation.errors[0] };
+  }
+
+  const unknownProvider = validation.sanitized.variants.findIndex(
+    ({ provider }) => provider !== undefined && !isKnownProvider(provider)
+  );
+  if (unknownProvider !== -1) {
+    return {
+      isValid: false,
+      message: `Variant ${unknownProvider + 1}: Unknown AI provider`,
+    };
+  }
+
+  return { isValid: true, fields: validation.sanitized };
+};
+
+/**
+ * Format a comparison for API responses
+ */
+const toComparisonResponse = (doc) => ({
+  id: doc._id.toString(),
+  title: doc.title,
+  prompt: doc.prompt,
+  system: doc.system,
+  variants: doc.variants.map((variant) => ({
+    provider: variant.provider,
+    model: variant.model,
+    parameters: variant.parameters,
+    response: variant.response,
+    usage: variant.usage,
+    latencyMs: variant.latencyMs,
+    cached: variant.cached,
+  })),
+  winner: doc.winner,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+});
+
+/**
+ * GET /api/comparisons
+ * List saved comparisons, most recently updated first
+ *
+ * Query: { page?: number, limit?: number }
+ * Response Body: { success: boolean, items: Summary[], pagination: Object }
+ */
+router.get("/", async (req, res) => {
+  const validation = validatePageQuery(req.query);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_QUERY");
+  }
+
+  const { page, limit } = validation.sanitized;
+  const { items, total } = await Comparison.findPage({ page, limit });
+
+  res.json({
+    success: true,
+    items: items.map((item) => item.getSummary()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * GET /api/comparisons/:id
+ * Fetch a saved comparison
+ *
+ * Response Body: {
+ *   success: boolean,
+ *   item: { id, title, prompt, system, variants, winner, createdAt, updatedAt }
+ * }
+ */
+router.get("/:id", validateObjectId("comparison"), async (req, res) => {
+  const doc = await Comparison.findById(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Comparison not found",
+        code: "COMPARISON_NOT_FOUND",
+      },
+    });
+  }
+
+  res.json({ success: true, item: toComparisonResponse(doc) });
+});
+
+/**
+ * POST /api/comparisons
+ * Save the responses of several models to one prompt
+ *
+ * Request Body: {
+ *   prompt: string, system?: string, title?: string,
+ *   variants: {
+ *     model: string, response: string, provider?: string,
+ *     parameters?: { temperature?, max_tokens?, top_p?, stop? },
+ *     usage?: { promptTokens, completionTokens, totalTokens },
+ *     latencyMs?: number, cached?: boolean
+ *   }[],
+ *   winner?: number|null
+ * }
+ * Response Body: { success: boolean, id: string }
+ */
+router.post("/", validateRequest(["prompt", "variants"]), async (req, res) => {
+  const startTime = Date.now();
+
+  const validation = validateComparisonBody(req.body);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message, "INVALID_COMPARISON");
+  }
+
+  const savedDoc = await withSaveTimeout(
+    new Comparison(validation.fields).save()
+  );
+
+  logger.info("Comparison saved successfully", {
+    duration: `${Date.now() - startTime}ms`,
+    documentId: savedDoc._id.toString(),
+    variantCount: savedDoc.variants.length,
+    ip: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    id: savedDoc._id.toString(),
+    message: "Comparison saved successfully",
+  });
+});
+
+/**
+ * PUT /api/comparisons/:id
+ * Replace a saved comparison, e.g. after the winner changed
+ *
+ * Request Body: same as POST /api/comparisons
+ * Response Body: { success: boolean, id: string }
+ */
+router.put(
+  "/:id",
+  validateObjectId("comparison"),
+  validateRequest(["prompt", "variants"]),
+  async (req, res) => {
+    const startTime = Date.now();
+
+    const validation = validateComparisonBody(req.body);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.message, "INVALID_COMPARISON");
+    }
+
+    const doc = await Comparison.findById(req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Comparison not found",
+          code: "COMPARISON_NOT_FOUND",
+        },
+      });
+    }
+
+    doc.set(validation.fields);
+    const savedDoc = await withSaveTimeout(doc.save());
+
+    logger.info("Comparison updated successfully", {
+      duration: `${Date.now() - startTime}ms`,
+      documentId: savedDoc._id.toString(),
+      variantCount: savedDoc.variants.length,
+      ip: req.ip,
+    });
+
+    res.json({
+      success: true,
+      id: savedDoc._id.toString(),
+      message: "Comparison updated successfully",
+    });
+  }
+);
+
+/**
+ * DELETE /api/comparisons/:id
+ * Delete a saved comparison
+ *
+ * Response Body: { success: boolean, id: string }
+ */
+router.delete("/:id", validateObjectId("comparison"), async (req, res) => {
+  const doc = await Comparison.findByIdAndDelete(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Comparison not found",
+        code: "COMPARISON_NOT_FOUND",
+      },
+    });
+  }
+
+  logger.info("Comparison deleted", {
+    id: req.params.id,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    message: "Comparison deleted successfully",
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require("express");
+const Conversation = require("../models/Conversation");
+const logger = require("../utils/logger");
+const { withSaveTimeout } = require("../utils/withTimeout");
+const { ValidationError } = require("../utils/errors");
+const { isKnownProvider } = require("../services/providers");
+const {
+  validateConversationData,
+  validateGenerationParams,
+  validatePageQuery,
+} = require("../utils/validation");
+const {
+  validateRequest,
+  validateObjectId,
+} = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+/**
+ * Validate a conversation request body
+ * Returns { isValid, message, fields } where fields are ready to persist.
+ */
+const validateConversationBody = (body) => {
+  const { title, messages, provider, model, parameters = {} } = body;
+
+  const validation = validateConversationData({ title, messages });
+  if (!validation.isValid) {
+    return { isValid: false, message: validation.errors[0] };
+  }
+
+  const paramsValidation = validateGenerationParams({
+    ...(parameters && typeof parameters === "object" ? parameters : {}),
+    model,
+  });
+  if (!paramsValidation.isValid) {
+    return { isValid: false, message: paramsValidation.errors[0] };
+  }
+
+  if (provider !== undefined && !isKnownProvider(provider)) {
+    return { isValid: false, message: "Unknown AI provider" };
+  }
+
+  const { model: sanitizedModel, ...sanitizedParameters } =
+    paramsValidation.sanitized;
+
+  return {
+    isValid: true,
+    fields: {
+      title: validation.sanitized.title,
+      messages: validation.sanitized.messages,
+      provider,
+      model: sanitizedModel,
+      parameters: sanitizedParameters,
+    },
+  };
+};
+
+/**
+ * Format a conversation for API responses
+ */
+const toConversationResponse = (doc) => ({
+  id: doc._id.toString(),
+  title: doc.title,
+  messages: doc.messages.map(({ role, content }) => ({ role, content })),
+  provider: doc.provider,
+  model: doc.model,
+  parameters: doc.parameters,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+});
+
+/**
+ * GET /api/conversations
+ * List saved conversations, most recently updated first
+ *
+ * Query: { page?: number, limit?: number }
+ * Response Body: { success: boolean, items: Summary[], pagination: Object }
+ */
+router.get("/", async (req, res) => {
+  const validation = validatePageQuery(req.query);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_QUERY");
+  }
+
+  const { page, limit } = validation.sanitized;
+  const { items, total } = await Conversation.findPage({ page, limit });
+
+  res.json({
+    success: true,
+    items: items.map((item) => item.getSummary()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * GET /api/conversations/:id
+ * Fetch a saved conversation thread
+ *
+ * Response Body: {
+ *   success: boolean,
+ *   item: { id, title, messages, provider, model, parameters, createdAt, updatedAt }
+ * }
+ */
+router.get("/:id", validateObjectId("conversation"), async (req, res) => {
+  const doc = await Conversation.findById(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Conversation not found",
+        code: "CONVERSATION_NOT_FOUND",
+      },
+    });
+  }
+
+  res.json({ success: true, item: toConversationResponse(doc) });
+});
+
+/**
+ * POST /api/conversations
+ * Save a conversation thread
+ *
+ * Request Body: {
+ *   messages: { role: "system"|"user"|"assistant", content: string }[],
+ *   title?: string, provider?: string, model?: string,
+ *   parameters?: { temperature?, max_tokens?, top_p?, stop? }
+ * }
+ * Response Body: { success: boolean, id: string }
+ */
+router.post("/", validateRequest(["messages"]), async (req, res) => {
+  const startTime = Date.now();
+
+  const validation = validateConversationBody(req.body);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message, "INVALID_CONVERSATION");
+  }
+
+  const savedDoc = await withSaveTimeout(
+    new Conversation(validation.fields).save()
+  );
+
+  logger.info("Conversation saved successfully", {
+    duration: `${Date.now() - startTime}ms`,
+    documentId: savedDoc._id.toString(),
+    messageCount: savedDoc.messages.length,
+    ip: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    id: savedDoc._id.toString(),
+    message: "Conversation saved successfully",
+  });
+});
+
+/**
+ * PUT /api/conversations/:id
+ * Replace a saved conversation with its latest thread
+ *
+ * Request Body: same as POST /api/conversations
+ * Response Body: { success: boolean, id: string }
+ */
+router.put(
+  "/:id",
+  validateObjectId("conversation"),
+  validateRequest(["messages"]),
+  async (req, res) => {
+    const startTime = Date.now();
+
+    const validation = validateConversationBody(req.body);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.message, "INVALID_CONVERSATION");
+    }
+
+    const doc = await Conversation.findById(req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Conversation not found",
+          code: "CONVERSATION_NOT_FOUND",
+        },
+      });
+    }
+
+    doc.set(validation.fields);
+    const savedDoc = await withSaveTimeout(doc.save());
+
+    logger.info("Conversation updated successfully", {
+      duration: `${Date.now() - startTime}ms`,
+      documentId: savedDoc._id.toString(),
+      messageCount: savedDoc.messages.length,
+      ip: req.ip,
+    });
+
+    res.json({
+      success: true,
+      id: savedDoc._id.toString(),
+      message: "Conversation updated successfully",
+    });
+  }
+);
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a saved conversation
+ *
+ * Response Body: { success: boolean, id: string }
+ */
+router.delete("/:id", validateObjectId("conversation"), async (req, res) => {
+  const doc = await Conversation.findByIdAndDelete(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Conversation not found",
+        code: "CONVERSATION_NOT_FOUND",
+      },
+    });
+  }
+
+  logger.info("Conversation deleted", {
+    id: req.params.id,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    message: "Conversation deleted successfully",
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require("express");
+const Flow = require("../models/Flow");
+const logger = require("../utils/logger");
+const { withSaveTimeout } = require("../utils/withTimeout");
+const { ValidationError } = require("../utils/errors");
+const { validateFlowData, validatePageQuery } = require("../utils/validation");
+const {
+  validateRequest,
+  validateObjectId,
+} = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+/**
+ * Format a flow for API responses
+ */
+const toFlowResponse = (doc) => ({
+  id: doc._id.toString(),
+  name: doc.name,
+  nodes: doc.nodes.map((node) => node.toObject()),
+  edges: doc.edges.map((edge) => edge.toObject()),
+  viewport: {
+    x: doc.viewport.x,
+    y: doc.viewport.y,
+    zoom: doc.viewport.zoom,
+  },
+  variables: Object.fromEntries(doc.variables || []),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+});
+
+/**
+ * GET /api/flows
+ * List saved flows, most recently updated first
+ *
+ * Query: { page?: number, limit?: number }
+ * Response Body: { success: boolean, items: Summary[], pagination: Object }
+ */
+router.get("/", async (req, res) => {
+  const validation = validatePageQuery(req.query);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_QUERY");
+  }
+
+  const { page, limit } = validation.sanitized;
+  const { items, total } = await Flow.findPage({ page, limit });
+
+  res.json({
+    success: true,
+    items: items.map((item) => item.getSummary()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * GET /api/flows/:id
+ * Fetch a saved flow with its nodes, edges and viewport
+ *
+ * Response Body: {
+ *   success: boolean,
+ *   item: { id, name, nodes, edges, viewport, variables, createdAt, updatedAt }
+ * }
+ */
+router.get("/:id", validateObjectId("flow"), async (req, res) => {
+  const doc = await Flow.findById(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Flow not found",
+        code: "FLOW_NOT_FOUND",
+      },
+    });
+  }
+
+  res.json({ success: true, item: toFlowResponse(doc) });
+});
+
+/**
+ * POST /api/flows
+ * Save a flow canvas
+ *
+ * Request Body: {
+ *   name: string,
+ *   nodes: { id, type, position: { x, y }, data?, width?, height? }[],
+ *   edges: { id, source, target, sourceHandle?, targetHandle?, type?, animated? }[],
+ *   viewport?: { x, y, zoom }, variables?: { [name]: string }
+ * }
+ * Response Body: { success: boolean, id: string }
+ */
+router.post(
+  "/",
+  validateRequest(["name", "nodes", "edges"]),
+  async (req, res) => {
+    const startTime = Date.now();
+
+    const validation = validateFlowData(req.body);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors[0], "INVALID_FLOW");
+    }
+
+    const savedDoc = await withSaveTimeout(
+      new Flow(validation.sanitized).save()
+    );
+
+    logger.info("Flow saved successfully", {
+      duration: `${Date.now() - startTime}ms`,
+      documentId: savedDoc._id.toString(),
+      nodeCount: savedDoc.nodes.length,
+      ip: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      id: savedDoc._id.toString(),
+      message: "Flow saved successfully",
+    });
+  }
+);
+
+/**
+ * PUT /api/flows/:id
+ * Replace a saved flow with the current canvas
+ *
+ * Request Body: same as POST /api/flows
+ * Response Body: { success: boolean, id: string }
+ */
+router.put(
+  "/:id",
+  validateObjectId("flow"),
+  validateRequest(["name", "nodes", "edges"]),
+  async (req, res) => {
+    const startTime = Date.now();
+
+    const validation = validateFlowData(req.body);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors[0], "INVALID_FLOW");
+    }
+
+    const doc = await Flow.findById(req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Flow not found",
+          code: "FLOW_NOT_FOUND",
+        },
+      });
+    }
+
+    doc.set(validation.sanitized);
+    const savedDoc = await withSaveTimeout(doc.save());
+
+    logger.info("Flow updated successfully", {
+      duration: `${Date.now() - startTime}ms`,
+      documentId: savedDoc._id.toString(),
+      nodeCount: savedDoc.nodes.length,
+      ip: req.ip,
+    });
+
+    res.json({
+      success: true,
+      id: savedDoc._id.toString(),
+      message: "Flow updated successfully",
+    });
+  }
+);
+
+/**
+ * DELETE /api/flows/:id
+ * Delete a saved flow
+ *
+ * Response Body: { success: boolean, id: string }
+ */
+router.delete("/:id", validateObjectId("flow"), async (req, res) => {
+  const doc = await Flow.findByIdAndDelete(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Flow not found",
+        code: "FLOW_NOT_FOUND",
+      },
+    });
+  }
+
+  logger.info("Flow deleted", {
+    id: req.params.id,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    message: "Flow deleted successfully",
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const {
+  getProvider,
+  getDefaultProviderName,
+} = require("../services/providers");
+const { ProviderUnavailableError } = require("../utils/errors");
+
+const router = express.Router();
+
+/**
+ * Health checks
+ *   GET /health/live  - the process is up and serving requests
+ *   GET /health/ready - the dependencies it needs are usable too; answers
+ *                       503 otherwise so load balancers route around it
+ *
+ * Configuration:
+ *   HEALTH_REQUIRED        - Comma-separated checks that must pass for
+ *                            readiness: database, provider (default both)
+ *   HEALTH_PROVIDER_PING   - "true" to also call the default provider
+ *                            (also per probe with ?ping=true)
+ *   HEALTH_PING_TIMEOUT_MS - Time the ping may take (default 3000)
+ *   HEALTH_PING_CACHE_MS   - How long a ping result is reused (default 30000)
+ */
+
+const READY_STATES = {
+  0: "disconnected",
+  1: "connected",
+  2: "connecting",
+  3: "disconnecting",
+};
+
+/**
+ * Report the MongoDB connection state
+ */
+const checkDatabase = () => {
+  const { readyState } = mongoose.connection;
+
+  return {
+    status: readyState === 1 ? "up" : "down",
+    state: READY_STATES[readyState] || "unknown",
+  };
+};
+
+// Last ping result, so frequent probes do not each call the provider
+let lastPing = null;
+
+/**
+ * Call the provider's ping, reusing a recent result
+ */
+const pingProvider = async (provider) => {
+  const now = Date.now();
+  const { pingCacheMs, pingTimeoutMs } = config.health;
+
+  if (
+    lastPing &&
+    lastPing.provider === provider.name &&
+    now - lastPing.checkedAt < pingCacheMs
+  ) {
+    return lastPing.result;
+  }
+
+  const startTime = Date.now();
+  let timer = null;
+  let result;
+
+  try {
+    await Promise.race([
+      provider.ping(pingTimeoutMs),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new ProviderUnavailableError("Provider ping timeout")),
+          pingTimeoutMs
+        );
+      }),
+    ]);
+    result = { status: "up", latencyMs: Date.now() - startTime };
+  } catch (error) {
+    result = { status: "down", error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  lastPing = { provider: provider.name, checkedAt: now, result };
+  return result;
+};
+
+/**
+ * Report whether the default provider is configured, and reachable when
+ * `ping` is set
+ */
+const checkProvider = async (ping) => {
+  const name = getDefaultProviderName();
+
+  let provider;
+  try {
+    // Construction fails when required settings (e.g. an API key) are missing
+    provider = getProvider(name);
+  } catch (error) {
+    return {
+      status: "down",
+      name,
+      configured: false,
+      error: error.message,
+    };
+  }
+
+  const check = { status: "up", name, configured: true };
+  if (!ping) {
+    return check;
+  }
+
+  const pingResult = await pingProvider(provider);
+  return { ...check, status: pingResult.status, ping: pingResult };
+};
+
+/**
+ * GET /health
+ * Basic process status, kept for existing monitors
+ */
+router.get("/", (req, res) => {
+  res.json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+  });
+});
+
+/**
+ * GET /health/live
+ * Liveness: answers whenever the event loop is running
+ *
+ * Response Body: { status: "ok", timestamp: string, uptime: number }
+ */
+router.get("/live", (req, res) => {
+  res.json({
+    status: "ok",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * GET /health/ready
+ * Readiness: 200 when every required check is up, 503 otherwise
+ *
+ * Query: { ping?: "true" }
+ * Response Body: {
+ *   status: "ready" | "not_ready",
+ *   timestamp: string,
+ *   checks: {
+ *     database: { status: "up" | "down", state: string, required: boolean },
+ *     provider: {
+ *       status: "up" | "down", name: string, configured: boolean,
+ *       required: boolean, error?: string,
+ *       ping?: { status, latencyMs?, error? }
+ *     }
+ *   }
+ * }
+ */
+router.get("/ready", async (req, res) => {
+  const ping = req.query.ping === "true" || config.health.providerPing;
+  const { required } = config.health;
+
+  const results = {
+    database: checkDatabase(),
+    provider: await checkProvider(ping),
+  };
+
+  const checks = Object.fromEntries(
+    Object.entries(results).map(([name, result]) => [
+      name,
+      { ...result, required: required.includes(name) },
+    ])
+  );
+
+  const failing = Object.entries(checks)
+    .filter(([, check]) => check.required && check.status !== "up")
+    .map(([name]) => name);
+
+  if (failing.length > 0) {
+    logger.warn("Readiness check failed", { failing });
+  }
+
+  res.status(failing.length > 0 ? 503 : 200).json({
+    status: failing.length > 0 ? "not_ready" : "ready",
+    timestamp: new Date().toISOString(),
+    checks,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require("express");
+const PromptResponse = require("../models/PromptResponse");
+const logger = require("../utils/logger");
+const { ValidationError } = require("../utils/errors");
+const { validateHistoryQuery } = require("../utils/validation");
+const { validateObjectId } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+/**
+ * GET /api/history
+ * List saved prompt-response pairs, newest first by default
+ *
+ * Query: { page?: number, limit?: number, sort?: "newest"|"oldest"|"relevance", q?: string }
+ * Response Body: { success: boolean, items: Summary[], pagination: Object }
+ */
+router.get("/", async (req, res) => {
+  const startTime = Date.now();
+
+  const validation = validateHistoryQuery(req.query);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_QUERY");
+  }
+
+  const { page, limit, sort, query } = validation.sanitized;
+  const { items, total } = await PromptResponse.search({
+    query,
+    page,
+    limit,
+    sort,
+  });
+
+  logger.info("History list completed successfully", {
+    duration: `${Date.now() - startTime}ms`,
+    resultCount: items.length,
+    total,
+    search: Boolean(query),
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    items: items.map((item) => item.getSummary()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * GET /api/history/:id
+ * Fetch a single saved prompt-response pair
+ *
+ * Response Body: {
+ *   success: boolean,
+ *   item: {
+ *     id, prompt, response, system, provider, model, parameters, usage,
+ *     latencyMs, createdAt
+ *   }
+ * }
+ */
+router.get("/:id", validateObjectId("history record"), async (req, res) => {
+  const doc = await PromptResponse.findById(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "History record not found",
+        code: "HISTORY_NOT_FOUND",
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    item: {
+      id: doc._id.toString(),
+      prompt: doc.prompt,
+      response: doc.response,
+      system: doc.system,
+      provider: doc.provider,
+      model: doc.model,
+      parameters: doc.parameters,
+      usage: doc.usage?.totalTokens === undefined ? null : doc.usage,
+      latencyMs: doc.latencyMs ?? null,
+      createdAt: doc.createdAt,
+    },
+  });
+});
+
+/**
+ * DELETE /api/history/:id
+ * Delete a saved prompt-response pair
+ *
+ * Response Body: { success: boolean, id: string }
+ */
+router.delete("/:id", validateObjectId("history record"), async (req, res) => {
+  const doc = await PromptResponse.findByIdAndDelete(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "History record not found",
+        code: "HISTORY_NOT_FOUND",
+      },
+    });
+  }
+
+  logger.info("History record deleted", {
+    id: req.params.id,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    message: "History record deleted successfully",
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require("express");
+const PromptTemplate = require("../models/PromptTemplate");
+const logger = require("../utils/logger");
+const { withSaveTimeout } = require("../utils/withTimeout");
+const { ValidationError } = require("../utils/errors");
+const {
+  validateTemplateData,
+  validatePageQuery,
+} = require("../utils/validation");
+const {
+  validateRequest,
+  validateObjectId,
+} = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+/**
+ * Format a template for API responses
+ */
+const toTemplateResponse = (doc) => ({
+  id: doc._id.toString(),
+  name: doc.name,
+  template: doc.template,
+  description: doc.description,
+  variables: doc.variables,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+});
+
+/**
+ * GET /api/templates
+ * List saved prompt templates by name
+ *
+ * Query: { page?: number, limit?: number }
+ * Response Body: { success: boolean, items: Summary[], pagination: Object }
+ */
+router.get("/", async (req, res) => {
+  const validation = validatePageQuery(req.query);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_QUERY");
+  }
+
+  const { page, limit } = validation.sanitized;
+  const { items, total } = await PromptTemplate.findPage({ page, limit });
+
+  res.json({
+    success: true,
+    items: items.map((item) => item.getSummary()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * GET /api/templates/:id
+ * Fetch a saved prompt template
+ *
+ * Response Body: {
+ *   success: boolean,
+ *   item: { id, name, template, description, variables, createdAt, updatedAt }
+ * }
+ */
+router.get("/:id", validateObjectId("template"), async (req, res) => {
+  const doc = await PromptTemplate.findById(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Template not found",
+        code: "TEMPLATE_NOT_FOUND",
+      },
+    });
+  }
+
+  res.json({ success: true, item: toTemplateResponse(doc) });
+});
+
+/**
+ * POST /api/templates
+ * Save a prompt template
+ *
+ * Request Body: { name: string, template: string, description?: string }
+ * Response Body: { success: boolean, id: string, variables: string[] }
+ */
+router.post("/", validateRequest(["name", "template"]), async (req, res) => {
+  const startTime = Date.now();
+
+  const validation = validateTemplateData(req.body);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_TEMPLATE");
+  }
+
+  const savedDoc = await withSaveTimeout(
+    new PromptTemplate(validation.sanitized).save()
+  );
+
+  logger.info("Template saved successfully", {
+    duration: `${Date.now() - startTime}ms`,
+    documentId: savedDoc._id.toString(),
+    variableCount: savedDoc.variables.length,
+    ip: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    id: savedDoc._id.toString(),
+    variables: savedDoc.variables,
+    message: "Template saved successfully",
+  });
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a saved prompt template
+ *
+ * Response Body: { success: boolean, id: string }
+ */
+router.delete("/:id", validateObjectId("template"), async (req, res) => {
+  const doc = await PromptTemplate.findByIdAndDelete(req.params.id);
+
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: "Template not found",
+        code: "TEMPLATE_NOT_FOUND",
+      },
+    });
+  }
+
+  logger.info("Template deleted", {
+    id: req.params.id,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    id: req.params.id,
+    message: "Template deleted successfully",
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require("express");
+const UsageRecord = require("../models/UsageRecord");
+const logger = require("../utils/logger");
+const { ValidationError } = require("../utils/errors");
+const { estimateCost } = require("../utils/pricing");
+const { validateUsageQuery } = require("../utils/validation");
+
+const router = express.Router();
+
+/**
+ * Start an empty usage total
+ */
+const createTotal = (fields = {}) => ({
+  ...fields,
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  estimatedCost: 0,
+  unpricedTokens: 0,
+  totalLatencyMs: 0,
+  latencyCount: 0,
+});
+
+/**
+ * Add one aggregated day/model row to a total
+ */
+const addRow = (total, row, cost) => {
+  total.requests += row.requests;
+  total.promptTokens += row.promptTokens;
+  total.completionTokens += row.completionTokens;
+  total.totalTokens += row.totalTokens;
+  total.totalLatencyMs += row.totalLatencyMs;
+  total.latencyCount += row.latencyCount;
+
+  if (cost === null) {
+    total.unpricedTokens += row.totalTokens;
+  } else {
+    total.estimatedCost += cost;
+  }
+};
+
+/**
+ * Replace the running latency sums with an average
+ */
+const finishTotal = ({ totalLatencyMs, latencyCount, ...total }) => ({
+  ...total,
+  estimatedCost: Number(total.estimatedCost.toFixed(6)),
+  averageLatencyMs:
+    latencyCount > 0 ? Math.round(totalLatencyMs / latencyCount) : null,
+});
+
+/**
+ * Roll per-day, per-model rows up into totals by day and by model
+ */
+const summarizeUsage = (rows) => {
+  const totals = createTotal();
+  const byDay = new Map();
+  const byModel = new Map();
+
+  for (const { _id, ...row } of rows) {
+    const cost = estimateCost(_id.model, row);
+
+    if (!byDay.has(_id.date)) {
+      byDay.set(_id.date, createTotal({ date: _id.date }));
+    }
+    if (!byModel.has(_id.model)) {
+      byModel.set(_id.model, createTotal({ model: _id.model }));
+    }
+
+    addRow(totals, row, cost);
+    addRow(byDay.get(_id.date), row, cost);
+    addRow(byModel.get(_id.model), row, cost);
+  }
+
+  return {
+    totals: finishTotal(totals),
+    byDay: [...byDay.values()].map(finishTotal),
+    byModel: [...byModel.values()]
+      .map(finishTotal)
+      .sort((a, b) => b.totalTokens - a.totalTokens),
+  };
+};
+
+/**
+ * GET /api/usage
+ * Token usage and estimated cost of AI requests per day and per model
+ *
+ * Query: { from?: date, to?: date } (defaults to the last 30 days)
+ * Response Body: {
+ *   success: boolean, from: string, to: string,
+ *   totals: Total, byDay: (Total & { date })[], byModel: (Total & { model })[]
+ * }
+ * where Total is { requests, promptTokens, completionTokens, totalTokens,
+ *   estimatedCost, unpricedTokens, averageLatencyMs }
+ *
+ * Every completed provider call counts, saved or not; responses served
+ * from the cache do not. `estimatedCost` is in USD and only covers models
+ * with a known price; tokens from other models are counted in
+ * `unpricedTokens`.
+ */
+router.get("/", async (req, res) => {
+  const startTime = Date.now();
+
+  const validation = validateUsageQuery(req.query);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors[0], "INVALID_QUERY");
+  }
+
+  const { from, to } = validation.sanitized;
+  const rows = await UsageRecord.aggregateUsage({ from, to });
+
+  logger.info("Usage report completed successfully", {
+    duration: `${Date.now() - startTime}ms`,
+    rowCount: rows.length,
+    ip: req.ip,
+  });
+
+  res.json({
+    success: true,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    ...summarizeUsage(rows),
+  });
+});
+
+module.exports = router;
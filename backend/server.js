@@ -1,19 +1,19 @@
+// Loads and validates the environment first; exits on invalid settings
+const { config } = require("./config");
 const express = require("express");
 const cors = require("cors");
-const dotenv = require("dotenv");
 const connectDB = require("./config/database");
 const logger = require("./utils/logger");
+const { renderMetrics } = require("./services/metrics");
+const { requestId } = require("./middleware/requestId");
+const { createRateLimiter } = require("./middleware/rateLimiter");
 const {
-  rateLimiter,
   requestTimeout,
   globalErrorHandler,
   notFoundHandler,
   gracefulShutdown,
 } = require("./middleware/errorHandler");
 
-// Load environment variables
-dotenv.config();
-
 // Connect to database (don't exit on failure for testing)
 connectDB().catch((err) => {
   logger.error("Database connection failed, continuing without database", {
@@ -23,44 +23,57 @@ connectDB().catch((err) => {
 });
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.server.port;
 
 // Trust proxy for accurate IP addresses
 app.set("trust proxy", 1);
 
+// Tag every request, its log lines and error responses with an ID
+app.use(requestId);
+
 // Security middleware
 app.use(
   cors({
-    origin: process.env.FRONTEND_URL || "http://localhost:5173",
+    origin: config.server.frontendUrl,
     credentials: true,
+    // Let the frontend read the ID to show with errors
+    exposedHeaders: ["X-Request-Id"],
   })
 );
 
 // Request parsing middleware with limits
 app.use(
   express.json({
-    limit: "10mb",
+    limit: config.server.bodyLimit,
     strict: true,
   })
 );
 app.use(
   express.urlencoded({
     extended: true,
-    limit: "10mb",
+    limit: config.server.bodyLimit,
   })
 );
 
 // Request logging middleware
 app.use(logger.logRequest.bind(logger));
 
-// Rate limiting middleware
-app.use("/api", rateLimiter);
+// Rate limiting middleware, with a policy per kind of request
+app.use("/api", createRateLimiter());
 
 // Request timeout middleware
-app.use(requestTimeout(30000)); // 30 second timeout
+app.use(requestTimeout(config.server.requestTimeoutMs));
 
 // Import routes
 const aiRoutes = require("./routes/ai");
+const historyRoutes = require("./routes/history");
+const conversationRoutes = require("./routes/conversations");
+const comparisonRoutes = require("./routes/comparisons");
+const templateRoutes = require("./routes/templates");
+const flowRoutes = require("./routes/flows");
+const usageRoutes = require("./routes/usage");
+const adminRoutes = require("./routes/admin");
+const healthRoutes = require("./routes/health");
 
 // Basic route for testing
 app.get("/", (req, res) => {
@@ -71,17 +84,22 @@ app.get("/", (req, res) => {
   });
 });
 
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({
-    status: "OK",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-  });
+// Health checks: /health, /health/live, /health/ready
+app.use("/health", healthRoutes);
+
+// Prometheus metrics
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
 });
 
 // API routes
+app.use("/api/history", historyRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/comparisons", comparisonRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/flows", flowRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/admin", adminRoutes);
 app.use("/api", aiRoutes);
 
 // 404 handler for undefined routes
@@ -94,7 +112,7 @@ app.use(globalErrorHandler);
 const server = app.listen(PORT, () => {
   logger.info(`Server started successfully`, {
     port: PORT,
-    environment: process.env.NODE_ENV || "development",
+    environment: config.env,
     nodeVersion: process.version,
   });
 });
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const { Counter, Gauge, Histogram, Registry } = require("../utils/metrics");
+
+/**
+ * Application metrics, served by GET /metrics
+ * HTTP metrics are recorded by logger.logRequest, the others by the code
+ * that does the work (AI routes, rate limiter, model plugins).
+ */
+
+const registry = new Registry();
+
+const httpRequestsTotal = registry.register(
+  new Counter({
+    name: "http_requests_total",
+    help: "HTTP requests handled, by route and status code",
+    labelNames: ["method", "route", "status"],
+  })
+);
+
+const httpRequestDuration = registry.register(
+  new Histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency, by route and status code",
+    labelNames: ["method", "route", "status"],
+  })
+);
+
+const aiRequestsTotal = registry.register(
+  new Counter({
+    name: "ai_requests_total",
+    help: "AI provider calls, by model and outcome (success, error or cancelled)",
+    labelNames: ["provider", "model", "outcome"],
+  })
+);
+
+const aiRequestDuration = registry.register(
+  new Histogram({
+    name: "ai_request_duration_seconds",
+    help: "AI provider call latency, including retries",
+    labelNames: ["provider", "model"],
+    buckets: [0.5, 1, 2.5, 5, 10, 15, 20, 30],
+  })
+);
+
+const aiErrorsTotal = registry.register(
+  new Counter({
+    name: "ai_errors_total",
+    help: "Failed AI provider calls, by model and error code",
+    labelNames: ["provider", "model", "code"],
+  })
+);
+
+const rateLimitRejectionsTotal = registry.register(
+  new Counter({
+    name: "rate_limit_rejections_total",
+    help: "Requests rejected by the rate limiter, by policy",
+    labelNames: ["policy"],
+  })
+);
+
+const dbSaveDuration = registry.register(
+  new Histogram({
+    name: "db_save_duration_seconds",
+    help: "MongoDB document save latency, by model",
+    labelNames: ["model", "outcome"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5, 10],
+  })
+);
+
+registry.register(
+  new Gauge({
+    name: "mongodb_connection_state",
+    help: "Mongoose connection state: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting",
+    collect: (gauge) => gauge.set({}, mongoose.connection.readyState),
+  })
+);
+
+registry.register(
+  new Gauge({
+    name: "process_resident_memory_bytes",
+    help: "Resident memory size in bytes",
+    collect: (gauge) => gauge.set({}, process.memoryUsage().rss),
+  })
+);
+
+registry.register(
+  new Gauge({
+    name: "process_uptime_seconds",
+    help: "Seconds since the process started",
+    collect: (gauge) => gauge.set({}, Math.round(process.uptime())),
+  })
+);
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Route pattern, e.g. /api/history/:id
+ * @param {number} request.status - Response status code
+ * @param {number} request.durationMs - Time to finish the response
+ */
+const recordHttpRequest = ({ method, route, status, durationMs }) => {
+  const labels = { method, route, status };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationMs / 1000);
+};
+
+/**
+ * Record a finished AI provider call
+ * @param {Object} call
+ * @param {string} call.provider - Provider name
+ * @param {string} call.model - Model that answered, or the one requested
+ * @param {number} call.durationMs - Time the call took
+ * @param {string} call.errorCode - Error code when the call failed
+ */
+const recordAIRequest = ({ provider, model, durationMs, errorCode }) => {
+  // A client that went away is not a provider failure
+  const isCancelled = errorCode === "REQUEST_CANCELLED";
+
+  aiRequestsTotal.inc({
+    provider,
+    model,
+    outcome: isCancelled ? "cancelled" : errorCode ? "error" : "success",
+  });
+  aiRequestDuration.observe({ provider, model }, durationMs / 1000);
+
+  if (errorCode && !isCancelled) {
+    aiErrorsTotal.inc({ provider, model, code: errorCode });
+  }
+};
+
+/**
+ * Record a request rejected by the rate limiter
+ * @param {string} policy - Rate limit policy name
+ */
+const recordRateLimitRejection = (policy) => {
+  rateLimitRejectionsTotal.inc({ policy });
+};
+
+/**
+ * Record a document save
+ * @param {string} model - Mongoose model name
+ * @param {number} durationMs - Time the save took
+ * @param {boolean} failed - Whether the save failed
+ */
+const recordDbSave = (model, durationMs, failed = false) => {
+  dbSaveDuration.observe(
+    { model, outcome: failed ? "error" : "success" },
+    durationMs / 1000
+  );
+};
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string}
+ */
+const renderMetrics = () => registry.render();
+
+module.exports = {
+  recordHttpRequest,
+  recordAIRequest,
+  recordRateLimitRejection,
+  recordDbSave,
+  renderMetrics,
+};
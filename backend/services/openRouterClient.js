@@ -1,180 +1,167 @@
-const https = require("https");
+const OpenAICompatibleProvider = require("./providers/openAICompatibleProvider");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const { ProviderUnavailableError } = require("../utils/errors");
+const {
+  isTransientError,
+  parseRetryAfter,
+  getBackoffDelay,
+  sleep,
+} = require("../utils/retry");
 
 /**
  * OpenRouter API Client
  * Handles secure communication with OpenRouter API for AI model interactions
+ *
+ * Transient failures (429, 5xx, network errors and timeouts) are retried
+ * with jittered exponential backoff, honoring Retry-After. When a model
+ * keeps failing, the request falls through OPENROUTER_FALLBACK_MODELS in
+ * order before giving up.
+ *
+ * Configuration:
+ *   OPENROUTER_MAX_RETRIES         - Retries per model (default 2)
+ *   OPENROUTER_RETRY_BASE_DELAY_MS - Backoff before the first retry (default 500)
+ *   OPENROUTER_RETRY_MAX_DELAY_MS  - Cap on a single backoff delay (default 8000)
+ *   OPENROUTER_FALLBACK_MODELS     - Comma-separated models tried in order
  */
-class OpenRouterClient {
+class OpenRouterClient extends OpenAICompatibleProvider {
   constructor() {
-    this.apiKey = process.env.OPENROUTER_API_KEY;
-    this.baseUrl = "https://openrouter.ai/api/v1";
-    this.siteUrl = process.env.SITE_URL || "http://localhost:3000";
+    const { siteUrl } = config.server;
+    const { apiKey, fallbackModels } = config.openRouter;
 
     // Free models available on OpenRouter (verified working)
-    this.freeModels = ["mistralai/mistral-7b-instruct:free"];
-
-    // Default to Mistral model (since it's working)
-    this.defaultModel = this.freeModels[0];
-
-    if (!this.apiKey) {
-      throw new Error("OPENROUTER_API_KEY environment variable is required");
-    }
-  }
+    const freeModels = ["mistralai/mistral-7b-instruct:free"];
+
+    super({
+      name: "openrouter",
+      displayName: "OpenRouter",
+      baseUrl: "https://openrouter.ai/api/v1",
+      apiKey,
+      apiKeyEnvVar: "OPENROUTER_API_KEY",
+      // Fallback models can also be requested directly
+      models: [...new Set([...freeModels, ...fallbackModels])],
+      // Default to Mistral model (since it's working)
+      defaultModel: freeModels[0],
+      headers: {
+        "HTTP-Referer": siteUrl,
+        "X-Title": "AI Flow Visualizer",
+      },
+    });
 
-  /**
-   * Get the default free model
-   * @returns {string} Model identifier
-   */
-  getDefaultModel() {
-    return this.defaultModel;
+    this.siteUrl = siteUrl;
+    this.freeModels = freeModels;
+    this.fallbackModels = fallbackModels;
+    this.retryPolicy = {
+      maxRetries: config.openRouter.maxRetries,
+      baseDelay: config.openRouter.retryBaseDelayMs,
+      maxDelay: config.openRouter.retryMaxDelayMs,
+    };
   }
 
   /**
-   * Get all available free models
+   * Get all available models, including configured fallbacks
    * @returns {string[]} Array of model identifiers
    */
   getAvailableModels() {
-    return [...this.freeModels];
+    return [...this.models];
   }
 
   /**
-   * Make a chat completion request to OpenRouter API
-   * @param {string} prompt - User prompt text
-   * @param {string} model - Optional model override
-   * @returns {Promise<string>} AI response text
+   * Check that OpenRouter answers and accepts the API key; unlike /models,
+   * /auth/key rejects a bad key
+   * @param {number} timeoutMs - Socket timeout for the check
+   * @returns {Promise<void>}
    */
-  async chatCompletion(prompt, model = null) {
-    if (!prompt || typeof prompt !== "string" || prompt.trim().length === 0) {
-      throw new Error("Prompt is required and must be a non-empty string");
-    }
-
-    const selectedModel = model || this.defaultModel;
-
-    if (!this.freeModels.includes(selectedModel)) {
-      throw new Error(
-        `Model ${selectedModel} is not available. Available models: ${this.freeModels.join(
-          ", "
-        )}`
-      );
-    }
-
-    const requestData = {
-      model: selectedModel,
-      messages: [
-        {
-          role: "user",
-          content: prompt.trim(),
-        },
-      ],
-    };
-
+  async ping(timeoutMs = 5000) {
     try {
-      const response = await this._makeRequest(
-        "/chat/completions",
-        requestData
-      );
-
-      if (!response.choices || response.choices.length === 0) {
-        throw new Error("No response choices received from OpenRouter API");
-      }
-
-      const aiResponse = response.choices[0]?.message?.content;
-
-      if (!aiResponse) {
-        throw new Error("Invalid response format from OpenRouter API");
-      }
-
-      return aiResponse;
+      await this._makeRequest("/auth/key", null, "GET", timeoutMs);
     } catch (error) {
-      console.error("OpenRouter API error:", error.message);
-
-      // Re-throw with more specific error messages
-      if (error.message.includes("401")) {
-        throw new Error("Invalid OpenRouter API key");
-      } else if (error.message.includes("429")) {
-        throw new Error("Rate limit exceeded. Please try again later");
-      } else if (error.message.includes("500")) {
-        throw new Error("OpenRouter API service unavailable");
-      } else if (
-        error.message.includes("ENOTFOUND") ||
-        error.message.includes("ECONNREFUSED")
-      ) {
-        throw new Error("Unable to connect to OpenRouter API");
-      }
-
-      throw error;
+      throw this._mapError(error);
     }
   }
 
   /**
-   * Make HTTP request to OpenRouter API
-   * @private
-   * @param {string} endpoint - API endpoint path
-   * @param {Object} data - Request payload
-   * @returns {Promise<Object>} API response
+   * Make a chat completion request, retrying transient failures and falling
+   * back to the next configured model when one keeps failing
+   * @param {string|Object[]} prompt - User prompt text, or { role, content } chat messages
+   * @param {string} model - Optional model override; tried before the fallbacks
+   * @param {Object} options - Generation parameters (temperature, max_tokens, top_p, stop), plus:
+   * @param {number} options.deadline - Epoch ms by which the last attempt must finish
+   * @param {AbortSignal} options.signal - Aborts the current attempt and any retries
+   * @returns {Promise<CompletionResult>} AI response and request details;
+   *   `model` is the model that answered and `attempts` counts every call
    */
-  _makeRequest(endpoint, data) {
-    return new Promise((resolve, reject) => {
-      const postData = JSON.stringify(data);
-
-      const options = {
-        hostname: "openrouter.ai",
-        port: 443,
-        path: `/api/v1${endpoint}`,
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          "Content-Type": "application/json",
-          "Content-Length": Buffer.byteLength(postData),
-          "HTTP-Referer": this.siteUrl,
-          "X-Title": "AI Flow Visualizer",
-        },
-      };
-
-      const req = https.request(options, (res) => {
-        let responseData = "";
-
-        res.on("data", (chunk) => {
-          responseData += chunk;
-        });
-
-        res.on("end", () => {
-          try {
-            const parsedResponse = JSON.parse(responseData);
-
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(parsedResponse);
-            } else {
-              const errorMessage =
-                parsedResponse.error?.message ||
-                `HTTP ${res.statusCode}: ${responseData}`;
-              reject(new Error(errorMessage));
-            }
-          } catch (parseError) {
-            reject(
-              new Error(
-                `Failed to parse API response: ${parseError.message}. Response: ${responseData}`
-              )
-            );
+  async chatCompletion(prompt, model = null, options = {}) {
+    this._assertPrompt(prompt);
+
+    const { deadline = Infinity, ...generation } = options;
+    const selectedModel = this._selectModel(model);
+    const candidates = [
+      selectedModel,
+      ...this.fallbackModels.filter((fallback) => fallback !== selectedModel),
+    ];
+
+    const startTime = Date.now();
+    let attempt = 0;
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      for (let retry = 0; retry <= this.retryPolicy.maxRetries; retry++) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          break;
+        }
+
+        attempt += 1;
+
+        try {
+          const result = await this._requestCompletion(
+            prompt,
+            candidate,
+            generation,
+            Math.min(this.socketTimeoutMs, remaining)
+          );
+          return {
+            ...result,
+            latencyMs: Date.now() - startTime,
+            attempts: attempt,
+          };
+        } catch (error) {
+          lastError = error;
+          logger.error("AI provider request failed", {
+            provider: this.name,
+            model: candidate,
+            attempt,
+            statusCode: error.statusCode,
+            error: error.message,
+          });
+
+          if (!isTransientError(error)) {
+            throw this._mapError(error);
           }
+        }
+
+        if (retry === this.retryPolicy.maxRetries) {
+          break;
+        }
+
+        // Wait out the backoff only if another attempt still fits the budget
+        const delay =
+          parseRetryAfter(lastError.retryAfter) ??
+          getBackoffDelay(retry + 1, this.retryPolicy);
+        if (Date.now() + delay >= deadline) {
+          break;
+        }
+        await sleep(delay, {
+          signal: generation.signal,
+          createAbortError: () => this._createCancelledError(),
         });
-      });
-
-      req.on("error", (error) => {
-        reject(new Error(`Request failed: ${error.message}`));
-      });
-
-      req.on("timeout", () => {
-        req.destroy();
-        reject(new Error("Request timeout"));
-      });
-
-      // Set timeout to 30 seconds
-      req.setTimeout(30000);
+      }
+    }
 
-      req.write(postData);
-      req.end();
-    });
+    throw this._mapError(
+      lastError || new ProviderUnavailableError("AI request timeout")
+    );
   }
 }
 
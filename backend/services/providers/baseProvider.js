@@ -0,0 +1,289 @@
+const {
+  AppError,
+  ValidationError,
+  ProviderError,
+  ProviderAuthError,
+  ProviderRateLimitError,
+  ProviderUnavailableError,
+  RequestCancelledError,
+} = require("../../utils/errors");
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Tokens in the prompt and messages
+ * @property {number} completionTokens - Tokens in the generated reply
+ * @property {number} totalTokens - Sum of both
+ */
+
+/**
+ * @typedef {Object} CompletionResult
+ * @property {string} content - AI response text
+ * @property {string} model - Model that answered
+ * @property {TokenUsage|null} usage - Token counts, when the API reports them
+ * @property {number} latencyMs - Time from request to full response
+ * @property {number} attempts - Upstream calls made, including retries
+ */
+
+/**
+ * Base LLM Provider
+ * Defines the interface every LLM provider implements. Routes talk to this
+ * interface so providers can be swapped per request or by configuration.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider identifier used in requests
+   * @param {string} options.displayName - Human-readable provider name
+   */
+  constructor({ name, displayName }) {
+    this.name = name;
+    this.displayName = displayName || name;
+  }
+
+  /**
+   * Get the model used when a request does not name one
+   * @returns {string} Model identifier
+   */
+  getDefaultModel() {
+    throw new Error(
+      `${this.displayName} provider must implement getDefaultModel`
+    );
+  }
+
+  /**
+   * Resolve a request's model to the one the provider will use
+   * Routes call this before responding, so an unknown model is rejected the
+   * same way whether or not the response is streamed.
+   * @param {string} model - Requested model, or empty for the default
+   * @returns {string} Model identifier
+   * @throws {InvalidModelError} When the provider does not serve the model
+   */
+  resolveModel(model) {
+    return this._selectModel(model);
+  }
+
+  /**
+   * Check whether a model is the default or one of the configured models
+   * A provider without a configured list may accept any model name, so
+   * this is narrower than what resolveModel allows.
+   * @param {string} model - Model identifier
+   * @returns {boolean}
+   */
+  isConfiguredModel(model) {
+    return (
+      model === this.getDefaultModel() || (this.models || []).includes(model)
+    );
+  }
+
+  /**
+   * List the models this provider can serve
+   * @returns {Promise<string[]>} Array of model identifiers
+   */
+  async listModels() {
+    throw new Error(`${this.displayName} provider must implement listModels`);
+  }
+
+  /**
+   * Make a chat completion request
+   * @param {string|Object[]} prompt - User prompt text, or { role, content } chat messages
+   * @param {string} model - Optional model override
+   * @param {Object} options - Generation parameters (temperature, max_tokens, top_p, stop), plus:
+   * @param {AbortSignal} options.signal - Aborts the upstream request
+   * @returns {Promise<CompletionResult>} AI response and request details;
+   *   rejects with RequestCancelledError once `signal` aborts
+   */
+  async chatCompletion(prompt, model = null, options = {}) {
+    throw new Error(
+      `${this.displayName} provider must implement chatCompletion`
+    );
+  }
+
+  /**
+   * Stream a chat completion token by token
+   * @param {string|Object[]} prompt - User prompt text, or { role, content } chat messages
+   * @param {string} model - Optional model override
+   * @param {Function} onToken - Called with each content delta as it arrives
+   * @param {Object} options - Generation parameters (temperature, max_tokens, top_p, stop), plus:
+   * @param {AbortSignal} options.signal - Aborts the upstream request
+   * @returns {Promise<CompletionResult>} Full AI response once the stream ends;
+   *   rejects with RequestCancelledError once `signal` aborts
+   */
+  async streamChatCompletion(
+    prompt,
+    model = null,
+    onToken = () => {},
+    options = {}
+  ) {
+    throw new Error(
+      `${this.displayName} provider must implement streamChatCompletion`
+    );
+  }
+
+  /**
+   * Check that the provider can be reached, for readiness probes. The
+   * default lists the models; override it when that does not call the API.
+   * @param {number} timeoutMs - Time the check may take
+   * @returns {Promise<void>} Rejects with a provider error when unreachable
+   */
+  async ping(timeoutMs = 5000) {
+    await this.listModels();
+  }
+
+  /**
+   * Wrap any error that is not already typed as a provider error
+   * @protected
+   * @param {Error} error - Original error
+   * @returns {AppError} Error to throw
+   */
+  _mapError(error) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new ProviderError(
+      `${this.displayName} request failed: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  /**
+   * Build the typed error for an HTTP error status from the API
+   * @protected
+   * @param {number} statusCode - HTTP status
+   * @param {string} message - Error message from the response body
+   * @param {string} retryAfter - Raw Retry-After header, if any
+   * @returns {ProviderError} Error carrying `statusCode`
+   */
+  _createStatusError(statusCode, message, retryAfter) {
+    const description = `${this.displayName} API HTTP ${statusCode}: ${message}`;
+    let error;
+
+    if (statusCode === 401 || statusCode === 403) {
+      error = new ProviderAuthError(description);
+    } else if (statusCode === 429) {
+      error = new ProviderRateLimitError(description, { retryAfter });
+    } else if ([408, 502, 503, 504].includes(statusCode)) {
+      error = new ProviderUnavailableError(description);
+    } else {
+      error = new ProviderError(description);
+    }
+
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Build the typed error for a request that never got a response
+   * @protected
+   * @param {string} reason - Network error message, or "timeout"
+   * @returns {ProviderUnavailableError}
+   */
+  _createConnectionError(reason) {
+    return new ProviderUnavailableError(
+      reason === "timeout"
+        ? `${this.displayName} API request timeout`
+        : `Unable to connect to ${this.displayName} API: ${reason}`
+    );
+  }
+
+  /**
+   * Build the error for a request aborted through its AbortSignal
+   * @protected
+   * @returns {RequestCancelledError}
+   */
+  _createCancelledError() {
+    return new RequestCancelledError(`${this.displayName} request cancelled`);
+  }
+
+  /**
+   * Convert an OpenAI-style `usage` block to token counts
+   * @protected
+   * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+   * @returns {TokenUsage|null} Token counts, or null when none were reported
+   */
+  _normalizeUsage(usage) {
+    if (!usage || typeof usage !== "object") {
+      return null;
+    }
+
+    const promptTokens = Number(usage.prompt_tokens) || 0;
+    const completionTokens = Number(usage.completion_tokens) || 0;
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens:
+        Number(usage.total_tokens) || promptTokens + completionTokens,
+    };
+  }
+
+  /**
+   * Pick the supported generation parameters out of request options
+   * @protected
+   * @param {Object} options - Request options
+   * @returns {Object} Parameters to send with the completion request
+   */
+  _buildGenerationParams(options = {}) {
+    const params = {};
+    for (const key of ["temperature", "max_tokens", "top_p", "stop"]) {
+      if (options[key] !== undefined) {
+        params[key] = options[key];
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Validate the prompt shared by every completion method
+   * @protected
+   * @param {string|Object[]} prompt - User prompt text, or chat messages
+   */
+  _assertPrompt(prompt) {
+    if (Array.isArray(prompt)) {
+      if (prompt.length === 0) {
+        throw new ValidationError(
+          "Messages must be a non-empty array",
+          "INVALID_MESSAGES"
+        );
+      }
+      return;
+    }
+
+    if (!prompt || typeof prompt !== "string" || prompt.trim().length === 0) {
+      throw new ValidationError(
+        "Prompt is required and must be a non-empty string",
+        "INVALID_PROMPT"
+      );
+    }
+  }
+
+  /**
+   * Pick the model for a request; providers with a fixed model list
+   * override this to reject other models
+   * @protected
+   * @param {string} model - Requested model, or empty for the default
+   * @returns {string} Model identifier
+   */
+  _selectModel(model) {
+    return model || this.getDefaultModel();
+  }
+
+  /**
+   * Get the text of the latest user turn
+   * @protected
+   * @param {string|Object[]} prompt - User prompt text, or chat messages
+   * @returns {string} Prompt text
+   */
+  _getPromptText(prompt) {
+    if (!Array.isArray(prompt)) {
+      return prompt;
+    }
+
+    const lastUserMessage = [...prompt]
+      .reverse()
+      .find((message) => message.role === "user");
+    return lastUserMessage ? lastUserMessage.content : "";
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,66 @@
+const OpenRouterClient = require("../openRouterClient");
+const OpenAICompatibleProvider = require("./openAICompatibleProvider");
+const MockProvider = require("./mockProvider");
+const { config, isMockEnabled } = require("../../config");
+const { ProviderConfigError } = require("../../utils/errors");
+
+/**
+ * LLM provider registry
+ * Providers are created on first use and reused for later requests. The
+ * mock is only registered where isMockEnabled allows it, so production
+ * requests cannot pick it unless MOCK_LLM_ENABLED is set.
+ */
+const providerFactories = {
+  openrouter: () => new OpenRouterClient(),
+  "openai-compatible": () => new OpenAICompatibleProvider(),
+  ...(isMockEnabled(config) && { mock: () => new MockProvider() }),
+};
+
+const instances = new Map();
+
+/**
+ * Get the names of all registered providers
+ * @returns {string[]} Provider names
+ */
+const getProviderNames = () => Object.keys(providerFactories);
+
+/**
+ * Get the provider used when a request does not name one
+ * @returns {string} Provider name from LLM_PROVIDER, defaulting to OpenRouter
+ */
+const getDefaultProviderName = () => config.ai.provider;
+
+/**
+ * Check whether a provider name is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+const isKnownProvider = (name) =>
+  Object.prototype.hasOwnProperty.call(providerFactories, name);
+
+/**
+ * Get a provider instance by name, or the default provider
+ * @param {string} name - Optional provider name
+ * @returns {BaseProvider} Provider instance
+ */
+const getProvider = (name = null) => {
+  const providerName = name || getDefaultProviderName();
+
+  if (!isKnownProvider(providerName)) {
+    throw new ProviderConfigError(`Unknown LLM provider: ${providerName}`);
+  }
+
+  // Construction throws on missing configuration, so only cache successes
+  if (!instances.has(providerName)) {
+    instances.set(providerName, providerFactories[providerName]());
+  }
+
+  return instances.get(providerName);
+};
+
+module.exports = {
+  getProvider,
+  getProviderNames,
+  getDefaultProviderName,
+  isKnownProvider,
+};
@@ -0,0 +1,261 @@
+const BaseProvider = require("./baseProvider");
+const { config } = require("../../config");
+const { ProviderError, InvalidModelError } = require("../../utils/errors");
+const { sleep } = require("../../utils/retry");
+
+// Failure scenarios and the provider error each one simulates
+const FAILURE_SCENARIOS = {
+  401: (provider) =>
+    provider._createStatusError(401, "No auth credentials found"),
+  429: (provider) =>
+    provider._createStatusError(
+      429,
+      "Rate limit exceeded: free-models-per-min"
+    ),
+  500: (provider) => provider._createStatusError(500, "Internal Server Error"),
+  malformed: () =>
+    new ProviderError(
+      "Failed to parse API response: Unexpected token '<', \"<html>\" is not valid JSON. Response: <html>"
+    ),
+  unreachable: (provider) =>
+    provider._createConnectionError("connect ECONNREFUSED 127.0.0.1:443"),
+};
+
+// Prompts can pick a scenario per request, e.g. "[mock:429] hello"
+const SCENARIO_DIRECTIVE = /\[mock:(\w+)\]/;
+
+/**
+ * Mock LLM Provider
+ * Deterministic, offline provider for development and tests. Returns echo
+ * (of the latest user message) or scripted responses and can simulate latency, HTTP errors, malformed
+ * responses and timeouts so every error branch can be exercised. Token
+ * usage is estimated at four characters per token.
+ *
+ * Configuration:
+ *   MOCK_LLM_RESPONSES  - JSON array of scripted responses, returned in
+ *                         order and cycled; echoes the prompt when unset
+ *   MOCK_LLM_LATENCY_MS - Delay before responding (and between streamed tokens)
+ *   MOCK_LLM_FAILURE    - Make every request fail: 401, 429, 500, malformed,
+ *                         unreachable or timeout
+ *   MOCK_LLM_TIMEOUT_MS - How long the timeout scenario hangs before failing
+ */
+class MockProvider extends BaseProvider {
+  constructor({
+    responses = config.mock.responses,
+    latencyMs = config.mock.latencyMs,
+    failure = config.mock.failure,
+    timeoutMs = config.mock.timeoutMs,
+  } = {}) {
+    super({ name: "mock", displayName: "Mock" });
+
+    this.responses = responses;
+    this.latencyMs = latencyMs;
+    this.failure = failure || null;
+    this.timeoutMs = timeoutMs;
+    this.models = ["mock-echo"];
+    this.defaultModel = this.models[0];
+    this.callCount = 0;
+
+    if (this.failure && !this._isKnownScenario(this.failure)) {
+      throw new Error(`Unknown MOCK_LLM_FAILURE scenario: ${this.failure}`);
+    }
+  }
+
+  /**
+   * Get the default model
+   * @returns {string} Model identifier
+   */
+  getDefaultModel() {
+    return this.defaultModel;
+  }
+
+  /**
+   * List the mock models
+   * @returns {Promise<string[]>} Array of model identifiers
+   */
+  async listModels() {
+    return [...this.models];
+  }
+
+  /**
+   * Succeed, or fail as the configured failure scenario would
+   * @returns {Promise<void>}
+   */
+  async ping() {
+    await this._simulateFailure("");
+  }
+
+  /**
+   * Return a scripted or echo response after the configured latency
+   * @param {string|Object[]} prompt - User prompt text, or chat messages
+   * @param {string} model - Optional model override
+   * @param {Object} options - Generation parameters (accepted but ignored),
+   *   and the `signal` that cancels the simulated request
+   * @returns {Promise<CompletionResult>} AI response and request details
+   */
+  async chatCompletion(prompt, model = null, options = {}) {
+    this._assertPrompt(prompt);
+    const selectedModel = this._selectModel(model);
+    const startTime = Date.now();
+
+    try {
+      await this._delay(this.latencyMs, options.signal);
+      await this._simulateFailure(prompt, options.signal);
+      return this._buildResult(
+        prompt,
+        this._nextResponse(prompt),
+        selectedModel,
+        startTime
+      );
+    } catch (error) {
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Stream a scripted or echo response word by word
+   * @param {string|Object[]} prompt - User prompt text, or chat messages
+   * @param {string} model - Optional model override
+   * @param {Function} onToken - Called with each content delta as it arrives
+   * @param {Object} options - Generation parameters (accepted but ignored),
+   *   and the `signal` that cancels the simulated request
+   * @returns {Promise<CompletionResult>} Full AI response once the stream ends
+   */
+  async streamChatCompletion(
+    prompt,
+    model = null,
+    onToken = () => {},
+    options = {}
+  ) {
+    this._assertPrompt(prompt);
+    const selectedModel = this._selectModel(model);
+    const startTime = Date.now();
+
+    try {
+      await this._delay(this.latencyMs, options.signal);
+
+      const aiResponse = this._nextResponse(prompt);
+      const tokens = aiResponse.match(/\S+\s*/g) || [aiResponse];
+
+      // Malformed streams fail after the first token, like a broken chunk
+      if (this._getScenario(prompt) === "malformed") {
+        onToken(tokens[0]);
+        throw new ProviderError(
+          "Failed to parse stream chunk: Unexpected end of JSON input"
+        );
+      }
+
+      await this._simulateFailure(prompt, options.signal);
+
+      for (const token of tokens) {
+        onToken(token);
+        await this._delay(this.latencyMs, options.signal);
+      }
+
+      return this._buildResult(prompt, aiResponse, selectedModel, startTime);
+    } catch (error) {
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Check a requested model against the mock models
+   * @private
+   */
+  _selectModel(model) {
+    const selectedModel = model || this.defaultModel;
+
+    if (!this.models.includes(selectedModel)) {
+      throw new InvalidModelError(
+        `Model ${selectedModel} is not available. Available models: ${this.models.join(
+          ", "
+        )}`
+      );
+    }
+
+    return selectedModel;
+  }
+
+  /**
+   * Pick the next scripted response, or echo the latest user message
+   * @private
+   */
+  _nextResponse(prompt) {
+    this.callCount += 1;
+
+    if (this.responses.length > 0) {
+      return this.responses[(this.callCount - 1) % this.responses.length];
+    }
+
+    return `Echo: ${this._getPromptText(prompt)
+      .replace(SCENARIO_DIRECTIVE, "")
+      .trim()}`;
+  }
+
+  /**
+   * Wrap a response with estimated usage and the elapsed time
+   * @private
+   */
+  _buildResult(prompt, content, model, startTime) {
+    const promptText = Array.isArray(prompt)
+      ? prompt.map((message) => message.content).join("\n")
+      : prompt;
+
+    return {
+      content,
+      model,
+      usage: this._normalizeUsage({
+        prompt_tokens: Math.ceil(promptText.length / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+      }),
+      latencyMs: Date.now() - startTime,
+      attempts: 1,
+    };
+  }
+
+  /**
+   * Get the failure scenario for a request, preferring a prompt directive
+   * @private
+   */
+  _getScenario(prompt) {
+    const match = this._getPromptText(prompt).match(SCENARIO_DIRECTIVE);
+    if (match && this._isKnownScenario(match[1])) {
+      return match[1];
+    }
+    return this.failure;
+  }
+
+  /**
+   * Throw the error for the active failure scenario, if any
+   * @private
+   */
+  async _simulateFailure(prompt, signal) {
+    const scenario = this._getScenario(prompt);
+
+    if (!scenario) return;
+
+    if (scenario === "timeout") {
+      await this._delay(this.timeoutMs, signal);
+      throw this._createConnectionError("timeout");
+    }
+
+    throw FAILURE_SCENARIOS[scenario](this);
+  }
+
+  _isKnownScenario(scenario) {
+    return scenario === "timeout" || Object.hasOwn(FAILURE_SCENARIOS, scenario);
+  }
+
+  /**
+   * Wait `ms`, or reject with RequestCancelledError once `signal` aborts
+   * @private
+   */
+  _delay(ms, signal) {
+    return sleep(ms, {
+      signal,
+      createAbortError: () => this._createCancelledError(),
+    });
+  }
+}
+
+module.exports = MockProvider;
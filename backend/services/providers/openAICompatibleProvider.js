@@ -0,0 +1,589 @@
+const http = require("http");
+const https = require("https");
+const BaseProvider = require("./baseProvider");
+const { config } = require("../../config");
+const logger = require("../../utils/logger");
+const {
+  ProviderError,
+  ProviderConfigError,
+  InvalidModelError,
+} = require("../../utils/errors");
+
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server implementing the OpenAI chat completions API, such as
+ * a local llama.cpp or Ollama server, at a configurable base URL
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider identifier used in requests
+   * @param {string} options.displayName - Human-readable provider name
+   * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+   * @param {string} options.apiKey - Optional bearer token
+   * @param {string} options.apiKeyEnvVar - Env var that must hold the key, if one is required
+   * @param {string[]} options.models - Allowed models; empty allows any model
+   * @param {string} options.defaultModel - Model used when none is requested
+   * @param {Object} options.headers - Extra headers sent with every request
+   * @param {number} options.socketTimeoutMs - Idle socket timeout per request
+   */
+  constructor({
+    name = "openai-compatible",
+    displayName = "OpenAI-compatible",
+    baseUrl = config.openAICompatible.baseUrl,
+    apiKey = config.openAICompatible.apiKey,
+    apiKeyEnvVar = null,
+    models = config.openAICompatible.models,
+    defaultModel = config.openAICompatible.defaultModel,
+    headers = {},
+    socketTimeoutMs = config.ai.socketTimeoutMs,
+  } = {}) {
+    super({ name, displayName });
+
+    if (apiKeyEnvVar && !apiKey) {
+      throw new ProviderConfigError(
+        `${apiKeyEnvVar} environment variable is required`
+      );
+    }
+
+    if (!baseUrl) {
+      throw new ProviderConfigError(
+        "OPENAI_COMPATIBLE_BASE_URL environment variable is required"
+      );
+    }
+
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.models = models;
+    this.defaultModel = defaultModel || models[0] || null;
+    this.headers = headers;
+    this.socketTimeoutMs = socketTimeoutMs;
+
+    if (!this.defaultModel) {
+      throw new ProviderConfigError(
+        "OPENAI_COMPATIBLE_DEFAULT_MODEL environment variable is required"
+      );
+    }
+  }
+
+  /**
+   * Get the default model
+   * @returns {string} Model identifier
+   */
+  getDefaultModel() {
+    return this.defaultModel;
+  }
+
+  /**
+   * List configured models, or ask the server when none are configured
+   * @returns {Promise<string[]>} Array of model identifiers
+   */
+  async listModels() {
+    if (this.models.length > 0) {
+      return [...this.models];
+    }
+
+    try {
+      const response = await this._makeRequest("/models", null, "GET");
+      return (response.data || []).map((model) => model.id);
+    } catch (error) {
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Check that the server answers, by listing its models
+   * @param {number} timeoutMs - Socket timeout for the check
+   * @returns {Promise<void>}
+   */
+  async ping(timeoutMs = 5000) {
+    try {
+      await this._makeRequest("/models", null, "GET", timeoutMs);
+    } catch (error) {
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Make a chat completion request
+   * @param {string|Object[]} prompt - User prompt text, or { role, content } chat messages
+   * @param {string} model - Optional model override
+   * @param {Object} options - Generation parameters (temperature, max_tokens, top_p, stop), plus:
+   * @param {AbortSignal} options.signal - Aborts the upstream request
+   * @returns {Promise<CompletionResult>} AI response and request details
+   */
+  async chatCompletion(prompt, model = null, options = {}) {
+    this._assertPrompt(prompt);
+
+    const selectedModel = this._selectModel(model);
+    const startTime = Date.now();
+
+    try {
+      const result = await this._requestCompletion(
+        prompt,
+        selectedModel,
+        options
+      );
+      return { ...result, latencyMs: Date.now() - startTime, attempts: 1 };
+    } catch (error) {
+      logger.error("AI provider request failed", {
+        provider: this.name,
+        model: selectedModel,
+        statusCode: error.statusCode,
+        error: error.message,
+      });
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Stream a chat completion token by token
+   * @param {string|Object[]} prompt - User prompt text, or { role, content } chat messages
+   * @param {string} model - Optional model override
+   * @param {Function} onToken - Called with each content delta as it arrives
+   * @param {Object} options - Generation parameters (temperature, max_tokens, top_p, stop), plus:
+   * @param {AbortSignal} options.signal - Aborts the upstream request
+   * @returns {Promise<CompletionResult>} Full AI response once the stream ends
+   */
+  async streamChatCompletion(
+    prompt,
+    model = null,
+    onToken = () => {},
+    options = {}
+  ) {
+    this._assertPrompt(prompt);
+
+    const requestData = {
+      model: this._selectModel(model),
+      stream: true,
+      // Ask for a final chunk carrying the token usage
+      stream_options: { include_usage: true },
+      messages: this._buildMessages(prompt),
+      ...this._buildGenerationParams(options),
+    };
+
+    const startTime = Date.now();
+    let aiResponse = "";
+    let answeredModel = requestData.model;
+    let usage = null;
+
+    try {
+      await this._makeStreamRequest(
+        "/chat/completions",
+        requestData,
+        (event) => {
+          if (event.error) {
+            throw new ProviderError(
+              event.error.message || `${this.displayName} stream error`
+            );
+          }
+
+          if (event.model) {
+            answeredModel = event.model;
+          }
+          if (event.usage) {
+            usage = this._normalizeUsage(event.usage);
+          }
+
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            aiResponse += delta;
+            onToken(delta);
+          }
+        },
+        options.signal
+      );
+
+      if (!aiResponse) {
+        throw new ProviderError(
+          `Invalid response format from ${this.displayName} API`
+        );
+      }
+
+      return {
+        content: aiResponse,
+        model: answeredModel,
+        usage,
+        latencyMs: Date.now() - startTime,
+        attempts: 1,
+      };
+    } catch (error) {
+      logger.error("AI provider stream failed", {
+        provider: this.name,
+        model: requestData.model,
+        statusCode: error.statusCode,
+        error: error.message,
+      });
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Send one chat completion request without mapping errors
+   * @protected
+   * @param {string|Object[]} prompt - User prompt text, or chat messages
+   * @param {string} model - Model identifier
+   * @param {Object} options - Generation parameters, and the `signal` that
+   *   aborts the request
+   * @param {number} timeoutMs - Socket timeout for this request
+   * @returns {Promise<{ content: string, model: string, usage: TokenUsage|null }>}
+   */
+  async _requestCompletion(
+    prompt,
+    model,
+    options = {},
+    timeoutMs = this.socketTimeoutMs
+  ) {
+    const requestData = {
+      model,
+      messages: this._buildMessages(prompt),
+      ...this._buildGenerationParams(options),
+    };
+
+    const response = await this._makeRequest(
+      "/chat/completions",
+      requestData,
+      "POST",
+      timeoutMs,
+      options.signal
+    );
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new ProviderError(
+        `No response choices received from ${this.displayName} API`
+      );
+    }
+
+    const aiResponse = response.choices[0]?.message?.content;
+
+    if (!aiResponse) {
+      throw new ProviderError(
+        `Invalid response format from ${this.displayName} API`
+      );
+    }
+
+    return {
+      content: aiResponse,
+      // The API may route to a more specific model than the one requested
+      model: response.model || model,
+      usage: this._normalizeUsage(response.usage),
+    };
+  }
+
+  /**
+   * Resolve and check the model for a request
+   * @protected
+   * @param {string} model - Requested model, or null for the default
+   * @returns {string} Model identifier
+   */
+  _selectModel(model) {
+    const selectedModel = model || this.defaultModel;
+
+    if (this.models.length > 0 && !this.models.includes(selectedModel)) {
+      throw new InvalidModelError(
+        `Model ${selectedModel} is not available. Available models: ${this.models.join(
+          ", "
+        )}`
+      );
+    }
+
+    return selectedModel;
+  }
+
+  /**
+   * Build the chat messages for a prompt or an existing conversation
+   * @protected
+   * @param {string|Object[]} prompt - User prompt text, or chat messages
+   * @returns {Object[]} Chat messages
+   */
+  _buildMessages(prompt) {
+    if (Array.isArray(prompt)) {
+      return prompt.map(({ role, content }) => ({ role, content }));
+    }
+
+    return [
+      {
+        role: "user",
+        content: prompt.trim(),
+      },
+    ];
+  }
+
+  /**
+   * Build Node request options for an API endpoint
+   * @protected
+   * @param {string} endpoint - API endpoint path
+   * @param {string} method - HTTP method
+   * @param {Object} headers - Request-specific headers
+   * @returns {{ transport: Object, options: Object }}
+   */
+  _buildRequestOptions(endpoint, method, headers = {}) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    const isHttps = url.protocol === "https:";
+
+    return {
+      transport: isHttps ? https : http,
+      options: {
+        hostname: url.hostname,
+        port: url.port || (isHttps ? 443 : 80),
+        path: `${url.pathname}${url.search}`,
+        method,
+        headers: {
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+          ...this.headers,
+          ...headers,
+        },
+      },
+    };
+  }
+
+  /**
+   * Destroy `req` when `signal` aborts, so the provider stops generating
+   * (and billing for) a response nobody will read
+   * @private
+   * @param {http.ClientRequest} req - Outgoing request
+   * @param {AbortSignal} signal - Signal to follow, if any
+   * @param {Function} reject - Rejects the request's promise
+   */
+  _abortOnSignal(req, signal, reject) {
+    if (!signal) return;
+
+    const onAbort = () => {
+      req.destroy();
+      reject(this._createCancelledError());
+    };
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    req.on("close", () => signal.removeEventListener("abort", onAbort));
+  }
+
+  /**
+   * Make HTTP request to the API
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} data - Request payload, or null for GET requests
+   * @param {string} method - HTTP method
+   * @param {number} timeoutMs - Socket timeout
+   * @param {AbortSignal} signal - Destroys the request when aborted
+   * @returns {Promise<Object>} API response; rejects with a ProviderError
+   *   carrying `statusCode` when the server answered with an error
+   */
+  _makeRequest(
+    endpoint,
+    data,
+    method = "POST",
+    timeoutMs = this.socketTimeoutMs,
+    signal = null
+  ) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._createCancelledError());
+        return;
+      }
+
+      const postData = data ? JSON.stringify(data) : null;
+
+      const { transport, options } = this._buildRequestOptions(
+        endpoint,
+        method,
+        postData
+          ? {
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(postData),
+            }
+          : {}
+      );
+
+      const req = transport.request(options, (res) => {
+        let responseData = "";
+
+        res.on("data", (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on("end", () => {
+          try {
+            const parsedResponse = JSON.parse(responseData);
+
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(parsedResponse);
+            } else {
+              reject(
+                this._createStatusError(
+                  res.statusCode,
+                  parsedResponse.error?.message || responseData,
+                  res.headers["retry-after"]
+                )
+              );
+            }
+          } catch (parseError) {
+            const message = `Failed to parse API response: ${parseError.message}. Response: ${responseData}`;
+
+            // Gateways answer errors with HTML; keep the status for retries
+            reject(
+              res.statusCode >= 300
+                ? this._createStatusError(
+                    res.statusCode,
+                    message,
+                    res.headers["retry-after"]
+                  )
+                : new ProviderError(message)
+            );
+          }
+        });
+      });
+
+      req.on("error", (error) => {
+        reject(this._createConnectionError(error.message));
+      });
+
+      req.on("timeout", () => {
+        req.destroy();
+        reject(this._createConnectionError("timeout"));
+      });
+
+      req.setTimeout(timeoutMs);
+      this._abortOnSignal(req, signal, reject);
+
+      if (postData) {
+        req.write(postData);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Make a streaming (server-sent events) request to the API
+   * @private
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} data - Request payload (must include stream: true)
+   * @param {Function} onEvent - Called with each parsed `data:` payload
+   * @param {AbortSignal} signal - Destroys the request when aborted
+   * @returns {Promise<void>} Resolves when the stream completes
+   */
+  _makeStreamRequest(endpoint, data, onEvent, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._createCancelledError());
+        return;
+      }
+
+      const postData = JSON.stringify(data);
+
+      const { transport, options } = this._buildRequestOptions(
+        endpoint,
+        "POST",
+        {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+          "Content-Length": Buffer.byteLength(postData),
+        }
+      );
+
+      const req = transport.request(options, (res) => {
+        // Error responses are plain JSON rather than an event stream
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          let responseData = "";
+          res.on("data", (chunk) => {
+            responseData += chunk;
+          });
+          res.on("end", () => {
+            let errorMessage = responseData;
+            try {
+              const parsedResponse = JSON.parse(responseData);
+              if (parsedResponse.error?.message) {
+                errorMessage = parsedResponse.error.message;
+              }
+            } catch {
+              // Keep the raw body in the message
+            }
+            reject(
+              this._createStatusError(
+                res.statusCode,
+                errorMessage,
+                res.headers["retry-after"]
+              )
+            );
+          });
+          return;
+        }
+
+        let buffer = "";
+        let finished = false;
+
+        const finish = (error) => {
+          if (finished) return;
+          finished = true;
+          if (error) {
+            req.destroy();
+            reject(error);
+          } else {
+            resolve();
+          }
+        };
+
+        res.setEncoding("utf8");
+
+        res.on("data", (chunk) => {
+          if (finished) return;
+          buffer += chunk;
+
+          // SSE lines are newline separated; keep any partial line buffered
+          const lines = buffer.split("\n");
+          buffer = lines.pop();
+
+          for (const rawLine of lines) {
+            const line = rawLine.trim();
+
+            // Skip blank separators and comments such as ": OPENROUTER PROCESSING"
+            if (!line.startsWith("data:")) {
+              continue;
+            }
+
+            const payload = line.slice(5).trim();
+            if (payload === "[DONE]") {
+              finish();
+              return;
+            }
+
+            try {
+              onEvent(JSON.parse(payload));
+            } catch (error) {
+              finish(
+                error instanceof SyntaxError
+                  ? new ProviderError(
+                      `Failed to parse stream chunk: ${error.message}`
+                    )
+                  : error
+              );
+              return;
+            }
+          }
+        });
+
+        res.on("end", () => finish());
+        res.on("error", (error) =>
+          finish(this._createConnectionError(error.message))
+        );
+      });
+
+      req.on("error", (error) => {
+        reject(this._createConnectionError(error.message));
+      });
+
+      req.on("timeout", () => {
+        req.destroy();
+        reject(this._createConnectionError("timeout"));
+      });
+
+      // Socket idle timeout; a healthy stream keeps sending data
+      req.setTimeout(this.socketTimeoutMs);
+      this._abortOnSignal(req, signal, reject);
+
+      req.write(postData);
+      req.end();
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
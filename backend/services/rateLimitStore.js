@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const LRUCache = require("../utils/lruCache");
+const RateLimitCounter = require("../models/RateLimitCounter");
+const { ConflictError } = require("../utils/errors");
+
+/**
+ * Rate limit stores
+ * A store counts requests per client key in fixed windows; the limiter
+ * combines the current and previous window into a sliding window estimate.
+ *
+ * Every store implements:
+ *   hit(key, windowStart, windowMs) -> Promise<{ current, previous }>
+ * which records one request in the window starting at `windowStart` and
+ * returns the counts for that window and the one before it.
+ */
+
+/**
+ * Per-process store
+ * Counters live in an LRU cache, so memory stays bounded: idle clients
+ * expire once their counts no longer matter, and the least recently seen
+ * clients are evicted when `maxKeys` is reached.
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxKeys - Clients tracked before evicting the oldest
+   */
+  constructor({ maxKeys = 10000 } = {}) {
+    this.counters = new LRUCache({ maxEntries: maxKeys });
+  }
+
+  async hit(key, windowStart, windowMs) {
+    const counter = this.counters.get(key);
+    let next;
+
+    if (counter?.windowStart === windowStart) {
+      next = { ...counter, current: counter.current + 1 };
+    } else if (counter?.windowStart === windowStart - windowMs) {
+      next = { windowStart, current: 1, previous: counter.current };
+    } else {
+      next = { windowStart, current: 1, previous: 0 };
+    }
+
+    // A window's count stops mattering once the window after it ends
+    this.counters.set(key, next, windowStart + 2 * windowMs);
+
+    return { current: next.current, previous: next.previous };
+  }
+
+  get size() {
+    return this.counters.size;
+  }
+}
+
+/**
+ * MongoDB-backed store shared by every server instance
+ * Falls back to a per-process store while MongoDB is disconnected, since
+ * queries would otherwise wait for the connection.
+ */
+class MongoRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxKeys - Clients tracked by the fallback store
+   */
+  constructor({ maxKeys = 10000 } = {}) {
+    this.fallback = new MemoryRateLimitStore({ maxKeys });
+  }
+
+  async hit(key, windowStart, windowMs) {
+    if (mongoose.connection.readyState !== 1) {
+      return this.fallback.hit(key, windowStart, windowMs);
+    }
+
+    const [counter, previous] = await Promise.all([
+      this._increment(key, windowStart, windowMs),
+      RateLimitCounter.findOne({
+        key,
+        windowStart: new Date(windowStart - windowMs),
+      }).lean(),
+    ]);
+
+    return { current: counter.count, previous: previous?.count || 0 };
+  }
+
+  /**
+   * Add one request to a window's counter, creating it if needed
+   * @private
+   */
+  async _increment(key, windowStart, windowMs, retried = false) {
+    try {
+      return await RateLimitCounter.findOneAndUpdate(
+        { key, windowStart: new Date(windowStart) },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) },
+        },
+        { upsert: true, returnDocument: "after" }
+      ).lean();
+    } catch (error) {
+      // Two instances creating the same counter at once: one upsert loses
+      // the race on the unique index and can simply increment
+      if (error instanceof ConflictError && !retried) {
+        return this._increment(key, windowStart, windowMs, true);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { MemoryRateLimitStore, MongoRateLimitStore };
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const LRUCache = require("../utils/lruCache");
+const CachedResponse = require("../models/CachedResponse");
+const logger = require("../utils/logger");
+
+/**
+ * AI response cache
+ * Identical requests (same provider, model, normalized messages and
+ * generation parameters) are answered from the cache instead of the
+ * provider. Entries live in an in-memory LRU and, in `mongo` mode, also in
+ * MongoDB so they survive restarts and are shared between instances.
+ *
+ * Configuration:
+ *   RESPONSE_CACHE             - off, memory (default) or mongo
+ *   RESPONSE_CACHE_TTL_SECONDS - How long a response stays cached (default 3600)
+ *   RESPONSE_CACHE_MAX_ENTRIES - In-memory entries kept (default 500)
+ */
+
+let cache = null;
+
+/**
+ * Create the cache from the configuration on first use
+ */
+const getCache = () => {
+  if (!cache) {
+    const { mode, ttlSeconds, maxEntries } = config.cache;
+    cache = {
+      mode,
+      ttlSeconds,
+      memory: new LRUCache({
+        maxEntries,
+        ttlMs: ttlSeconds * 1000,
+      }),
+      hits: 0,
+      misses: 0,
+    };
+  }
+
+  return cache;
+};
+
+/**
+ * Only query MongoDB while connected; queries would otherwise wait for the
+ * connection instead of failing fast
+ */
+const useMongo = () =>
+  getCache().mode === "mongo" && mongoose.connection.readyState === 1;
+
+/**
+ * Check whether responses are cached at all
+ * @returns {boolean}
+ */
+const isCacheEnabled = () => getCache().mode !== "off";
+
+const normalizeText = (text) =>
+  text.normalize("NFC").replace(/\r\n?/g, "\n").trim();
+
+/**
+ * Build the cache key for a request
+ * @param {Object} request
+ * @param {string} request.provider - Provider name
+ * @param {string} request.model - Resolved model identifier
+ * @param {string|Object[]} request.input - Prompt text, or { role, content } messages
+ * @param {Object} request.options - Generation parameters
+ * @returns {string} SHA-256 hex digest
+ */
+const buildCacheKey = ({ provider, model, input, options = {} }) => {
+  const messages = (
+    Array.isArray(input) ? input : [{ role: "user", content: input }]
+  ).map(({ role, content }) => ({ role, content: normalizeText(content) }));
+
+  const params = Object.keys(options)
+    .sort()
+    .filter((key) => options[key] !== undefined)
+    .map((key) => [key, options[key]]);
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ provider, model, messages, params }))
+    .digest("hex");
+};
+
+/**
+ * Look up a cached response
+ * @param {string} key - Cache key from buildCacheKey
+ * @returns {Promise<{ content, model, usage }|null>} Cached response, if fresh
+ */
+const getCachedResponse = async (key) => {
+  const state = getCache();
+
+  let entry = state.memory.get(key) || null;
+
+  if (!entry && useMongo()) {
+    try {
+      const doc = await CachedResponse.findOne({
+        key,
+        expiresAt: { $gt: new Date() },
+      }).lean();
+
+      if (doc) {
+        entry = { content: doc.content, model: doc.model, usage: null };
+        if (doc.usage?.totalTokens !== undefined) {
+          const { promptTokens, completionTokens, totalTokens } = doc.usage;
+          entry.usage = { promptTokens, completionTokens, totalTokens };
+        }
+        state.memory.set(key, entry, doc.expiresAt.getTime());
+      }
+    } catch (error) {
+      logger.warn("Response cache lookup failed", { error: error.message });
+    }
+  }
+
+  if (entry) {
+    state.hits += 1;
+  } else {
+    state.misses += 1;
+  }
+
+  return entry;
+};
+
+/**
+ * Cache a provider's completion result
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {Object} result - Completion result with content, model and usage
+ * @param {string} provider - Provider name, stored for inspection
+ */
+const setCachedResponse = (key, { content, model, usage }, provider) => {
+  const { memory, ttlSeconds } = getCache();
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+
+  memory.set(key, { content, model, usage }, expiresAt);
+
+  if (useMongo()) {
+    // The response does not wait for the shared copy
+    CachedResponse.updateOne(
+      { key },
+      {
+        key,
+        provider,
+        model,
+        content,
+        usage,
+        expiresAt: new Date(expiresAt),
+      },
+      { upsert: true }
+    ).catch((error) => {
+      logger.warn("Response cache write failed", { error: error.message });
+    });
+  }
+};
+
+/**
+ * Remove every cached response
+ * @returns {Promise<{ memory: number, mongo: number }>} Entries removed
+ */
+const purgeCache = async () => {
+  const removed = { memory: getCache().memory.clear(), mongo: 0 };
+
+  if (useMongo()) {
+    const result = await CachedResponse.deleteMany({});
+    removed.mongo = result.deletedCount;
+  }
+
+  return removed;
+};
+
+/**
+ * Describe the cache configuration and hit rate since startup
+ */
+const getCacheStats = () => {
+  const { mode, ttlSeconds, memory, hits, misses } = getCache();
+
+  return {
+    mode,
+    ttlSeconds,
+    entries: memory.size,
+    maxEntries: memory.maxEntries,
+    hits,
+    misses,
+  };
+};
+
+module.exports = {
+  isCacheEnabled,
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  purgeCache,
+  getCacheStats,
+};
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const UsageRecord = require("../models/UsageRecord");
+const logger = require("../utils/logger");
+
+/**
+ * AI usage log
+ * Every completed provider call is written to the UsageRecord collection,
+ * which GET /api/usage reports on, so the report covers unsaved responses,
+ * chat turns and comparison variants alike.
+ */
+
+/**
+ * Record one completed provider call
+ * The write is not awaited; a failure is logged and the response goes out
+ * regardless. Calls made while MongoDB is disconnected are not recorded,
+ * since the write would otherwise wait for the connection.
+ * @param {Object} call
+ * @param {string} call.provider - Provider name
+ * @param {string} call.model - Model that answered
+ * @param {Object|null} call.usage - { promptTokens, completionTokens, totalTokens }
+ * @param {number} call.latencyMs - Time the provider took
+ */
+const recordUsage = ({ provider, model, usage, latencyMs }) => {
+  if (mongoose.connection.readyState !== 1) {
+    logger.debug("Usage not recorded, database not connected", {
+      provider,
+      model,
+    });
+    return;
+  }
+
+  UsageRecord.create({
+    provider,
+    model,
+    usage: usage || undefined,
+    latencyMs,
+  }).catch((error) => {
+    logger.warn("Usage record write failed", { error: error.message });
+  });
+};
+
+module.exports = { recordUsage };
@@ -0,0 +1,142 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  toErrorResponse,
+  validateRequest,
+  validateObjectId,
+} = require("../middleware/errorHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  RequestCancelledError,
+  ProviderError,
+  ProviderAuthError,
+  ProviderRateLimitError,
+  ProviderUnavailableError,
+  ProviderConfigError,
+  DatabaseError,
+  DatabaseUnavailableError,
+} = require("../utils/errors");
+
+describe("toErrorResponse", () => {
+  it("maps application errors to their status and code", () => {
+    const cases = [
+      [new ValidationError("bad"), 400, "VALIDATION_ERROR"],
+      [new NotFoundError("gone"), 404, "NOT_FOUND"],
+      [new ConflictError("taken"), 409, "DUPLICATE_ENTRY"],
+      [new RequestCancelledError(), 499, "REQUEST_CANCELLED"],
+      [new ProviderError("upstream"), 500, "AI_PROCESSING_ERROR"],
+      [new ProviderAuthError("key"), 401, "AI_AUTH_ERROR"],
+      [new ProviderRateLimitError("slow down"), 429, "AI_RATE_LIMIT"],
+      [new ProviderUnavailableError("down"), 503, "AI_SERVICE_UNAVAILABLE"],
+      [new ProviderConfigError("no key"), 500, "AI_CONFIG_ERROR"],
+      [new DatabaseError("query"), 500, "DATABASE_ERROR"],
+      [new DatabaseUnavailableError("down"), 503, "DATABASE_UNAVAILABLE"],
+    ];
+
+    for (const [error, status, code] of cases) {
+      const response = toErrorResponse(error);
+      assert.equal(response.status, status, error.name);
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.error.code, code, error.name);
+    }
+  });
+
+  it("sends the public message, not the internal one", () => {
+    const { body } = toErrorResponse(
+      new ProviderAuthError("OpenRouter rejected key sk-123")
+    );
+
+    assert.equal(body.error.message, "AI service authentication failed");
+  });
+
+  it("leaves details out outside development", () => {
+    const { body } = toErrorResponse(
+      new ValidationError("bad", "VALIDATION_ERROR", { details: "internal" })
+    );
+
+    assert.equal(body.error.details, undefined);
+  });
+
+  it("maps malformed JSON bodies to JSON_PARSE_ERROR", () => {
+    const error = Object.assign(new SyntaxError("Unexpected token"), {
+      status: 400,
+      body: "{",
+    });
+
+    assert.deepEqual(toErrorResponse(error), {
+      status: 400,
+      body: {
+        success: false,
+        error: { message: "Invalid JSON format", code: "JSON_PARSE_ERROR" },
+      },
+    });
+  });
+
+  it("translates Mongoose errors", () => {
+    const castError = new mongoose.Error.CastError("ObjectId", "x", "_id");
+    const response = toErrorResponse(castError);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, "CAST_ERROR");
+
+    // Not connected during tests, so other database errors are unavailable
+    const unavailable = toErrorResponse(new mongoose.Error("timed out"));
+    assert.equal(unavailable.status, 503);
+    assert.equal(unavailable.body.error.code, "DATABASE_UNAVAILABLE");
+  });
+
+  it("hides unknown errors behind INTERNAL_ERROR", () => {
+    assert.deepEqual(toErrorResponse(new TypeError("x is undefined")), {
+      status: 500,
+      body: {
+        success: false,
+        error: { message: "Internal server error", code: "INTERNAL_ERROR" },
+      },
+    });
+  });
+});
+
+describe("request validators", () => {
+  const run = (middleware, req) => {
+    let passed;
+    middleware(req, {}, (error) => {
+      passed = error;
+    });
+    return passed;
+  };
+
+  it("passes a ValidationError to the error handler", () => {
+    const jsonPost = { method: "POST", is: () => true, body: {} };
+
+    const missing = run(validateRequest(["prompt"]), jsonPost);
+    assert.ok(missing instanceof ValidationError);
+    assert.equal(missing.code, "MISSING_REQUIRED_FIELD");
+
+    const contentType = run(validateRequest(), {
+      ...jsonPost,
+      is: () => false,
+    });
+    assert.equal(contentType.code, "INVALID_CONTENT_TYPE");
+
+    const badId = run(validateObjectId("Flow"), { params: { id: "nope" } });
+    assert.ok(badId instanceof ValidationError);
+    assert.equal(badId.code, "INVALID_ID");
+    assert.equal(badId.message, "Invalid Flow ID");
+  });
+
+  it("calls next without an error for valid requests", () => {
+    const req = {
+      method: "POST",
+      is: () => true,
+      body: { prompt: "hi" },
+      params: { id: new mongoose.Types.ObjectId().toString() },
+    };
+
+    assert.equal(run(validateRequest(["prompt"]), req), undefined);
+    assert.equal(run(validateObjectId("Flow"), req), undefined);
+  });
+});
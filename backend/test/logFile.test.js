@@ -0,0 +1,89 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RotatingLogFile = require("../utils/logFile");
+
+const makeDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "log-file-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+/**
+ * Create a file last written `minutes` after midnight on 2024-01-09
+ */
+const writeFile = (dir, file, minutes, content = "line\n") => {
+  const filePath = path.join(dir, file);
+  const mtime = new Date(2024, 0, 9, 0, minutes);
+  fs.writeFileSync(filePath, content);
+  fs.utimesSync(filePath, mtime, mtime);
+  return filePath;
+};
+
+describe("RotatingLogFile", () => {
+  it("rotates to a file named after the previous day", async (t) => {
+    const dir = makeDir(t);
+    const filePath = writeFile(dir, "app.log", 60, "old\n");
+
+    const logFile = new RotatingLogFile({ filePath });
+    logFile.write("new");
+    await logFile.flush();
+
+    assert.equal(
+      fs.readFileSync(path.join(dir, "app-2024-01-09.log"), "utf8"),
+      "old\n"
+    );
+    assert.equal(fs.readFileSync(filePath, "utf8"), "new\n");
+  });
+
+  it("keeps the newest files after several rotations on the same day", async (t) => {
+    const dir = makeDir(t);
+    writeFile(dir, "app-2024-01-09.log", 0);
+    for (let n = 1; n <= 10; n++) {
+      writeFile(dir, `app-2024-01-09.${n}.log`, n);
+    }
+    writeFile(dir, "app-2024-01-09T00-05-30.log", 5);
+    const filePath = writeFile(dir, "app.log", 60);
+
+    // Rotates to app-2024-01-09.11.log, the newest
+    const logFile = new RotatingLogFile({ filePath, maxFiles: 3 });
+    logFile.write("today");
+    await logFile.flush();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      "app-2024-01-09.10.log",
+      "app-2024-01-09.11.log",
+      "app-2024-01-09.9.log",
+      "app.log",
+    ]);
+  });
+
+  it("rotates by size and keeps every file when maxFiles is 0", async (t) => {
+    const dir = makeDir(t);
+    const filePath = path.join(dir, "app.log");
+    const logFile = new RotatingLogFile({
+      filePath,
+      rotation: "size",
+      maxSize: 10,
+      maxFiles: 0,
+    });
+
+    for (let i = 0; i < 4; i++) {
+      logFile.write(`line ${i}`);
+      await logFile.flush();
+    }
+
+    const rotated = fs.readdirSync(dir).filter((file) => file !== "app.log");
+    assert.equal(rotated.length, 3);
+    for (const file of rotated) {
+      assert.match(
+        file,
+        /^app-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(\.\d+)?\.log$/
+      );
+    }
+    assert.equal(fs.readFileSync(filePath, "utf8"), "line 3\n");
+  });
+});
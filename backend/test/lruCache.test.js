@@ -0,0 +1,60 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const LRUCache = require("../utils/lruCache");
+
+describe("LRUCache", () => {
+  it("evicts the least recently used entry", () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    // Reading "a" makes "b" the oldest
+    assert.equal(cache.get("a"), 1);
+    cache.set("c", 3);
+
+    assert.equal(cache.get("b"), undefined);
+    assert.equal(cache.get("a"), 1);
+    assert.equal(cache.get("c"), 3);
+    assert.equal(cache.size, 2);
+  });
+
+  it("treats overwriting an entry as a use", () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("a", 10);
+    cache.set("c", 3);
+
+    assert.equal(cache.get("a"), 10);
+    assert.equal(cache.get("b"), undefined);
+  });
+
+  it("expires entries after the TTL or at their own expiry", (t) => {
+    let now = 1000;
+    t.mock.method(Date, "now", () => now);
+    const cache = new LRUCache({ ttlMs: 100 });
+    cache.set("default", 1);
+    cache.set("custom", 2, 1500);
+
+    now = 1099;
+    assert.equal(cache.get("default"), 1);
+
+    now = 1100;
+    assert.equal(cache.get("default"), undefined);
+    assert.equal(cache.get("custom"), 2);
+    assert.equal(cache.size, 1);
+
+    now = 1500;
+    assert.equal(cache.get("custom"), undefined);
+  });
+
+  it("clears every entry and reports how many there were", () => {
+    const cache = new LRUCache();
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    assert.equal(cache.clear(), 2);
+    assert.equal(cache.size, 0);
+  });
+});
@@ -0,0 +1,140 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { Counter, Gauge, Histogram, Registry } = require("../utils/metrics");
+const { recordAIRequest, renderMetrics } = require("../services/metrics");
+const OpenAICompatibleProvider = require("../services/providers/openAICompatibleProvider");
+
+describe("metric primitives", () => {
+  it("counts per label set and ignores labels it does not declare", () => {
+    const counter = new Counter({
+      name: "jobs_total",
+      help: "Jobs run",
+      labelNames: ["queue"],
+    });
+    counter.inc({ queue: "a" });
+    counter.inc({ queue: "a", extra: "dropped" }, 2);
+    counter.inc({ queue: "b" });
+
+    assert.deepEqual(counter.render(), [
+      "# HELP jobs_total Jobs run",
+      "# TYPE jobs_total counter",
+      'jobs_total{queue="a"} 3',
+      'jobs_total{queue="b"} 1',
+    ]);
+  });
+
+  it("escapes label values", () => {
+    const counter = new Counter({
+      name: "paths_total",
+      help: "Paths",
+      labelNames: ["path"],
+    });
+    counter.inc({ path: 'a"b\\c\nd' });
+
+    assert.equal(counter.render()[2], 'paths_total{path="a\\"b\\\\c\\nd"} 1');
+  });
+
+  it("collects gauges when rendered", () => {
+    let reading = 1;
+    const gauge = new Gauge({
+      name: "temperature",
+      help: "Current reading",
+      collect: (metric) => metric.set({}, reading),
+    });
+
+    assert.equal(gauge.render()[2], "temperature 1");
+    reading = 5;
+    assert.equal(gauge.render()[2], "temperature 5");
+  });
+
+  it("renders cumulative histogram buckets with sum and count", () => {
+    const histogram = new Histogram({
+      name: "latency_seconds",
+      help: "Latency",
+      buckets: [0.1, 1],
+    });
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    assert.deepEqual(histogram.render().slice(2), [
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 2',
+      'latency_seconds_bucket{le="+Inf"} 3',
+      "latency_seconds_sum 3.55",
+      "latency_seconds_count 3",
+    ]);
+  });
+
+  it("renders every registered metric, ending with a newline", () => {
+    const registry = new Registry();
+    registry.register(new Counter({ name: "a_total", help: "A" })).inc();
+    registry.register(new Gauge({ name: "b", help: "B" })).set({}, 2);
+
+    assert.equal(
+      registry.render(),
+      [
+        "# HELP a_total A",
+        "# TYPE a_total counter",
+        "a_total 1",
+        "# HELP b B",
+        "# TYPE b gauge",
+        "b 2",
+        "",
+      ].join("\n")
+    );
+  });
+});
+
+describe("application metrics", () => {
+  it("records AI call outcomes, leaving cancellations out of errors", () => {
+    const labels = 'provider="test",model="m1"';
+    recordAIRequest({ provider: "test", model: "m1", durationMs: 200 });
+    recordAIRequest({
+      provider: "test",
+      model: "m1",
+      durationMs: 100,
+      errorCode: "AI_RATE_LIMIT",
+    });
+    recordAIRequest({
+      provider: "test",
+      model: "m1",
+      durationMs: 50,
+      errorCode: "REQUEST_CANCELLED",
+    });
+
+    const lines = renderMetrics().split("\n");
+    for (const outcome of ["success", "error", "cancelled"]) {
+      assert.ok(
+        lines.includes(`ai_requests_total{${labels},outcome="${outcome}"} 1`),
+        outcome
+      );
+    }
+    assert.ok(
+      lines.includes(`ai_errors_total{${labels},code="AI_RATE_LIMIT"} 1`)
+    );
+    assert.ok(
+      !lines.some((line) =>
+        line.startsWith(`ai_errors_total{${labels},code="REQUEST_CANCELLED"}`)
+      )
+    );
+    assert.ok(lines.includes(`ai_request_duration_seconds_count{${labels}} 3`));
+  });
+
+  it("only uses configured model names as labels", () => {
+    const provider = new OpenAICompatibleProvider({
+      baseUrl: "http://127.0.0.1:1",
+      models: [],
+      defaultModel: "local-model",
+    });
+
+    // Any model is accepted, but only the default is a known label
+    assert.equal(provider.resolveModel("anything"), "anything");
+    assert.equal(provider.isConfiguredModel("local-model"), true);
+    assert.equal(provider.isConfiguredModel("anything"), false);
+
+    provider.models = ["a", "b"];
+    assert.equal(provider.isConfiguredModel("b"), true);
+  });
+});
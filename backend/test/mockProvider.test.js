@@ -0,0 +1,83 @@
+require("./setup");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { once } = require("events");
+const MockProviderTestSuite = require("../test-mock-provider");
+
+/**
+ * Runs test-mock-provider.js against a server started for the test
+ * A short AI_REQUEST_TIMEOUT_MS keeps the timeout scenario quick.
+ */
+
+const getFreePort = async () => {
+  const server = net.createServer().listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  server.close();
+  await once(server, "close");
+  return port;
+};
+
+const isServerUp = (port) =>
+  new Promise((resolve) => {
+    http
+      .get({ hostname: "localhost", port, path: "/" }, (res) => {
+        res.resume();
+        resolve(true);
+      })
+      .on("error", () => resolve(false));
+  });
+
+const waitForServer = async (port, child, timeoutMs = 15000) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    if (await isServerUp(port)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  throw new Error(`Server did not start within ${timeoutMs}ms`);
+};
+
+describe("mock provider suite", () => {
+  let server;
+  let port;
+
+  before(async () => {
+    port = await getFreePort();
+    server = spawn(process.execPath, ["server.js"], {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        PORT: String(port),
+        AI_REQUEST_TIMEOUT_MS: "2000",
+      },
+      stdio: "ignore",
+    });
+
+    await waitForServer(port, server);
+  });
+
+  after(async () => {
+    if (server.exitCode === null) {
+      server.kill("SIGTERM");
+      await once(server, "exit");
+    }
+  });
+
+  it("passes every POST /api/ask-ai scenario", { timeout: 60000 }, async () => {
+    process.env.PORT = String(port);
+    const suite = new MockProviderTestSuite();
+
+    assert.equal(await suite.runAllTests(), true);
+  });
+});
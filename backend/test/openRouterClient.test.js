@@ -0,0 +1,135 @@
+process.env.OPENROUTER_API_KEY ||= "sk-or-test";
+process.env.OPENROUTER_FALLBACK_MODELS = "fallback/one,fallback/two";
+process.env.OPENROUTER_MAX_RETRIES = "1";
+process.env.OPENROUTER_RETRY_BASE_DELAY_MS = "1";
+process.env.OPENROUTER_RETRY_MAX_DELAY_MS = "1";
+require("./setup");
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const OpenRouterClient = require("../services/openRouterClient");
+const logger = require("../utils/logger");
+const {
+  ProviderAuthError,
+  ProviderRateLimitError,
+  ProviderUnavailableError,
+  RequestCancelledError,
+} = require("../utils/errors");
+
+const PRIMARY = "mistralai/mistral-7b-instruct:free";
+
+const completion = (model) => ({
+  content: `answer from ${model}`,
+  model,
+  usage: null,
+});
+
+describe("OpenRouterClient.chatCompletion", () => {
+  let client;
+  let calls;
+
+  /**
+   * Answer upstream calls with `outcomes` in order: an Error is thrown,
+   * anything else resolves to a completion from the requested model
+   */
+  const script = (t, outcomes) => {
+    t.mock.method(client, "_requestCompletion", async (prompt, model) => {
+      calls.push(model);
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return completion(model);
+    });
+  };
+
+  beforeEach((t) => {
+    client = new OpenRouterClient();
+    calls = [];
+    t.mock.method(logger, "error", () => {});
+  });
+
+  it("retries a transient failure on the same model", async (t) => {
+    script(t, [new ProviderUnavailableError("reset"), "ok"]);
+
+    const result = await client.chatCompletion("hello");
+
+    assert.deepEqual(calls, [PRIMARY, PRIMARY]);
+    assert.equal(result.model, PRIMARY);
+    assert.equal(result.attempts, 2);
+  });
+
+  it("falls back to the next model once retries run out", async (t) => {
+    script(t, [
+      new ProviderUnavailableError("down"),
+      new ProviderUnavailableError("down"),
+      "ok",
+    ]);
+
+    const result = await client.chatCompletion("hello");
+
+    assert.deepEqual(calls, [PRIMARY, PRIMARY, "fallback/one"]);
+    assert.equal(result.model, "fallback/one");
+    assert.equal(result.attempts, 3);
+  });
+
+  it("starts with a requested fallback model and skips it later", async (t) => {
+    script(t, [
+      new ProviderUnavailableError("down"),
+      new ProviderUnavailableError("down"),
+      "ok",
+    ]);
+
+    await client.chatCompletion("hello", "fallback/two");
+
+    assert.deepEqual(calls, ["fallback/two", "fallback/two", "fallback/one"]);
+  });
+
+  it("throws the last error when every model fails", async (t) => {
+    const failures = Array.from({ length: 6 }, () =>
+      Object.assign(new ProviderRateLimitError("busy", { retryAfter: "0" }), {
+        statusCode: 429,
+      })
+    );
+    script(t, failures.slice());
+
+    await assert.rejects(
+      client.chatCompletion("hello"),
+      (error) => error === failures[5]
+    );
+    assert.equal(calls.length, 6);
+  });
+
+  it("does not retry a permanent failure", async (t) => {
+    const failure = Object.assign(new ProviderAuthError("bad key"), {
+      statusCode: 401,
+    });
+    script(t, [failure]);
+
+    await assert.rejects(client.chatCompletion("hello"), ProviderAuthError);
+    assert.deepEqual(calls, [PRIMARY]);
+  });
+
+  it("makes no attempt once the deadline has passed", async (t) => {
+    script(t, []);
+
+    await assert.rejects(
+      client.chatCompletion("hello", null, { deadline: Date.now() - 1 }),
+      ProviderUnavailableError
+    );
+    assert.deepEqual(calls, []);
+  });
+
+  it("stops waiting for a retry when the request is cancelled", async (t) => {
+    const controller = new AbortController();
+    client.retryPolicy = { maxRetries: 1, baseDelay: 10000, maxDelay: 10000 };
+    t.mock.method(Math, "random", () => 1);
+    script(t, [new ProviderUnavailableError("down")]);
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(
+      client.chatCompletion("hello", null, { signal: controller.signal }),
+      RequestCancelledError
+    );
+    assert.deepEqual(calls, [PRIMARY]);
+  });
+});
@@ -0,0 +1,34 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const PromptResponse = require("../models/PromptResponse");
+const { toErrorResponse } = require("../middleware/errorHandler");
+const { ValidationError } = require("../utils/errors");
+
+describe("PromptResponse save", () => {
+  it("rejects a blank response with a 400 ValidationError", async () => {
+    const doc = new PromptResponse({ prompt: "hello", response: "hi" });
+    // Stored values are trimmed, so only a raw write reaches the hook
+    doc._doc.response = "   ";
+
+    const error = await doc
+      .save({ validateBeforeSave: false })
+      .catch((rejection) => rejection);
+
+    assert.ok(error instanceof ValidationError);
+    assert.equal(toErrorResponse(error).status, 400);
+    assert.equal(
+      toErrorResponse(error).body.error.message,
+      "Response cannot be empty or contain only whitespace"
+    );
+  });
+
+  it("rejects a missing prompt with a 400 ValidationError", async () => {
+    const error = await new PromptResponse({ response: "hi" })
+      .save()
+      .catch((rejection) => rejection);
+
+    assert.ok(error instanceof ValidationError);
+    assert.equal(toErrorResponse(error).body.error.code, "VALIDATION_ERROR");
+  });
+});
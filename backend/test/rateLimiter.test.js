@@ -0,0 +1,137 @@
+require("./setup");
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter } = require("../middleware/rateLimiter");
+const { MemoryRateLimitStore } = require("../services/rateLimitStore");
+
+const WINDOW_MS = 60000;
+
+/**
+ * Run the limiter for one request; resolves with the response state
+ */
+const send = async (limiter, { method = "POST", path = "/ask-ai" } = {}) => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) {
+      if (typeof name === "object") {
+        Object.assign(this.headers, name);
+      } else {
+        this.headers[name] = value;
+      }
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+
+  await limiter({ method, path, ip: "127.0.0.1" }, res, () => {
+    passed = true;
+  });
+
+  return { ...res, passed };
+};
+
+describe("createRateLimiter", () => {
+  let now;
+  let limiter;
+
+  beforeEach((t) => {
+    now = 10 * WINDOW_MS;
+    t.mock.method(Date, "now", () => now);
+    limiter = createRateLimiter({
+      policies: [
+        {
+          name: "ai",
+          max: 3,
+          matches: (req) => req.path === "/ask-ai",
+        },
+        { name: "off", max: 0, matches: () => true },
+      ],
+      windowMs: WINDOW_MS,
+      store: new MemoryRateLimitStore(),
+    });
+  });
+
+  it("sets RateLimit headers on allowed requests", async () => {
+    const res = await send(limiter);
+
+    assert.equal(res.passed, true);
+    assert.deepEqual(res.headers, {
+      "RateLimit-Policy": "3;w=60",
+      "RateLimit-Limit": "3",
+      "RateLimit-Remaining": "2",
+      "RateLimit-Reset": "60",
+    });
+  });
+
+  it("rejects requests over the limit with 429 and Retry-After", async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await send(limiter)).passed, true);
+    }
+
+    now += 15000;
+    const res = await send(limiter);
+
+    assert.equal(res.passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.error.code, "RATE_LIMIT_EXCEEDED");
+    assert.equal(res.headers["RateLimit-Remaining"], "0");
+    // The window's 4 requests must fade to 2 in the next window
+    assert.equal(res.headers["Retry-After"], "75");
+  });
+
+  it("weights the previous window by how much of it still overlaps", async () => {
+    for (let i = 0; i < 3; i++) {
+      await send(limiter);
+    }
+
+    // 3 * (1 - 0.25) + 1 exceeds 3 a quarter into the next window
+    now += WINDOW_MS + WINDOW_MS / 4;
+    assert.equal((await send(limiter)).statusCode, 429);
+
+    // 3 * (1 - 0.75) + 2 fits three quarters in
+    now += WINDOW_MS / 2;
+    const res = await send(limiter);
+    assert.equal(res.passed, true);
+    assert.equal(res.headers["RateLimit-Remaining"], "0");
+  });
+
+  it("forgets counts older than the previous window", async () => {
+    for (let i = 0; i < 4; i++) {
+      await send(limiter);
+    }
+
+    now += 2 * WINDOW_MS;
+    assert.equal((await send(limiter)).passed, true);
+  });
+
+  it("skips policies with a max of 0", async () => {
+    const res = await send(limiter, { method: "GET", path: "/history" });
+
+    assert.equal(res.passed, true);
+    assert.deepEqual(res.headers, {});
+  });
+
+  it("allows requests when the store fails", async () => {
+    const failing = createRateLimiter({
+      policies: [{ name: "ai", max: 1, matches: () => true }],
+      windowMs: WINDOW_MS,
+      store: {
+        hit: async () => {
+          throw new Error("store down");
+        },
+      },
+    });
+
+    assert.equal((await send(failing)).passed, true);
+  });
+});
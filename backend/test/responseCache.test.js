@@ -0,0 +1,97 @@
+process.env.RESPONSE_CACHE = "memory";
+process.env.RESPONSE_CACHE_MAX_ENTRIES = "2";
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  purgeCache,
+  getCacheStats,
+} = require("../services/responseCache");
+
+const request = (overrides = {}) => ({
+  provider: "mock",
+  model: "mock/echo",
+  input: "Explain closures",
+  options: { temperature: 0.5 },
+  ...overrides,
+});
+
+const result = (content) => ({
+  content,
+  model: "mock/echo",
+  usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+});
+
+describe("buildCacheKey", () => {
+  it("ignores surrounding whitespace, line endings and option order", () => {
+    const key = buildCacheKey(request());
+
+    assert.equal(
+      buildCacheKey(request({ input: "  Explain closures\r\n" })),
+      key
+    );
+    assert.equal(
+      buildCacheKey(
+        request({ options: { top_p: undefined, temperature: 0.5 } })
+      ),
+      key
+    );
+    assert.equal(
+      buildCacheKey(
+        request({ input: [{ role: "user", content: "Explain closures" }] })
+      ),
+      key
+    );
+  });
+
+  it("separates providers, models, messages and parameters", () => {
+    const key = buildCacheKey(request());
+
+    for (const change of [
+      { provider: "openrouter" },
+      { model: "mock/other" },
+      { input: "Explain closures in Go" },
+      {
+        input: [
+          { role: "system", content: "Be brief" },
+          { role: "user", content: "Explain closures" },
+        ],
+      },
+      { options: { temperature: 0.7 } },
+    ]) {
+      assert.notEqual(buildCacheKey(request(change)), key, change);
+    }
+  });
+});
+
+describe("response cache", () => {
+  it("returns a stored response and counts hits and misses", async () => {
+    await purgeCache();
+    const { hits, misses } = getCacheStats();
+    const key = buildCacheKey(request());
+
+    assert.equal(await getCachedResponse(key), null);
+    setCachedResponse(key, { ...result("cached"), latencyMs: 5 }, "mock");
+
+    assert.deepEqual(await getCachedResponse(key), result("cached"));
+    assert.equal(getCacheStats().hits, hits + 1);
+    assert.equal(getCacheStats().misses, misses + 1);
+  });
+
+  it("keeps at most RESPONSE_CACHE_MAX_ENTRIES responses", async () => {
+    await purgeCache();
+    const keys = ["one", "two", "three"].map((input) =>
+      buildCacheKey(request({ input }))
+    );
+    for (const key of keys) {
+      setCachedResponse(key, result(key), "mock");
+    }
+
+    assert.equal(getCacheStats().entries, 2);
+    assert.equal(await getCachedResponse(keys[0]), null);
+    assert.deepEqual(await purgeCache(), { memory: 2, mongo: 0 });
+  });
+});
@@ -0,0 +1,113 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isTransientError,
+  parseRetryAfter,
+  getBackoffDelay,
+  sleep,
+} = require("../utils/retry");
+const {
+  ProviderError,
+  ProviderUnavailableError,
+  RequestCancelledError,
+} = require("../utils/errors");
+
+const withStatus = (statusCode) =>
+  Object.assign(new ProviderError("upstream"), { statusCode });
+
+describe("isTransientError", () => {
+  it("retries timeouts, rate limits and server errors", () => {
+    for (const status of [408, 429, 500, 502, 503, 504]) {
+      assert.equal(isTransientError(withStatus(status)), true, status);
+    }
+  });
+
+  it("does not retry other statuses", () => {
+    for (const status of [400, 401, 403, 404, 422]) {
+      assert.equal(isTransientError(withStatus(status)), false, status);
+    }
+  });
+
+  it("retries network failures without a status", () => {
+    assert.equal(isTransientError(new ProviderUnavailableError("down")), true);
+    assert.equal(isTransientError(new Error("bug")), false);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads delay-seconds", () => {
+    assert.equal(parseRetryAfter("2"), 2000);
+    assert.equal(parseRetryAfter("0.5"), 500);
+    assert.equal(parseRetryAfter(0), 0);
+  });
+
+  it("reads an HTTP date relative to now", () => {
+    const now = Date.parse("Mon, 19 Oct 2026 12:00:00 GMT");
+
+    assert.equal(parseRetryAfter("Mon, 19 Oct 2026 12:00:03 GMT", now), 3000);
+    assert.equal(parseRetryAfter("Mon, 19 Oct 2026 11:59:00 GMT", now), 0);
+  });
+
+  it("returns null when absent or invalid", () => {
+    for (const value of [undefined, null, "", "-1", "soon"]) {
+      assert.equal(parseRetryAfter(value), null, String(value));
+    }
+  });
+});
+
+describe("getBackoffDelay", () => {
+  const policy = { baseDelay: 500, maxDelay: 3000 };
+
+  it("doubles the ceiling with every retry up to maxDelay", () => {
+    const ceilings = [1, 2, 3, 4, 5].map((retry) =>
+      getBackoffDelay(retry, policy, () => 1)
+    );
+
+    assert.deepEqual(ceilings, [500, 1000, 2000, 3000, 3000]);
+  });
+
+  it("picks a random delay below the ceiling", () => {
+    assert.equal(
+      getBackoffDelay(2, policy, () => 0.25),
+      250
+    );
+    assert.equal(
+      getBackoffDelay(2, policy, () => 0),
+      0
+    );
+  });
+});
+
+describe("sleep", () => {
+  it("resolves after the delay", async () => {
+    const start = Date.now();
+    await sleep(20);
+
+    assert.ok(Date.now() - start >= 15);
+  });
+
+  it("rejects with RequestCancelledError when the signal aborts", async () => {
+    const controller = new AbortController();
+    const start = Date.now();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(
+      sleep(10000, { signal: controller.signal }),
+      RequestCancelledError
+    );
+    assert.ok(Date.now() - start < 1000);
+  });
+
+  it("rejects at once with a custom error when already aborted", async () => {
+    const error = new Error("stopped");
+
+    await assert.rejects(
+      sleep(10000, {
+        signal: AbortSignal.abort(),
+        createAbortError: () => error,
+      }),
+      (rejection) => rejection === error
+    );
+  });
+});
@@ -0,0 +1,23 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Test environment
+ * Required first by every test file, before anything loads the config:
+ * the mock provider stands in for the LLM, and logs go to a temporary
+ * directory instead of backend/logs. Variables already set are kept.
+ */
+
+process.env.NODE_ENV ||= "test";
+process.env.MONGODB_URI ||= "mongodb://127.0.0.1:27017/ai-flow-visualizer-test";
+process.env.LLM_PROVIDER ||= "mock";
+process.env.LOG_LEVEL ||= "error";
+
+if (!process.env.LOG_DIR) {
+  const logDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "ai-flow-visualizer-logs-")
+  );
+  process.env.LOG_DIR = logDir;
+  process.on("exit", () => fs.rmSync(logDir, { recursive: true, force: true }));
+}
@@ -0,0 +1,80 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  extractVariables,
+  isTemplate,
+  renderTemplate,
+} = require("../utils/template");
+
+describe("extractVariables", () => {
+  it("lists each variable once, in order of first use", () => {
+    assert.deepEqual(
+      extractVariables("{{ topic }} for {{audience}}, again {{topic}}"),
+      ["topic", "audience"]
+    );
+  });
+
+  it("ignores invalid names and non-strings", () => {
+    assert.deepEqual(extractVariables("{{1st}} {{ two words }} {{}}"), []);
+    assert.deepEqual(extractVariables(undefined), []);
+  });
+
+  it("skips escaped braces", () => {
+    assert.deepEqual(extractVariables("\\{{ name }} and {{ topic }}"), [
+      "topic",
+    ]);
+  });
+});
+
+describe("isTemplate", () => {
+  it("detects placeholders and escaped braces", () => {
+    assert.equal(isTemplate("Hello {{ name }}"), true);
+    assert.equal(isTemplate("Mustache uses \\{{ name }}"), true);
+    assert.equal(isTemplate("Plain { braces } and {{ 1 }}"), false);
+  });
+});
+
+describe("renderTemplate", () => {
+  it("replaces every placeholder with its value", () => {
+    assert.deepEqual(
+      renderTemplate("Explain {{ topic }} to {{audience}}", {
+        topic: "recursion",
+        audience: "kids",
+      }),
+      { rendered: "Explain recursion to kids", missing: [] }
+    );
+  });
+
+  it("leaves placeholders without a value in place", () => {
+    assert.deepEqual(
+      renderTemplate("{{topic}} for {{audience}}", {
+        topic: "SSE",
+        audience: "  ",
+      }),
+      { rendered: "SSE for {{audience}}", missing: ["audience"] }
+    );
+  });
+
+  it("does not expand placeholders inside substituted values", () => {
+    const { rendered } = renderTemplate("{{a}} {{b}}", {
+      a: "{{b}}",
+      b: "x",
+    });
+    assert.equal(rendered, "{{b}} x");
+  });
+
+  it("turns escaped braces into literal braces without variables", () => {
+    assert.deepEqual(renderTemplate("Use \\{{ name }} in Mustache"), {
+      rendered: "Use {{ name }} in Mustache",
+      missing: [],
+    });
+  });
+
+  it("mixes escaped braces and placeholders", () => {
+    assert.deepEqual(
+      renderTemplate("\\{{{{ x }}}} is {{x}}", { x: "\\{{raw" }),
+      { rendered: "{{\\{{raw}} is \\{{raw", missing: [] }
+    );
+  });
+});
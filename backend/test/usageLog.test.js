@@ -0,0 +1,64 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const UsageRecord = require("../models/UsageRecord");
+const logger = require("../utils/logger");
+const { recordUsage } = require("../services/usageLog");
+
+const call = {
+  provider: "mock",
+  model: "mock/echo",
+  usage: { promptTokens: 3, completionTokens: 4, totalTokens: 7 },
+  latencyMs: 25,
+};
+
+/**
+ * Report MongoDB as connected for the rest of the test
+ */
+const connect = (t) => {
+  Object.defineProperty(mongoose.connection, "readyState", {
+    get: () => 1,
+    configurable: true,
+  });
+  t.after(() => delete mongoose.connection.readyState);
+};
+
+describe("recordUsage", () => {
+  it("writes one record per call", (t) => {
+    connect(t);
+    const create = t.mock.method(UsageRecord, "create", async () => {});
+
+    recordUsage(call);
+    recordUsage({ ...call, usage: null });
+
+    assert.deepEqual(
+      create.mock.calls.map(({ arguments: [record] }) => record),
+      [call, { ...call, usage: undefined }]
+    );
+  });
+
+  it("logs a failed write instead of throwing", async (t) => {
+    connect(t);
+    t.mock.method(UsageRecord, "create", async () => {
+      throw new Error("write conflict");
+    });
+    const warn = t.mock.method(logger, "warn", () => {});
+
+    assert.doesNotThrow(() => recordUsage(call));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepEqual(warn.mock.calls[0].arguments, [
+      "Usage record write failed",
+      { error: "write conflict" },
+    ]);
+  });
+
+  it("skips the write while the database is disconnected", (t) => {
+    const create = t.mock.method(UsageRecord, "create", async () => {});
+
+    recordUsage(call);
+
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
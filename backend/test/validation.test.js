@@ -0,0 +1,119 @@
+require("./setup");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateComparisonData,
+  validatePageQuery,
+} = require("../utils/validation");
+
+const variant = (overrides = {}) => ({
+  model: "mock/echo",
+  response: "An answer",
+  ...overrides,
+});
+
+describe("validateComparisonData", () => {
+  it("sanitizes a valid comparison", () => {
+    const result = validateComparisonData({
+      title: "  Models  ",
+      prompt: "Hello",
+      variants: [
+        variant({
+          provider: "mock",
+          parameters: { temperature: 0.5 },
+          usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+          latencyMs: 120,
+        }),
+        variant({ model: "mock/other", cached: 1 }),
+      ],
+      winner: 1,
+    });
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.sanitized.title, "Models");
+    assert.equal(result.sanitized.winner, 1);
+    assert.deepEqual(result.sanitized.variants[0], {
+      provider: "mock",
+      model: "mock/echo",
+      parameters: { temperature: 0.5 },
+      response: "An answer",
+      usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+      latencyMs: 120,
+      cached: false,
+    });
+    assert.equal(result.sanitized.variants[1].cached, true);
+  });
+
+  it("defaults the winner to null", () => {
+    const result = validateComparisonData({
+      prompt: "Hello",
+      variants: [variant(), variant()],
+    });
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.sanitized.winner, null);
+  });
+
+  it("requires 2-10 variants", () => {
+    for (const variants of [[variant()], Array(11).fill(variant())]) {
+      const result = validateComparisonData({ prompt: "Hello", variants });
+      assert.deepEqual(result.errors, ["A comparison must have 2-10 variants"]);
+    }
+
+    assert.deepEqual(
+      validateComparisonData({ prompt: "Hello", variants: "no" }).errors,
+      ["Variants must be an array"]
+    );
+  });
+
+  it("reports errors by variant number", () => {
+    const result = validateComparisonData({
+      prompt: "Hello",
+      variants: [
+        variant({ model: " " }),
+        variant({ response: "" }),
+        variant({ parameters: { temperature: 5 } }),
+        null,
+      ],
+    });
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, [
+      "Variant 1 model is required",
+      "Variant 2 response is required",
+      "Variant 3: Temperature must be a number between 0 and 2",
+      "Variant 4 must be an object",
+    ]);
+  });
+
+  it("rejects a winner outside the variants", () => {
+    for (const winner of [2, -1, 0.5, "0"]) {
+      const result = validateComparisonData({
+        prompt: "Hello",
+        variants: [variant(), variant()],
+        winner,
+      });
+      assert.deepEqual(result.errors, [
+        "Winner must be the index of one of the variants",
+      ]);
+    }
+  });
+});
+
+describe("validatePageQuery", () => {
+  it("accepts page and limit", () => {
+    const result = validatePageQuery({ page: "2", limit: "5" });
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.sanitized, { page: 2, limit: 5 });
+  });
+
+  it("rejects search and sort parameters", () => {
+    for (const param of ["q", "sort"]) {
+      const result = validatePageQuery({ [param]: "x" });
+      assert.deepEqual(result.errors, [
+        `Unsupported query parameter: ${param} (only page and limit are accepted)`,
+      ]);
+    }
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Application error hierarchy
+ * Services and models throw these; globalErrorHandler turns them into the
+ * `{ success: false, error: { message, code } }` response. `message` is for
+ * logs and may name internals; `publicMessage` is what clients see.
+ *
+ *   AppError
+ *   ├── ValidationError           400
+ *   │   └── InvalidModelError     400 INVALID_MODEL
+ *   ├── NotFoundError             404
+ *   ├── ConflictError             409 DUPLICATE_ENTRY
+ *   ├── RequestCancelledError     499 REQUEST_CANCELLED
+ *   ├── ProviderError             500 AI_PROCESSING_ERROR
+ *   │   ├── ProviderAuthError     401 AI_AUTH_ERROR
+ *   │   ├── ProviderRateLimitError 429 AI_RATE_LIMIT
+ *   │   ├── ProviderUnavailableError 503 AI_SERVICE_UNAVAILABLE
+ *   │   └── ProviderConfigError   500 AI_CONFIG_ERROR
+ *   └── DatabaseError             500 DATABASE_ERROR
+ *       └── DatabaseUnavailableError 503 DATABASE_UNAVAILABLE
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Internal description, logged
+   * @param {Object} options
+   * @param {number} options.status - HTTP status
+   * @param {string} options.code - Error code sent to clients
+   * @param {string} options.publicMessage - Message sent to clients; defaults to `message`
+   * @param {string} options.details - Extra detail sent in development only
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(
+    message,
+    {
+      status = 500,
+      code = "INTERNAL_ERROR",
+      publicMessage = message,
+      details,
+      cause,
+    } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.publicMessage = publicMessage;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, code = "VALIDATION_ERROR", options = {}) {
+    super(message, { status: 400, code, ...options });
+  }
+}
+
+class InvalidModelError extends ValidationError {
+  constructor(message, options = {}) {
+    super(message, "INVALID_MODEL", options);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = "NOT_FOUND", options = {}) {
+    super(message, { status: 404, code, ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: "DUPLICATE_ENTRY", ...options });
+  }
+}
+
+/**
+ * The client went away before the response was ready; 499 is nginx's
+ * "client closed request", and only ever shows up in logs and metrics
+ */
+class RequestCancelledError extends AppError {
+  constructor(message = "Request cancelled by client", options = {}) {
+    super(message, { status: 499, code: "REQUEST_CANCELLED", ...options });
+  }
+}
+
+class ProviderError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 500,
+      code: "AI_PROCESSING_ERROR",
+      publicMessage: "Failed to process AI request",
+      ...options,
+    });
+  }
+}
+
+class ProviderAuthError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 401,
+      code: "AI_AUTH_ERROR",
+      publicMessage: "AI service authentication failed",
+      ...options,
+    });
+  }
+}
+
+class ProviderRateLimitError extends ProviderError {
+  /**
+   * @param {string} message
+   * @param {Object} options - AppError options, plus `retryAfter` (raw header)
+   */
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, {
+      status: 429,
+      code: "AI_RATE_LIMIT",
+      publicMessage: "AI service rate limit exceeded. Please try again later",
+      ...options,
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ProviderUnavailableError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 503,
+      code: "AI_SERVICE_UNAVAILABLE",
+      publicMessage: "AI service temporarily unavailable",
+      ...options,
+    });
+  }
+}
+
+class ProviderConfigError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 500,
+      code: "AI_CONFIG_ERROR",
+      publicMessage: "AI service configuration error",
+      ...options,
+    });
+  }
+}
+
+class DatabaseError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 500,
+      code: "DATABASE_ERROR",
+      publicMessage: "Database operation failed",
+      ...options,
+    });
+  }
+}
+
+class DatabaseUnavailableError extends DatabaseError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 503,
+      code: "DATABASE_UNAVAILABLE",
+      publicMessage: "Database temporarily unavailable",
+      ...options,
+    });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  InvalidModelError,
+  NotFoundError,
+  ConflictError,
+  RequestCancelledError,
+  ProviderError,
+  ProviderAuthError,
+  ProviderRateLimitError,
+  ProviderUnavailableError,
+  ProviderConfigError,
+  DatabaseError,
+  DatabaseUnavailableError,
+};
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+
+/**
+ * Local calendar date, e.g. "2024-01-09"
+ */
+const toDateStamp = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Buffered, rotating log file
+ * Lines are buffered in memory and appended asynchronously, so logging
+ * never blocks the event loop. Before each write the file is rotated when
+ * the day has changed (`daily`) or it would exceed `maxSize` (`size`):
+ * app.log becomes app-2024-01-09.log (or app-2024-01-09T10-30-00.log),
+ * optionally gzipped, and only the newest `maxFiles` rotated files are kept.
+ */
+class RotatingLogFile {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path of the active log file
+   * @param {string} options.rotation - "daily" or "size"
+   * @param {number} options.maxSize - Bytes before a size rotation
+   * @param {number} options.maxFiles - Rotated files kept; 0 keeps all
+   * @param {boolean} options.compress - Gzip rotated files
+   * @param {number} options.maxBufferSize - Buffered bytes that trigger a write
+   */
+  constructor({
+    filePath,
+    rotation = "daily",
+    maxSize = 10 * 1024 * 1024,
+    maxFiles = 14,
+    compress = false,
+    maxBufferSize = 64 * 1024,
+  }) {
+    this.filePath = filePath;
+    this.rotation = rotation;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.compress = compress;
+    this.maxBufferSize = maxBufferSize;
+
+    this.buffer = [];
+    this.bufferSize = 0;
+    // Writes run one at a time, in order
+    this.writing = Promise.resolve();
+
+    // The current file's size and day, read once instead of on every write
+    try {
+      const stats = fs.statSync(filePath);
+      this.size = stats.size;
+      this.date = toDateStamp(stats.mtime);
+    } catch {
+      this.size = 0;
+      this.date = toDateStamp(new Date());
+    }
+  }
+
+  /**
+   * Buffer a line; it is written on the next flush
+   */
+  write(line) {
+    this.buffer.push(line + "\n");
+    this.bufferSize += Buffer.byteLength(line) + 1;
+
+    if (this.bufferSize >= this.maxBufferSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write everything buffered so far
+   * @returns {Promise<void>} Resolves once it is on disk
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return this.writing;
+    }
+
+    const chunk = this.buffer.join("");
+    this.buffer = [];
+    this.bufferSize = 0;
+
+    this.writing = this.writing.then(() =>
+      this._append(chunk).catch((error) => {
+        console.error("Failed to write to log file:", error.message);
+      })
+    );
+
+    return this.writing;
+  }
+
+  /**
+   * Write the buffer synchronously, for process exit when async writes
+   * can no longer finish
+   */
+  flushSync() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.filePath, this.buffer.join(""));
+    } catch (error) {
+      console.error("Failed to write to log file:", error.message);
+    }
+    this.buffer = [];
+    this.bufferSize = 0;
+  }
+
+  async _append(chunk) {
+    const chunkSize = Buffer.byteLength(chunk);
+    const today = toDateStamp(new Date());
+
+    if (this.rotation === "size") {
+      if (this.size > 0 && this.size + chunkSize > this.maxSize) {
+        const now = new Date();
+        const time = [now.getHours(), now.getMinutes(), now.getSeconds()]
+          .map((part) => String(part).padStart(2, "0"))
+          .join("-");
+        await this._rotate(`${toDateStamp(now)}T${time}`);
+      }
+    } else if (today !== this.date && this.size > 0) {
+      await this._rotate(this.date);
+    }
+
+    await fs.promises.appendFile(this.filePath, chunk);
+    this.size += chunkSize;
+    this.date = today;
+  }
+
+  /**
+   * Move the active file aside and drop rotated files beyond `maxFiles`
+   * @private
+   */
+  async _rotate(suffix) {
+    const { dir, name, ext } = path.parse(this.filePath);
+    let rotatedPath = path.join(dir, `${name}-${suffix}${ext}`);
+
+    // A restart on the same day may rotate twice
+    for (let n = 1; fs.existsSync(rotatedPath); n++) {
+      rotatedPath = path.join(dir, `${name}-${suffix}.${n}${ext}`);
+    }
+
+    try {
+      await fs.promises.rename(this.filePath, rotatedPath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    this.size = 0;
+
+    if (this.compress) {
+      try {
+        await pipeline(
+          fs.createReadStream(rotatedPath),
+          zlib.createGzip(),
+          fs.createWriteStream(`${rotatedPath}.gz`)
+        );
+        await fs.promises.unlink(rotatedPath);
+      } catch (error) {
+        console.error("Failed to compress log file:", error.message);
+      }
+    }
+
+    await this._removeOldFiles(dir, name, ext);
+  }
+
+  async _removeOldFiles(dir, name, ext) {
+    if (this.maxFiles === 0) {
+      return;
+    }
+
+    const rotated = (await fs.promises.readdir(dir)).filter(
+      (file) =>
+        file.startsWith(`${name}-`) &&
+        (file.endsWith(ext) || file.endsWith(`${ext}.gz`))
+    );
+
+    // Names don't sort by age ("app-2024-01-09.10.log" sorts before
+    // ".2.log"), but renaming keeps the mtime of the last write, so order
+    // by that and break ties on the ".N" counter
+    const files = await Promise.all(
+      rotated.map(async (file) => {
+        const stats = await fs.promises.stat(path.join(dir, file));
+        const counter = file.match(/\.(\d+)\.[^.]+(?:\.gz)?$/);
+        return {
+          file,
+          mtime: stats.mtimeMs,
+          counter: counter ? Number(counter[1]) : 0,
+        };
+      })
+    );
+    files.sort((a, b) => a.mtime - b.mtime || a.counter - b.counter);
+
+    for (const { file } of files.slice(0, -this.maxFiles)) {
+      await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+    }
+  }
+}
+
+module.exports = RotatingLogFile;
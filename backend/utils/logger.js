@@ -1,12 +1,63 @@
 const fs = require("fs");
 const path = require("path");
+const { config } = require("../config");
+const { getRequestId } = require("./requestContext");
+
+const RotatingLogFile = require("./logFile");
+const { createRedactor } = require("./redact");
+const { recordHttpRequest } = require("../services/metrics");
+
+// Levels from most to least severe; LOG_LEVEL keeps its level and above
+const LEVELS = ["error", "warn", "info", "debug"];
 
 /**
- * Simple logging utility for the application
+ * Build the redactor from the LOG_REDACT_* and LOG_CONTENT settings
+ */
+const createRedactorFromConfig = () => {
+  const { redactPaths, redactDetectors, redactPatterns, content } =
+    config.logging;
+
+  return createRedactor({
+    paths: redactPaths,
+    ...(redactDetectors && {
+      detectors: redactDetectors.includes("none") ? [] : redactDetectors,
+    }),
+    patterns: redactPatterns.map((pattern) => new RegExp(pattern)),
+    contentMode: content,
+  });
+};
+
+/**
+ * Logging utility for the application
+ * Lines go to the console and, buffered, to files in logs/: app.log gets
+ * every line, error.log errors and debug.log debug lines. Buffers are
+ * written every LOG_FLUSH_INTERVAL_MS and on `flush()`.
+ *
+ * Configuration (from config/index.js, applied on first use):
+ *   LOG_LEVEL             - error, warn, info or debug (default debug in
+ *                           development, info otherwise)
+ *   LOG_ROTATION          - daily (default) or size
+ *   LOG_MAX_SIZE_MB       - File size that triggers a size rotation (default 10)
+ *   LOG_MAX_FILES         - Rotated files kept per log; 0 keeps all (default 14)
+ *   LOG_COMPRESS          - true to gzip rotated files
+ *   LOG_FLUSH_INTERVAL_MS - How often buffered lines are written (default 1000)
+ *   LOG_CONTENT           - hash (default) logs prompts and responses as
+ *                           length and hash only; full logs them as they are
+ *   LOG_REDACT_PATHS      - Extra comma-separated field paths to mask
+ *   LOG_REDACT_DETECTORS  - Detectors to run: apiKey, bearer, jwt, email
+ *                           (default all) or none
+ *   LOG_REDACT_PATTERNS   - JSON array of extra regular expressions to mask
+ *
+ * Every line is redacted (see utils/redact.js) before it reaches the
+ * console or a file.
  */
 class Logger {
   constructor() {
-    this.logDir = path.join(__dirname, "../logs");
+    this.logDir = config.logging.dir
+      ? path.resolve(config.logging.dir)
+      : path.join(__dirname, "../logs");
+    this.config = null;
+    this.files = new Map();
     this.ensureLogDirectory();
   }
 
@@ -20,33 +71,98 @@ class Logger {
     }
   }
 
+  getConfig() {
+    if (!this.config) {
+      const { logging } = config;
+
+      this.config = {
+        level:
+          logging.level || (config.env === "development" ? "debug" : "info"),
+        rotation: logging.rotation,
+        maxSize: logging.maxSizeMb * 1024 * 1024,
+        maxFiles: logging.maxFiles,
+        compress: logging.compress,
+        redact: createRedactorFromConfig(),
+      };
+
+      // Write buffered lines regularly without keeping the process alive
+      this.flushTimer = setInterval(
+        () => this.flush(),
+        logging.flushIntervalMs
+      );
+      this.flushTimer.unref();
+
+      // Last resort for exits that skip gracefulShutdown
+      process.on("exit", () => this.flushSync());
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Check whether lines at `level` are logged under LOG_LEVEL
+   */
+  isLevelEnabled(level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.getConfig().level);
+  }
+
   formatMessage(level, message, meta = {}) {
     const timestamp = new Date().toISOString();
+    const { redact } = this.getConfig();
+    // Lines written while handling a request carry its ID
     const logEntry = {
       timestamp,
       level,
-      message,
-      ...meta,
+      requestId: getRequestId(),
+      message: redact(message),
+      ...redact(meta),
     };
     return JSON.stringify(logEntry);
   }
 
   writeToFile(filename, message) {
-    try {
-      const logFile = path.join(this.logDir, filename);
-      fs.appendFileSync(logFile, message + "\n");
-    } catch (error) {
-      console.error("Failed to write to log file:", error.message);
+    let file = this.files.get(filename);
+
+    if (!file) {
+      const { rotation, maxSize, maxFiles, compress } = this.getConfig();
+      file = new RotatingLogFile({
+        filePath: path.join(this.logDir, filename),
+        rotation,
+        maxSize,
+        maxFiles,
+        compress,
+      });
+      this.files.set(filename, file);
+    }
+
+    file.write(message);
+  }
+
+  /**
+   * Write every buffered line to disk
+   * @returns {Promise<void>} Resolves once all files are written
+   */
+  flush() {
+    return Promise.all(
+      [...this.files.values()].map((file) => file.flush())
+    ).then(() => {});
+  }
+
+  flushSync() {
+    for (const file of this.files.values()) {
+      file.flushSync();
     }
   }
 
   info(message, meta = {}) {
+    if (!this.isLevelEnabled("info")) return;
     const formattedMessage = this.formatMessage("INFO", message, meta);
     console.log(formattedMessage);
     this.writeToFile("app.log", formattedMessage);
   }
 
   warn(message, meta = {}) {
+    if (!this.isLevelEnabled("warn")) return;
     const formattedMessage = this.formatMessage("WARN", message, meta);
     console.warn(formattedMessage);
     this.writeToFile("app.log", formattedMessage);
@@ -60,11 +176,10 @@ class Logger {
   }
 
   debug(message, meta = {}) {
-    if (process.env.NODE_ENV === "development") {
-      const formattedMessage = this.formatMessage("DEBUG", message, meta);
-      console.debug(formattedMessage);
-      this.writeToFile("debug.log", formattedMessage);
-    }
+    if (!this.isLevelEnabled("debug")) return;
+    const formattedMessage = this.formatMessage("DEBUG", message, meta);
+    console.debug(formattedMessage);
+    this.writeToFile("debug.log", formattedMessage);
   }
 
   // Log API requests
@@ -80,7 +195,7 @@ class Logger {
       contentType: headers["content-type"],
     });
 
-    // Log response when it finishes
+    // Log and count the response when it finishes
     res.on("finish", () => {
       const duration = Date.now() - start;
       const { statusCode } = res;
@@ -91,6 +206,14 @@ class Logger {
         statusCode,
         duration: `${duration}ms`,
       });
+
+      // Route patterns, not URLs, keep the number of series bounded
+      recordHttpRequest({
+        method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+        status: statusCode,
+        durationMs: duration,
+      });
     });
 
     next();
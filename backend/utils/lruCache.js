@@ -0,0 +1,63 @@
+/**
+ * In-memory least-recently-used cache with per-entry expiry
+ * A Map keeps entries in insertion order, so re-inserting on every read puts
+ * the least recently used entry first, ready for eviction.
+ */
+class LRUCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before evicting the oldest
+   * @param {number} options.ttlMs - How long an entry stays fresh
+   */
+  constructor({ maxEntries = 500, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a fresh value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value; `expiresAt` overrides the default TTL
+   */
+  set(key, value, expiresAt = Date.now() + this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove every entry
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCache;
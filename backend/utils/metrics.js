@@ -0,0 +1,172 @@
+/**
+ * Prometheus metric primitives
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4).
+ */
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Base for labelled metrics: one series per distinct label set
+ */
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name, e.g. http_requests_total
+   * @param {string} options.help - Description shown by Prometheus
+   * @param {string[]} options.labelNames - Labels every series carries
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a label set, creating it with `create()`
+   * @protected
+   */
+  _getSeries(labels, create) {
+    const picked = Object.fromEntries(
+      this.labelNames.map((name) => [name, labels[name] ?? ""])
+    );
+    const key = JSON.stringify(picked);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  _header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [
+      ...this._header("counter"),
+      ...[...this.series.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus:
+   * @param {Function} options.collect - Called before rendering to set
+   *   values that are read rather than tracked, e.g. connection state
+   */
+  constructor({ collect, ...options }) {
+    super(options);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this._getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+
+    return [
+      ...this._header("gauge"),
+      ...[...this.series.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus:
+   * @param {number[]} options.buckets - Upper bounds, ascending
+   */
+  constructor({ buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this._getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this._header("histogram");
+
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${
+            counts[i]
+          }`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${this.name}_sum${formatLabels(labels)} ${sum}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`
+      );
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * A set of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {string}
+   */
+  render() {
+    return this.metrics.flatMap((metric) => metric.render()).join("\n") + "\n";
+  }
+}
+
+module.exports = { Counter, Gauge, Histogram, Registry };
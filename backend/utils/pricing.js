@@ -0,0 +1,67 @@
+const { config } = require("../config");
+
+/**
+ * Model pricing
+ * Prices are USD per million tokens, { prompt, completion }. OpenRouter's
+ * ":free" models and the mock model cost nothing; other models are priced
+ * from MODEL_PRICING, a JSON object keyed by model, e.g.
+ *   {"openai/gpt-4o-mini":{"prompt":0.15,"completion":0.6}}
+ */
+
+const FREE_PRICE = { prompt: 0, completion: 0 };
+
+const DEFAULT_PRICING = {
+  "mock-echo": FREE_PRICE,
+};
+
+/**
+ * Keep the MODEL_PRICING entries that have numeric prices
+ */
+const pickValidPrices = (prices) =>
+  Object.fromEntries(
+    Object.entries(prices).filter(
+      ([, price]) =>
+        price &&
+        Number.isFinite(price.prompt) &&
+        Number.isFinite(price.completion)
+    )
+  );
+
+const pricing = {
+  ...DEFAULT_PRICING,
+  ...pickValidPrices(config.ai.modelPricing),
+};
+
+/**
+ * Get the price of a model, or null when it is unknown
+ */
+const getModelPrice = (model) => {
+  if (pricing[model]) {
+    return pricing[model];
+  }
+
+  return typeof model === "string" && model.endsWith(":free")
+    ? FREE_PRICE
+    : null;
+};
+
+/**
+ * Estimate the cost in USD of the given token counts for a model
+ * Returns null when the model has no known price.
+ */
+const estimateCost = (model, { promptTokens = 0, completionTokens = 0 }) => {
+  const price = getModelPrice(model);
+  if (!price) {
+    return null;
+  }
+
+  return (
+    (promptTokens * price.prompt + completionTokens * price.completion) /
+    1000000
+  );
+};
+
+module.exports = {
+  getModelPrice,
+  estimateCost,
+};
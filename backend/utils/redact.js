@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+
+/**
+ * Log redaction
+ * Masks secrets and user content in log metadata before it is written:
+ *   - fields matching a redact path are replaced with "[REDACTED]"
+ *   - strings anywhere are scanned by detectors (API keys, bearer tokens,
+ *     JWTs, emails) and matches are replaced with "[REDACTED]"
+ *   - in `hash` content mode, prompt and response fields are replaced with
+ *     their length and a SHA-256 prefix, so lines can still be correlated
+ *
+ * A path without dots matches that key at any depth ("authorization");
+ * a dotted path matches from the top of the metadata ("body.variables"),
+ * with "*" matching any single key. Keys compare case-insensitively.
+ */
+
+const REDACTED = "[REDACTED]";
+
+const DETECTORS = {
+  apiKey: /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g,
+  bearer: /\bBearer\s+[A-Za-z0-9._~+/=-]+/gi,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+};
+
+const DEFAULT_PATHS = [
+  "authorization",
+  "cookie",
+  "password",
+  "secret",
+  "token",
+  "apiKey",
+  "api_key",
+  "x-api-key",
+];
+
+// Fields holding user prompts or AI output
+const CONTENT_KEYS = [
+  "prompt",
+  "response",
+  "system",
+  "messages",
+  "content",
+  "template",
+  "renderedPrompt",
+  "variables",
+];
+
+/**
+ * Replace user content with its length and a hash prefix
+ */
+const summarizeContent = (value) => {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  if (text === undefined) {
+    return value;
+  }
+
+  const hash = crypto.createHash("sha256").update(text).digest("hex");
+  return `[${text.length} chars, sha256:${hash.slice(0, 12)}]`;
+};
+
+/**
+ * Create a redaction function for log metadata
+ * @param {Object} options
+ * @param {string[]} options.paths - Field paths to mask, added to the defaults
+ * @param {string[]} options.detectors - Detector names to run (default all)
+ * @param {RegExp[]} options.patterns - Extra patterns to mask in strings
+ * @param {string} options.contentMode - "hash" (default) or "full"
+ * @returns {Function} (value) => redacted copy
+ */
+const createRedactor = ({
+  paths = [],
+  detectors = Object.keys(DETECTORS),
+  patterns = [],
+  contentMode = "hash",
+} = {}) => {
+  const rules = [...DEFAULT_PATHS, ...paths].map((path) =>
+    path.toLowerCase().split(".")
+  );
+  const contentKeys = new Set(CONTENT_KEYS.map((key) => key.toLowerCase()));
+  const expressions = [
+    ...detectors
+      .filter((name) => DETECTORS[name])
+      .map((name) => DETECTORS[name]),
+    ...patterns.map((pattern) => new RegExp(pattern.source, "g")),
+  ];
+
+  const matchesPath = (keys) =>
+    rules.some((rule) =>
+      rule.length === 1
+        ? keys[keys.length - 1] === rule[0]
+        : rule.length === keys.length &&
+          rule.every((part, i) => part === "*" || part === keys[i])
+    );
+
+  const redactString = (text) =>
+    expressions.reduce(
+      (result, expression) => result.replace(expression, REDACTED),
+      text
+    );
+
+  const visit = (value, keys, seen) => {
+    if (keys.length > 0) {
+      if (matchesPath(keys)) {
+        return REDACTED;
+      }
+      if (contentMode === "hash" && contentKeys.has(keys[keys.length - 1])) {
+        return summarizeContent(value);
+      }
+    }
+
+    if (typeof value === "string") {
+      return redactString(value);
+    }
+
+    if (!value || typeof value !== "object" || value instanceof Date) {
+      return value;
+    }
+
+    // Only plain data is walked; other objects are logged as JSON renders them
+    const prototype = Object.getPrototypeOf(value);
+    if (
+      !Array.isArray(value) &&
+      prototype !== Object.prototype &&
+      prototype !== null
+    ) {
+      return value;
+    }
+
+    // `seen` holds the objects above this one, to stop at cycles
+    if (seen.has(value)) {
+      return "[Circular]";
+    }
+    seen.add(value);
+
+    const result = Array.isArray(value)
+      ? value.map((item) => visit(item, keys, seen))
+      : Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [
+            key,
+            visit(item, [...keys, key.toLowerCase()], seen),
+          ])
+        );
+
+    seen.delete(value);
+    return result;
+  };
+
+  return (value) => visit(value, [], new WeakSet());
+};
+
+module.exports = { createRedactor };
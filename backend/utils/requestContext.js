@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Per-request context
+ * Holds the request ID for everything that runs while a request is being
+ * handled, including callbacks and promises it starts, so the logger can
+ * tag lines without the ID being passed around.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `callback` with `context` as the current request context
+ * @param {{ requestId: string }} context
+ * @param {Function} callback
+ */
+const runWithRequestContext = (context, callback) =>
+  storage.run(context, callback);
+
+/**
+ * Get the ID of the request being handled, if any
+ * @returns {string|undefined}
+ */
+const getRequestId = () => storage.getStore()?.requestId;
+
+module.exports = { runWithRequestContext, getRequestId };
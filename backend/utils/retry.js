@@ -0,0 +1,93 @@
+const { ProviderUnavailableError, RequestCancelledError } = require("./errors");
+
+/**
+ * Retry utilities
+ * Backoff and Retry-After helpers for retrying transient upstream failures.
+ */
+
+// HTTP statuses worth retrying: timeouts, rate limits and server errors
+const TRANSIENT_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Check whether a provider error is likely to succeed on retry
+ * Errors carry `statusCode` when the server answered; network failures and
+ * socket timeouts have none and surface as ProviderUnavailableError.
+ */
+const isTransientError = (error) => {
+  if (error.statusCode) {
+    return TRANSIENT_STATUS_CODES.has(error.statusCode);
+  }
+
+  return error instanceof ProviderUnavailableError;
+};
+
+/**
+ * Convert a Retry-After header to milliseconds
+ * Accepts delay-seconds or an HTTP date; returns null when absent or invalid.
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? Math.ceil(seconds * 1000) : null;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before retry number `retry` (1-based), using full jitter:
+ * a random delay between 0 and min(maxDelay, baseDelay * 2^(retry - 1))
+ */
+const getBackoffDelay = (
+  retry,
+  { baseDelay, maxDelay },
+  random = Math.random
+) => Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** (retry - 1)));
+
+/**
+ * Wait `ms`, or reject as soon as `signal` aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cuts the wait short
+ * @param {Function} options.createAbortError - Builds the rejection on abort
+ * @returns {Promise<void>}
+ */
+const sleep = (
+  ms,
+  {
+    signal,
+    createAbortError = () => new RequestCancelledError("Request cancelled"),
+  } = {}
+) => {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  if (ms <= 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+};
+
+module.exports = {
+  isTransientError,
+  parseRetryAfter,
+  getBackoffDelay,
+  sleep,
+};
@@ -0,0 +1,62 @@
+/**
+ * Prompt template utilities
+ * Templates use {{name}} placeholders; names start with a letter or
+ * underscore and may contain letters, digits and underscores. Write `\{{`
+ * for a literal `{{`.
+ */
+
+// A placeholder, capturing its name, or an escaped `\{{`
+const TOKEN_PATTERN = /\\\{\{|\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * List the variable names used in a template, in order of first use
+ */
+const extractVariables = (template) => {
+  if (typeof template !== "string") {
+    return [];
+  }
+
+  const names = new Set();
+  for (const [, name] of template.matchAll(TOKEN_PATTERN)) {
+    if (name !== undefined) {
+      names.add(name);
+    }
+  }
+  return [...names];
+};
+
+/**
+ * Whether text needs rendering: it has placeholders or escaped braces
+ */
+const isTemplate = (template) =>
+  typeof template === "string" && template.search(TOKEN_PATTERN) !== -1;
+
+/**
+ * Replace every placeholder with its value and every `\{{` with `{{`
+ * Returns { rendered, missing } where `missing` lists variables without a
+ * value; their placeholders are left in place.
+ */
+const renderTemplate = (template, variables = {}) => {
+  const missing = extractVariables(template).filter(
+    (name) =>
+      typeof variables[name] !== "string" || variables[name].trim() === ""
+  );
+
+  // One pass, so values are inserted as-is and never unescaped
+  const rendered = template.replace(TOKEN_PATTERN, (token, name) => {
+    if (name === undefined) {
+      return "{{";
+    }
+    return missing.includes(name) ? token : variables[name];
+  });
+
+  return { rendered, missing };
+};
+
+module.exports = {
+  VARIABLE_NAME_PATTERN,
+  extractVariables,
+  isTemplate,
+  renderTemplate,
+};
@@ -2,6 +2,8 @@
  * Backend validation and sanitization utilities
  */
 
+const { VARIABLE_NAME_PATTERN } = require("./template");
+
 /**
  * Sanitize string input to prevent potential security issues
  */
@@ -51,6 +53,625 @@ const validatePrompt = (prompt) => {
   return { isValid: true, errors: [], sanitized };
 };
 
+/**
+ * Validate an optional system prompt
+ */
+const validateSystemPrompt = (system) => {
+  if (system === undefined || system === null) {
+    return { isValid: true, errors: [], sanitized: undefined };
+  }
+
+  if (typeof system !== "string") {
+    return { isValid: false, errors: ["System prompt must be a string"] };
+  }
+
+  const sanitized = sanitizeString(system);
+
+  if (sanitized.length === 0) {
+    return { isValid: false, errors: ["System prompt cannot be empty"] };
+  }
+
+  if (sanitized.length > 10000) {
+    return {
+      isValid: false,
+      errors: ["System prompt is too long (maximum 10,000 characters)"],
+    };
+  }
+
+  return { isValid: true, errors: [], sanitized };
+};
+
+/**
+ * Validate optional model selection and generation parameters
+ */
+const validateGenerationParams = (params = {}) => {
+  const errors = [];
+  const sanitized = {};
+  const { model, temperature, max_tokens, top_p, stop } = params;
+
+  if (model !== undefined && model !== null) {
+    if (typeof model !== "string" || sanitizeString(model).length === 0) {
+      errors.push("Model must be a non-empty string");
+    } else if (model.length > 200) {
+      errors.push("Model is too long (maximum 200 characters)");
+    } else {
+      sanitized.model = sanitizeString(model);
+    }
+  }
+
+  if (temperature !== undefined && temperature !== null) {
+    if (
+      typeof temperature !== "number" ||
+      !Number.isFinite(temperature) ||
+      temperature < 0 ||
+      temperature > 2
+    ) {
+      errors.push("Temperature must be a number between 0 and 2");
+    } else {
+      sanitized.temperature = temperature;
+    }
+  }
+
+  if (max_tokens !== undefined && max_tokens !== null) {
+    if (!Number.isInteger(max_tokens) || max_tokens < 1 || max_tokens > 32000) {
+      errors.push("max_tokens must be an integer between 1 and 32000");
+    } else {
+      sanitized.max_tokens = max_tokens;
+    }
+  }
+
+  if (top_p !== undefined && top_p !== null) {
+    if (
+      typeof top_p !== "number" ||
+      !Number.isFinite(top_p) ||
+      top_p <= 0 ||
+      top_p > 1
+    ) {
+      errors.push("top_p must be a number greater than 0 and at most 1");
+    } else {
+      sanitized.top_p = top_p;
+    }
+  }
+
+  if (stop !== undefined && stop !== null) {
+    const sequences = typeof stop === "string" ? [stop] : stop;
+    if (
+      !Array.isArray(sequences) ||
+      sequences.length === 0 ||
+      sequences.length > 4 ||
+      sequences.some(
+        (sequence) =>
+          typeof sequence !== "string" ||
+          sequence.length === 0 ||
+          sequence.length > 100
+      )
+    ) {
+      errors.push(
+        "Stop must be a string or an array of up to 4 strings (1-100 characters each)"
+      );
+    } else {
+      sanitized.stop = sequences;
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, sanitized };
+};
+
+/**
+ * Validate the optional token usage and latency reported with a response
+ */
+const USAGE_FIELDS = ["promptTokens", "completionTokens", "totalTokens"];
+
+const validateUsageData = ({ usage, latencyMs } = {}) => {
+  const errors = [];
+  const sanitized = {};
+
+  if (usage !== undefined && usage !== null) {
+    if (
+      typeof usage !== "object" ||
+      Array.isArray(usage) ||
+      USAGE_FIELDS.some(
+        (field) => !Number.isInteger(usage[field]) || usage[field] < 0
+      )
+    ) {
+      errors.push(
+        "Usage must have non-negative integer promptTokens, completionTokens and totalTokens"
+      );
+    } else {
+      sanitized.usage = Object.fromEntries(
+        USAGE_FIELDS.map((field) => [field, usage[field]])
+      );
+    }
+  }
+
+  if (latencyMs !== undefined && latencyMs !== null) {
+    if (!Number.isInteger(latencyMs) || latencyMs < 0) {
+      errors.push("latencyMs must be a non-negative integer");
+    } else {
+      sanitized.latencyMs = latencyMs;
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, sanitized };
+};
+
+/**
+ * Validate a chat message list
+ * Messages are { role, content } objects in conversation order. Requests to
+ * the AI must end with a user message; saved threads may end with a reply.
+ */
+const MESSAGE_ROLES = ["system", "user", "assistant"];
+const MAX_MESSAGES = 100;
+
+const validateMessages = (messages, { requireUserLast = true } = {}) => {
+  const errors = [];
+
+  if (!Array.isArray(messages)) {
+    errors.push("Messages must be an array");
+    return { isValid: false, errors };
+  }
+
+  if (messages.length === 0) {
+    errors.push("Messages cannot be empty");
+    return { isValid: false, errors };
+  }
+
+  if (messages.length > MAX_MESSAGES) {
+    errors.push(`Too many messages (maximum ${MAX_MESSAGES})`);
+    return { isValid: false, errors };
+  }
+
+  const sanitized = [];
+
+  for (const [index, message] of messages.entries()) {
+    const label = `Message ${index + 1}`;
+
+    if (!message || typeof message !== "object") {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+
+    if (!MESSAGE_ROLES.includes(message.role)) {
+      errors.push(`${label} role must be one of: ${MESSAGE_ROLES.join(", ")}`);
+      continue;
+    }
+
+    if (typeof message.content !== "string") {
+      errors.push(`${label} content must be a string`);
+      continue;
+    }
+
+    const content = sanitizeString(message.content);
+    if (content.length === 0) {
+      errors.push(`${label} content cannot be empty`);
+    } else if (content.length > 10000) {
+      errors.push(`${label} content is too long (maximum 10,000 characters)`);
+    } else {
+      sanitized.push({ role: message.role, content });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  if (requireUserLast && sanitized[sanitized.length - 1].role !== "user") {
+    errors.push("The last message must be from the user");
+    return { isValid: false, errors };
+  }
+
+  return { isValid: true, errors: [], sanitized };
+};
+
+/**
+ * Validate a conversation thread before it is saved
+ */
+const validateConversationData = ({ title, messages } = {}) => {
+  const errors = [];
+  let sanitizedTitle;
+
+  if (title !== undefined && title !== null) {
+    if (typeof title !== "string") {
+      errors.push("Title must be a string");
+    } else if (sanitizeString(title).length > 200) {
+      errors.push("Title is too long (maximum 200 characters)");
+    } else {
+      sanitizedTitle = sanitizeString(title) || undefined;
+    }
+  }
+
+  const messagesValidation = validateMessages(messages, {
+    requireUserLast: false,
+  });
+  if (!messagesValidation.isValid) {
+    errors.push(...messagesValidation.errors);
+  } else if (
+    !messagesValidation.sanitized.some((message) => message.role === "user")
+  ) {
+    errors.push("Conversation must contain at least one user message");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitized: {
+      title: sanitizedTitle,
+      messages: messagesValidation.sanitized || [],
+    },
+  };
+};
+
+/**
+ * Validate a model comparison before it is saved
+ * A comparison is one prompt with each model's response to it ("variants")
+ * and, optionally, the index of the variant the user marked as the winner.
+ */
+const MIN_COMPARISON_VARIANTS = 2;
+const MAX_COMPARISON_VARIANTS = 10;
+
+const validateComparisonData = ({
+  title,
+  prompt,
+  system,
+  variants,
+  winner,
+} = {}) => {
+  const errors = [];
+  const sanitized = {};
+
+  if (title !== undefined && title !== null) {
+    if (typeof title !== "string") {
+      errors.push("Title must be a string");
+    } else if (sanitizeString(title).length > 200) {
+      errors.push("Title is too long (maximum 200 characters)");
+    } else {
+      sanitized.title = sanitizeString(title) || undefined;
+    }
+  }
+
+  const promptValidation = validatePrompt(prompt);
+  if (!promptValidation.isValid) {
+    errors.push(...promptValidation.errors);
+  } else {
+    sanitized.prompt = promptValidation.sanitized;
+  }
+
+  const systemValidation = validateSystemPrompt(system);
+  if (!systemValidation.isValid) {
+    errors.push(...systemValidation.errors);
+  } else {
+    sanitized.system = systemValidation.sanitized;
+  }
+
+  if (!Array.isArray(variants)) {
+    errors.push("Variants must be an array");
+  } else if (
+    variants.length < MIN_COMPARISON_VARIANTS ||
+    variants.length > MAX_COMPARISON_VARIANTS
+  ) {
+    errors.push(
+      `A comparison must have ${MIN_COMPARISON_VARIANTS}-${MAX_COMPARISON_VARIANTS} variants`
+    );
+  } else {
+    sanitized.variants = [];
+
+    for (const [index, variant] of variants.entries()) {
+      const label = `Variant ${index + 1}`;
+
+      if (!variant || typeof variant !== "object" || Array.isArray(variant)) {
+        errors.push(`${label} must be an object`);
+        continue;
+      }
+
+      const { provider, model, parameters, response, usage, latencyMs } =
+        variant;
+
+      if (typeof model !== "string" || sanitizeString(model).length === 0) {
+        errors.push(`${label} model is required`);
+        continue;
+      }
+
+      if (
+        typeof response !== "string" ||
+        sanitizeString(response).length === 0
+      ) {
+        errors.push(`${label} response is required`);
+        continue;
+      }
+
+      const paramsValidation = validateGenerationParams({
+        ...(parameters && typeof parameters === "object" ? parameters : {}),
+        model,
+      });
+      const usageValidation = validateUsageData({ usage, latencyMs });
+      const variantErrors = [
+        ...paramsValidation.errors,
+        ...usageValidation.errors,
+      ];
+      if (variantErrors.length > 0) {
+        errors.push(...variantErrors.map((error) => `${label}: ${error}`));
+        continue;
+      }
+
+      const { model: sanitizedModel, ...sanitizedParameters } =
+        paramsValidation.sanitized;
+
+      sanitized.variants.push({
+        provider,
+        model: sanitizedModel,
+        parameters: sanitizedParameters,
+        response: sanitizeString(response),
+        ...usageValidation.sanitized,
+        cached: Boolean(variant.cached),
+      });
+    }
+  }
+
+  if (winner === undefined || winner === null) {
+    sanitized.winner = null;
+  } else if (
+    !Number.isInteger(winner) ||
+    winner < 0 ||
+    !Array.isArray(variants) ||
+    winner >= variants.length
+  ) {
+    errors.push("Winner must be the index of one of the variants");
+  } else {
+    sanitized.winner = winner;
+  }
+
+  return { isValid: errors.length === 0, errors, sanitized };
+};
+
+/**
+ * Validate the values for prompt template variables
+ */
+const MAX_TEMPLATE_VARIABLES = 50;
+
+const validateTemplateVariables = (variables) => {
+  if (variables === undefined || variables === null) {
+    return { isValid: true, errors: [], sanitized: {} };
+  }
+
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    return {
+      isValid: false,
+      errors: ["Variables must be an object of name-value pairs"],
+    };
+  }
+
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_TEMPLATE_VARIABLES) {
+    return {
+      isValid: false,
+      errors: [`Too many variables (maximum ${MAX_TEMPLATE_VARIABLES})`],
+    };
+  }
+
+  const sanitized = {};
+
+  for (const [name, value] of entries) {
+    if (!VARIABLE_NAME_PATTERN.test(name) || name.length > 50) {
+      return {
+        isValid: false,
+        errors: [
+          `Invalid variable name "${name}": use letters, digits and underscores`,
+        ],
+      };
+    }
+
+    if (typeof value !== "string") {
+      return {
+        isValid: false,
+        errors: [`Value for variable "${name}" must be a string`],
+      };
+    }
+
+    const sanitizedValue = sanitizeString(value);
+    if (sanitizedValue.length > 10000) {
+      return {
+        isValid: false,
+        errors: [
+          `Value for variable "${name}" is too long (maximum 10,000 characters)`,
+        ],
+      };
+    }
+
+    sanitized[name] = sanitizedValue;
+  }
+
+  return { isValid: true, errors: [], sanitized };
+};
+
+/**
+ * Validate a prompt template before it is saved
+ */
+const validateTemplateData = ({ name, template, description } = {}) => {
+  const errors = [];
+  const sanitized = {};
+
+  if (typeof name !== "string" || sanitizeString(name).length === 0) {
+    errors.push("Template name is required");
+  } else if (sanitizeString(name).length > 100) {
+    errors.push("Template name is too long (maximum 100 characters)");
+  } else {
+    sanitized.name = sanitizeString(name);
+  }
+
+  const templateValidation = validatePrompt(template);
+  if (!templateValidation.isValid) {
+    errors.push(
+      ...templateValidation.errors.map((error) =>
+        error.replace(/^Prompt/, "Template")
+      )
+    );
+  } else {
+    sanitized.template = templateValidation.sanitized;
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== "string") {
+      errors.push("Description must be a string");
+    } else if (sanitizeString(description).length > 500) {
+      errors.push("Description is too long (maximum 500 characters)");
+    } else {
+      sanitized.description = sanitizeString(description) || undefined;
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, sanitized };
+};
+
+/**
+ * Validate a flow canvas before it is saved
+ * Node `data` is stored as-is, so only its size is limited here.
+ */
+const FLOW_NODE_TYPES = [
+  "inputNode",
+  "systemPromptNode",
+  "resultNode",
+  "chatNode",
+];
+const MAX_FLOW_NODES = 200;
+const MAX_FLOW_EDGES = 500;
+const MAX_NODE_DATA_SIZE = 200000;
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const validateFlowData = ({ name, nodes, edges, viewport, variables } = {}) => {
+  const errors = [];
+  const sanitized = {};
+
+  if (typeof name !== "string" || sanitizeString(name).length === 0) {
+    errors.push("Flow name is required");
+  } else if (sanitizeString(name).length > 100) {
+    errors.push("Flow name is too long (maximum 100 characters)");
+  } else {
+    sanitized.name = sanitizeString(name);
+  }
+
+  if (!Array.isArray(nodes)) {
+    errors.push("Nodes must be an array");
+  } else if (nodes.length > MAX_FLOW_NODES) {
+    errors.push(`Too many nodes (maximum ${MAX_FLOW_NODES})`);
+  } else {
+    const nodeIds = new Set();
+
+    for (const node of nodes) {
+      if (!node || typeof node.id !== "string" || node.id.length === 0) {
+        errors.push("Every node needs a string id");
+        break;
+      }
+      if (nodeIds.has(node.id)) {
+        errors.push(`Duplicate node id: ${node.id}`);
+        break;
+      }
+      if (!FLOW_NODE_TYPES.includes(node.type)) {
+        errors.push(`Node ${node.id} has an unknown type`);
+        break;
+      }
+      if (
+        !node.position ||
+        !isFiniteNumber(node.position.x) ||
+        !isFiniteNumber(node.position.y)
+      ) {
+        errors.push(`Node ${node.id} needs a numeric position`);
+        break;
+      }
+      if (
+        node.data !== undefined &&
+        (typeof node.data !== "object" ||
+          node.data === null ||
+          Array.isArray(node.data))
+      ) {
+        errors.push(`Node ${node.id} data must be an object`);
+        break;
+      }
+      if (JSON.stringify(node.data || {}).length > MAX_NODE_DATA_SIZE) {
+        errors.push(`Node ${node.id} data is too large`);
+        break;
+      }
+      nodeIds.add(node.id);
+    }
+
+    if (errors.length === 0) {
+      sanitized.nodes = nodes.map(
+        ({ id, type, position, data, width, height }) => ({
+          id,
+          type,
+          position: { x: position.x, y: position.y },
+          data: data || {},
+          ...(isFiniteNumber(width) && { width }),
+          ...(isFiniteNumber(height) && { height }),
+        })
+      );
+
+      if (!Array.isArray(edges)) {
+        errors.push("Edges must be an array");
+      } else if (edges.length > MAX_FLOW_EDGES) {
+        errors.push(`Too many edges (maximum ${MAX_FLOW_EDGES})`);
+      } else {
+        const hasInvalidEdge = edges.some(
+          (edge) =>
+            !edge ||
+            typeof edge.id !== "string" ||
+            !nodeIds.has(edge.source) ||
+            !nodeIds.has(edge.target)
+        );
+
+        if (hasInvalidEdge) {
+          errors.push(
+            "Every edge needs a string id and must connect two nodes of the flow"
+          );
+        } else {
+          sanitized.edges = edges.map((edge) => ({
+            id: edge.id,
+            source: edge.source,
+            target: edge.target,
+            ...(typeof edge.sourceHandle === "string" && {
+              sourceHandle: edge.sourceHandle,
+            }),
+            ...(typeof edge.targetHandle === "string" && {
+              targetHandle: edge.targetHandle,
+            }),
+            ...(typeof edge.type === "string" && { type: edge.type }),
+            ...(typeof edge.animated === "boolean" && {
+              animated: edge.animated,
+            }),
+          }));
+        }
+      }
+    }
+  }
+
+  if (viewport !== undefined && viewport !== null) {
+    if (
+      !isFiniteNumber(viewport.x) ||
+      !isFiniteNumber(viewport.y) ||
+      !isFiniteNumber(viewport.zoom) ||
+      viewport.zoom <= 0
+    ) {
+      errors.push("Viewport must have numeric x, y and a positive zoom");
+    } else {
+      sanitized.viewport = {
+        x: viewport.x,
+        y: viewport.y,
+        zoom: viewport.zoom,
+      };
+    }
+  }
+
+  const variablesValidation = validateTemplateVariables(variables);
+  if (!variablesValidation.isValid) {
+    errors.push(...variablesValidation.errors);
+  } else {
+    sanitized.variables = variablesValidation.sanitized;
+  }
+
+  return { isValid: errors.length === 0, errors, sanitized };
+};
+
 /**
  * Validate save request data
  */
@@ -104,50 +725,143 @@ const validateRequestBody = (body, requiredFields = []) => {
 };
 
 /**
- * Rate limiting validation
+ * Read the `page` and `limit` of a listing query, adding any problems to
+ * `errors`
  */
-const createRateLimiter = () => {
-  const requests = new Map();
-  const WINDOW_SIZE = 60 * 1000; // 1 minute
-  const MAX_REQUESTS = 30; // 30 requests per minute
+const parsePagination = (query, errors) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push("Page must be a positive integer");
+  }
 
-  return (ip) => {
-    const now = Date.now();
-    const windowStart = now - WINDOW_SIZE;
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    errors.push("Limit must be an integer between 1 and 100");
+  }
 
-    // Get existing requests for this IP
-    if (!requests.has(ip)) {
-      requests.set(ip, []);
-    }
+  return { page, limit };
+};
 
-    const ipRequests = requests.get(ip);
+/**
+ * Validate listing query parameters for routes that only page through
+ * their records; anything but `page` and `limit` (e.g. `q` or `sort`) is
+ * rejected rather than silently ignored
+ */
+const PAGE_QUERY_PARAMS = ["page", "limit"];
+
+const validatePageQuery = (query = {}) => {
+  const errors = [];
+  const { page, limit } = parsePagination(query, errors);
 
-    // Remove old requests outside the window
-    const recentRequests = ipRequests.filter(
-      (timestamp) => timestamp > windowStart
+  const unknown = Object.keys(query).filter(
+    (param) => !PAGE_QUERY_PARAMS.includes(param)
+  );
+  if (unknown.length > 0) {
+    errors.push(
+      `Unsupported query parameter: ${unknown[0]} (only page and limit are accepted)`
     );
-    requests.set(ip, recentRequests);
+  }
 
-    // Check if limit exceeded
-    if (recentRequests.length >= MAX_REQUESTS) {
-      return {
-        allowed: false,
-        resetTime: Math.ceil((recentRequests[0] + WINDOW_SIZE - now) / 1000),
-      };
+  return { isValid: errors.length === 0, errors, sanitized: { page, limit } };
+};
+
+/**
+ * Validate history listing query parameters
+ */
+const HISTORY_SORT_OPTIONS = ["newest", "oldest", "relevance"];
+
+const validateHistoryQuery = (query = {}) => {
+  const errors = [];
+  const { page, limit } = parsePagination(query, errors);
+
+  const sort = query.sort === undefined ? "newest" : query.sort;
+  if (!HISTORY_SORT_OPTIONS.includes(sort)) {
+    errors.push(`Sort must be one of: ${HISTORY_SORT_OPTIONS.join(", ")}`);
+  }
+
+  let search = "";
+  if (query.q !== undefined) {
+    if (typeof query.q !== "string") {
+      errors.push("Search query must be a string");
+    } else {
+      search = sanitizeString(query.q);
+      if (search.length > 200) {
+        errors.push("Search query is too long (maximum 200 characters)");
+      }
     }
+  }
 
-    // Add current request
-    recentRequests.push(now);
-    requests.set(ip, recentRequests);
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitized: { page, limit, sort, query: search },
+  };
+};
 
-    return { allowed: true };
+/**
+ * Validate usage report query parameters
+ * `from` and `to` are dates (YYYY-MM-DD or ISO timestamps); the range
+ * defaults to the last 30 days and may span at most a year.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_USAGE_DAYS = 30;
+const MAX_USAGE_DAYS = 366;
+
+const validateUsageQuery = (query = {}) => {
+  const errors = [];
+
+  const parseDate = (value, name) => {
+    if (value === undefined) {
+      return null;
+    }
+    const date = typeof value === "string" ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+      return null;
+    }
+    return date;
+  };
+
+  let to = parseDate(query.to, "to");
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    // A bare `to` date includes that whole (UTC) day
+    to = new Date(to.getTime() + DAY_MS - 1);
+  }
+  to = to || new Date();
+  const from =
+    parseDate(query.from, "from") ||
+    new Date(to.getTime() - DEFAULT_USAGE_DAYS * DAY_MS);
+
+  if (errors.length === 0) {
+    if (from > to) {
+      errors.push("from must be before to");
+    } else if (to - from > MAX_USAGE_DAYS * DAY_MS) {
+      errors.push(`Date range cannot exceed ${MAX_USAGE_DAYS} days`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitized: { from, to },
   };
 };
 
 module.exports = {
   sanitizeString,
   validatePrompt,
+  validateSystemPrompt,
+  validateGenerationParams,
+  validateUsageData,
+  validateMessages,
   validateSaveData,
+  validateConversationData,
+  validateComparisonData,
+  validateTemplateVariables,
+  validateTemplateData,
+  validateFlowData,
   validateRequestBody,
-  createRateLimiter,
+  validatePageQuery,
+  validateHistoryQuery,
+  validateUsageQuery,
 };
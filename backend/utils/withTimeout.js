@@ -0,0 +1,44 @@
+const { config } = require("../config");
+const { DatabaseUnavailableError } = require("./errors");
+
+/**
+ * Timeout utilities
+ */
+
+/**
+ * Settle with `promise`, or reject with `createError()` once `ms` pass
+ * The timer is cleared as soon as either happens.
+ * @param {Promise} promise - Operation to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {Function} createError - Builds the rejection on timeout
+ * @returns {Promise}
+ */
+const withTimeout = async (promise, ms, createError) => {
+  let timer = null;
+
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(createError()), ms);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Run a database write, failing with DatabaseUnavailableError when it takes
+ * longer than DB_SAVE_TIMEOUT_MS
+ * @param {Promise} operation - e.g. `doc.save()`
+ * @returns {Promise}
+ */
+const withSaveTimeout = (operation) =>
+  withTimeout(
+    operation,
+    config.database.saveTimeoutMs,
+    () => new DatabaseUnavailableError("Database save timeout")
+  );
+
+module.exports = { withTimeout, withSaveTimeout };
@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import {
   ReactFlow,
   Background,
@@ -6,25 +6,74 @@ import {
   MiniMap,
   useNodesState,
   useEdgesState,
+  addEdge,
 } from "@xyflow/react";
 import "@xyflow/react/dist/style.css";
 
 import InputNode from "./components/InputNode";
+import SystemPromptNode from "./components/SystemPromptNode";
 import ResultNode from "./components/ResultNode";
+import ChatNode from "./components/ChatNode";
 import ErrorBoundary from "./components/ErrorBoundary";
 import ErrorDisplay from "./components/ErrorDisplay";
 import SuccessNotification from "./components/SuccessNotification";
 import LoadingSpinner from "./components/LoadingSpinner";
+import HistorySidebar from "./components/HistorySidebar";
+import VariablesPanel from "./components/VariablesPanel";
+import FlowMenu from "./components/FlowMenu";
+import ComparisonView from "./components/ComparisonView";
 import {
   validatePrompt,
+  validateSystemPrompt,
   validatePromptResponsePair,
+  validateChatMessage,
+  validateGenerationSettings,
   sanitizeInput,
 } from "./utils/validation";
+import { validateFlowGraph, runFlowGraph } from "./utils/flowEngine";
+import { getComparisonTarget } from "./utils/comparison";
+import {
+  CancelledError,
+  createConversation,
+  createFlow,
+  getErrorMessage,
+  savePromptResponse,
+  streamAskAI,
+  toErrorState,
+  updateConversation,
+  updateFlow,
+} from "./api";
+import {
+  extractVariables,
+  pickVariables,
+  findMissingVariables,
+} from "./utils/template";
+import {
+  serializeFlow,
+  deserializeFlow,
+  getLastNodeNumber,
+} from "./utils/flowSerializer";
 
 // Define custom node types
 const nodeTypes = {
   inputNode: InputNode,
+  systemPromptNode: SystemPromptNode,
   resultNode: ResultNode,
+  chatNode: ChatNode,
+};
+
+// Edge style used for the initial edge and every new connection
+const defaultEdgeOptions = {
+  type: "smoothstep",
+  animated: false,
+};
+
+// Horizontal position of newly added nodes, by type
+const nodeColumns = {
+  inputNode: 100,
+  systemPromptNode: 100,
+  resultNode: 400,
+  chatNode: 750,
 };
 
 // Initial nodes configuration
@@ -36,6 +85,7 @@ const initialNodes = [
     data: {
       label: "User Input",
       value: "",
+      status: "idle",
       onChange: null, // Will be set in component
     },
   },
@@ -45,8 +95,19 @@ const initialNodes = [
     position: { x: 400, y: 100 },
     data: {
       label: "AI Response",
+      prompt: "",
+      system: "",
       content: "",
+      settings: {},
+      model: null,
+      parameters: {},
+      usage: null,
+      latencyMs: null,
+      cached: false,
       loading: false,
+      streaming: false,
+      status: "idle",
+      error: null,
     },
   },
 ];
@@ -57,42 +118,95 @@ const initialEdges = [
     id: "input-to-result",
     source: "input-1",
     target: "result-1",
-    type: "smoothstep",
-    animated: false,
+    ...defaultEdgeOptions,
   },
 ];
 
+// Chat Nodes hold their own conversations and are not part of the flow graph
+const isFlowNode = (node) => node.type !== "chatNode";
+
+// Whether a node has something the Save button can store; a cancelled
+// response is incomplete
+const hasSaveableContent = (node) => {
+  if (node.type === "chatNode") {
+    return node.data.messages?.some((message) => message.role === "assistant");
+  }
+  return (
+    node.type === "resultNode" &&
+    node.data.status !== "cancelled" &&
+    Boolean(node.data.content?.trim())
+  );
+};
+
+// Pick the Input Node templates are saved from and loaded into: the
+// selected one, otherwise the first on the canvas
+const getTemplateTarget = (nodes) => {
+  const inputNodes = nodes.filter((node) => node.type === "inputNode");
+  return inputNodes.find((node) => node.selected) || inputNodes[0] || null;
+};
+
+// Pick the node the Save button applies to: the selected one if it has
+// content, otherwise the last Result or Chat Node on the canvas with content
+const getSaveTarget = (nodes) => {
+  const withContent = nodes.filter(hasSaveableContent);
+
+  return (
+    withContent.find((node) => node.selected) ||
+    withContent[withContent.length - 1] ||
+    null
+  );
+};
+
 function App() {
   const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
-  const [currentPrompt, setCurrentPrompt] = useState("");
-  const [currentResponse, setCurrentResponse] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
-  const [saveSuccess, setSaveSuccess] = useState(false);
+  const [saveSuccess, setSaveSuccess] = useState(null);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [isVariablesOpen, setIsVariablesOpen] = useState(false);
+  const [variables, setVariables] = useState({});
+  const [flowInstance, setFlowInstance] = useState(null);
+  const [currentFlow, setCurrentFlow] = useState(null);
+  const [isComparisonOpen, setIsComparisonOpen] = useState(false);
+  // Winner and saved record of the comparison from the last run
+  const [comparison, setComparison] = useState(null);
+  const nodeCounter = useRef(initialNodes.length);
+  // Aborts the running flow, and each Chat Node's pending reply by node ID
+  const runController = useRef(null);
+  const chatControllers = useRef(new Map());
 
-  // Handle input changes from the Input Node
-  const handleInputChange = useCallback(
-    (value) => {
-      // Sanitize input to prevent potential issues
-      const sanitizedValue = sanitizeInput(value);
-      setCurrentPrompt(sanitizedValue);
+  const hasPrompt = nodes.some(
+    (node) => node.type === "inputNode" && node.data.value?.trim()
+  );
+  const saveTarget = getSaveTarget(nodes);
+  const templateTarget = getTemplateTarget(nodes);
+  const comparisonTarget = getComparisonTarget(nodes, edges);
+  const comparisonState =
+    comparison?.key === comparisonTarget?.key ? comparison : null;
 
-      // Clear any existing errors when user starts typing
-      if (error) {
-        setError(null);
-      }
+  // Template variables used across all Input Nodes, in canvas order
+  const variableNames = [
+    ...new Set(
+      nodes
+        .filter((node) => node.type === "inputNode")
+        .flatMap((node) => extractVariables(node.data.value))
+    ),
+  ];
 
+  // Update one node's data, either with an object or from its current data
+  const updateNodeData = useCallback(
+    (id, data) => {
       setNodes((nds) =>
         nds.map((node) => {
-          if (node.id === "input-1") {
+          if (node.id === id) {
             return {
               ...node,
               data: {
                 ...node.data,
-                value: sanitizedValue,
-                onChange: handleInputChange,
+                ...(typeof data === "function" ? data(node.data) : data),
               },
             };
           }
@@ -100,231 +214,694 @@ function App() {
         })
       );
     },
-    [setNodes, error]
+    [setNodes]
   );
 
-  // Initialize the onChange handler for the input node
-  useEffect(() => {
-    setNodes((nds) =>
-      nds.map((node) => {
-        if (node.id === "input-1") {
-          return {
-            ...node,
-            data: {
-              ...node.data,
-              onChange: handleInputChange,
-            },
-          };
+  // Handle input changes from an Input Node
+  const handleInputChange = useCallback(
+    (id, value) => {
+      // Sanitize input to prevent potential issues
+      const sanitizedValue = sanitizeInput(value);
+
+      // Clear any existing errors when user starts typing
+      setError(null);
+
+      updateNodeData(id, { value: sanitizedValue });
+    },
+    [updateNodeData]
+  );
+
+  // Send a Chat Node's conversation, ending with the new user message, and
+  // stream the assistant's reply into the thread
+  const handleChatSend = useCallback(
+    async (id, messages, settings) => {
+      const userMessage = messages[messages.length - 1];
+
+      const validation = validateChatMessage(userMessage.content);
+      if (!validation.isValid) {
+        updateNodeData(id, { status: "error", error: validation.errors[0] });
+        return;
+      }
+
+      const settingsValidation = validateGenerationSettings(settings);
+      if (!settingsValidation.isValid) {
+        updateNodeData(id, {
+          status: "error",
+          error: settingsValidation.errors[0],
+        });
+        return;
+      }
+
+      const { model: requestedModel, ...parameters } =
+        settingsValidation.params;
+
+      updateNodeData(id, {
+        messages,
+        draft: "",
+        pendingReply: "",
+        loading: true,
+        status: "running",
+        error: null,
+      });
+
+      const controller = new AbortController();
+      chatControllers.current.set(id, controller);
+
+      try {
+        const { response, model } = await streamAskAI(messages, {
+          params: {
+            ...settingsValidation.params,
+            ...(settings.bypassCache && { bypassCache: true }),
+          },
+          onToken: (delta) => {
+            updateNodeData(id, (nodeData) => ({
+              loading: false,
+              streaming: true,
+              pendingReply: nodeData.pendingReply + delta,
+            }));
+          },
+          signal: controller.signal,
+        });
+
+        updateNodeData(id, {
+          messages: [...messages, { role: "assistant", content: response }],
+          pendingReply: "",
+          loading: false,
+          streaming: false,
+          status: "done",
+          model: model || requestedModel || null,
+          parameters,
+        });
+      } catch (err) {
+        const isCancelled = err instanceof CancelledError;
+        if (!isCancelled) {
+          console.error("Error sending chat message:", err);
         }
-        return node;
-      })
-    );
-  }, [handleInputChange, setNodes]);
 
-  // Handle Run Flow button click
-  const handleRunFlow = async () => {
-    // Validate input before submission
-    const validation = validatePrompt(currentPrompt);
-    if (!validation.isValid) {
-      setError(validation.errors[0]);
+        // Put the unanswered message back in the reply box so it can be resent
+        updateNodeData(id, {
+          messages: messages.slice(0, -1),
+          draft: userMessage.content,
+          pendingReply: "",
+          loading: false,
+          streaming: false,
+          status: isCancelled ? "cancelled" : "error",
+          error: isCancelled
+            ? null
+            : getErrorMessage(err, "Failed to get AI response"),
+        });
+      } finally {
+        chatControllers.current.delete(id);
+      }
+    },
+    [updateNodeData]
+  );
+
+  // Stop a Chat Node's pending reply
+  const handleChatStop = useCallback((id) => {
+    chatControllers.current.get(id)?.abort();
+  }, []);
+
+  // Attach the handlers input, system prompt and chat nodes call back into
+  const attachNodeHandlers = useCallback(
+    (node) => {
+      if (node.type === "inputNode" || node.type === "systemPromptNode") {
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            onChange: (value) => handleInputChange(node.id, value),
+          },
+        };
+      }
+      if (node.type === "chatNode") {
+        return {
+          ...node,
+          data: {
+            ...node.data,
+            onSend: (messages, settings) =>
+              handleChatSend(node.id, messages, settings),
+            onStop: () => handleChatStop(node.id),
+          },
+        };
+      }
+      return node;
+    },
+    [handleInputChange, handleChatSend, handleChatStop]
+  );
+
+  // Initialize the handlers for the initial nodes
+  useEffect(() => {
+    setNodes((nds) => nds.map(attachNodeHandlers));
+  }, [attachNodeHandlers, setNodes]);
+
+  // Connect two nodes when the user drags between their handles
+  const handleConnect = useCallback(
+    (connection) => {
+      setEdges((eds) => addEdge({ ...connection, ...defaultEdgeOptions }, eds));
+    },
+    [setEdges]
+  );
+
+  // Add a new Input, System Prompt, Result or Chat Node to the canvas
+  const handleAddNode = (type) => {
+    nodeCounter.current += 1;
+    const count = nodeCounter.current;
+    const position = {
+      x: nodeColumns[type],
+      y: 100 + (count - 1) * 60,
+    };
+
+    if (type === "inputNode" || type === "systemPromptNode") {
+      const isSystemPrompt = type === "systemPromptNode";
+      const id = `${isSystemPrompt ? "system" : "input"}-${count}`;
+      setNodes((nds) => [
+        ...nds,
+        {
+          id,
+          type,
+          position,
+          data: {
+            label: `${isSystemPrompt ? "System Prompt" : "User Input"} ${count}`,
+            value: "",
+            status: "idle",
+            onChange: (value) => handleInputChange(id, value),
+          },
+        },
+      ]);
       return;
     }
 
-    setIsLoading(true);
-    setError(null);
+    if (type === "chatNode") {
+      const id = `chat-${count}`;
+      setNodes((nds) => [
+        ...nds,
+        {
+          id,
+          type,
+          position,
+          data: {
+            label: `Chat ${count}`,
+            messages: [],
+            draft: "",
+            pendingReply: "",
+            settings: {},
+            model: null,
+            parameters: {},
+            conversationId: null,
+            loading: false,
+            streaming: false,
+            status: "idle",
+            error: null,
+            onSend: (messages, settings) =>
+              handleChatSend(id, messages, settings),
+            onStop: () => handleChatStop(id),
+          },
+        },
+      ]);
+      return;
+    }
 
-    // Update Result Node to show loading state
-    setNodes((nds) =>
-      nds.map((node) => {
-        if (node.id === "result-1") {
-          return {
-            ...node,
-            data: {
-              ...node.data,
-              loading: true,
-              content: "",
-            },
-          };
-        }
-        return node;
-      })
-    );
+    setNodes((nds) => [
+      ...nds,
+      {
+        id: `result-${count}`,
+        type,
+        position,
+        data: {
+          label: `AI Response ${count}`,
+          prompt: "",
+          system: "",
+          content: "",
+          settings: {},
+          model: null,
+          parameters: {},
+          usage: null,
+          latencyMs: null,
+          cached: false,
+          loading: false,
+          streaming: false,
+          status: "idle",
+          error: null,
+        },
+      },
+    ]);
+  };
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+  // Produce a node's output from its upstream outputs; `signal` stops an
+  // AI request in progress
+  const executeNode = async (node, inputs, sources, signal) => {
+    if (node.type === "inputNode" || node.type === "systemPromptNode") {
+      return node.data.value.trim();
+    }
 
-      const response = await fetch("http://localhost:5000/api/ask-ai", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+    // Result Nodes send connected System Prompt text as the system message
+    // and the other combined upstream outputs as the prompt
+    const isSystemInput = (_, index) =>
+      sources[index].type === "systemPromptNode";
+    const system = inputs.filter(isSystemInput).filter(Boolean).join("\n\n");
+    const prompt = inputs
+      .filter((input, index) => !isSystemInput(input, index))
+      .filter(Boolean)
+      .join("\n\n");
+    const validation = validatePrompt(prompt);
+    if (!validation.isValid) {
+      throw new Error(validation.errors[0]);
+    }
+
+    const settingsValidation = validateGenerationSettings(node.data.settings);
+    if (!settingsValidation.isValid) {
+      throw new Error(settingsValidation.errors[0]);
+    }
+
+    const { model: requestedModel, ...parameters } = settingsValidation.params;
+
+    // Templates are filled in by the backend from the Variables panel values
+    const promptVariables = extractVariables(prompt);
+
+    updateNodeData(node.id, { prompt, system, loading: true, content: "" });
+
+    const { response, model, renderedPrompt, usage, latencyMs, cached } =
+      await streamAskAI(prompt, {
+        params: {
+          ...settingsValidation.params,
+          ...(node.data.settings?.bypassCache && { bypassCache: true }),
+          ...(system && { system }),
+          ...(promptVariables.length > 0 && {
+            variables: pickVariables(promptVariables, variables),
+          }),
         },
-        body: JSON.stringify({ prompt: currentPrompt.trim() }),
-        signal: controller.signal,
+        onToken: (delta) => {
+          updateNodeData(node.id, (nodeData) => ({
+            loading: false,
+            streaming: true,
+            content: nodeData.content + delta,
+          }));
+        },
+        signal,
       });
 
-      clearTimeout(timeoutId);
+    // Replace streamed text with the authoritative final response and
+    // remember what generated it so Save can store it
+    updateNodeData(node.id, {
+      prompt: renderedPrompt || prompt,
+      loading: false,
+      streaming: false,
+      content: response,
+      model: model || requestedModel || null,
+      parameters,
+      usage,
+      latencyMs,
+      cached,
+    });
 
-      if (!response.ok) {
-        let errorMessage = "Failed to get AI response";
+    return response;
+  };
 
-        try {
-          const errorData = await response.json();
-          if (errorData.error?.message) {
-            errorMessage = errorData.error.message;
-          }
-        } catch (parseError) {
-          console.error("Failed to parse error response:", parseError);
-          // Use default error message
-        }
+  // Reflect engine progress on each node
+  const handleNodeStatus = (id, status, details = {}) => {
+    const data = { status };
 
-        throw new Error(errorMessage);
-      }
+    if (status !== "running") {
+      data.loading = false;
+      data.streaming = false;
+    }
+    if (status === "error") {
+      data.error = getErrorMessage(
+        details.error,
+        "Failed to process your request"
+      );
+    }
+    if (status === "skipped") {
+      data.error = "Skipped because an upstream node failed";
+    }
+    if (status === "cancelled") {
+      data.error = null;
+    }
 
-      const data = await response.json();
+    updateNodeData(id, data);
+  };
+
+  // Handle Run Flow button click
+  const handleRunFlow = async () => {
+    // Catch cycles and dangling nodes before anything runs
+    const flowNodes = nodes.filter(isFlowNode);
+    const graphValidation = validateFlowGraph(flowNodes, edges);
+    if (!graphValidation.isValid) {
+      setError(graphValidation.errors.join(". "));
+      return;
+    }
 
-      if (!data.response) {
-        throw new Error("Invalid response format from server");
+    // Validate every input and system prompt before submission
+    for (const node of nodes) {
+      let validation;
+      if (node.type === "inputNode") {
+        validation = validatePrompt(node.data.value);
+      } else if (node.type === "systemPromptNode") {
+        validation = validateSystemPrompt(node.data.value);
+      } else {
+        continue;
       }
 
-      setCurrentResponse(data.response);
+      if (!validation.isValid) {
+        setError(`${node.data.label}: ${validation.errors[0]}`);
+        return;
+      }
+    }
 
-      // Update Result Node with AI response
-      setNodes((nds) =>
-        nds.map((node) => {
-          if (node.id === "result-1") {
-            return {
-              ...node,
-              data: {
-                ...node.data,
-                loading: false,
-                content: data.response,
-              },
-            };
-          }
-          return node;
-        })
+    const missingVariables = findMissingVariables(variableNames, variables);
+    if (missingVariables.length > 0) {
+      setError(
+        `Fill in the template variables: ${missingVariables.join(", ")}`
       );
-    } catch (err) {
-      console.error("Error calling AI API:", err);
-
-      let errorMessage = "Failed to process your request";
-
-      if (err.name === "AbortError") {
-        errorMessage = "Request timed out. Please try again.";
-      } else if (
-        err.message.includes("Failed to fetch") ||
-        err.message.includes("NetworkError")
-      ) {
-        errorMessage =
-          "Unable to connect to the server. Please check your connection and try again.";
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
+      setIsVariablesOpen(true);
+      return;
+    }
 
-      setError(errorMessage);
+    setIsLoading(true);
+    setError(null);
+    setComparison(null);
 
-      // Update Result Node to clear loading state
-      setNodes((nds) =>
-        nds.map((node) => {
-          if (node.id === "result-1") {
-            return {
-              ...node,
-              data: {
-                ...node.data,
-                loading: false,
-                content: "",
-              },
-            };
-          }
-          return node;
-        })
+    const controller = new AbortController();
+    runController.current = controller;
+
+    // Reset every flow node before the run
+    setNodes((nds) =>
+      nds.map((node) => ({
+        ...node,
+        data: {
+          ...node.data,
+          ...(isFlowNode(node) && { status: "idle" }),
+          ...(node.type === "resultNode" && {
+            prompt: "",
+            system: "",
+            content: "",
+            model: null,
+            parameters: {},
+            usage: null,
+            latencyMs: null,
+            cached: false,
+            loading: false,
+            streaming: false,
+            error: null,
+          }),
+        },
+      }))
+    );
+
+    try {
+      const results = await runFlowGraph({
+        nodes: flowNodes,
+        edges,
+        order: graphValidation.order,
+        executeNode: (node, inputs, sources) =>
+          executeNode(node, inputs, sources, controller.signal),
+        onStatus: handleNodeStatus,
+        signal: controller.signal,
+      });
+
+      const failures = [...results.values()].filter(
+        (result) => result.status === "error"
+      );
+
+      if (failures.length > 0) {
+        const firstMessage = getErrorMessage(
+          failures[0].error,
+          "Failed to process your request"
+        );
+        setError(
+          toErrorState(
+            failures[0].error,
+            failures.length === 1
+              ? firstMessage
+              : `${failures.length} nodes failed. First error: ${firstMessage}`
+          )
+        );
+      }
+    } catch (err) {
+      console.error("Error running flow:", err);
+      setError(
+        toErrorState(
+          err,
+          getErrorMessage(err, "Failed to process your request")
+        )
       );
     } finally {
+      runController.current = null;
       setIsLoading(false);
     }
   };
 
+  // Stop the running flow; nodes still running or waiting are cancelled
+  const handleStopFlow = () => {
+    runController.current?.abort();
+  };
+
   // Handle Save button click
   const handleSave = async () => {
-    // Validate prompt-response pair before submission
-    const validation = validatePromptResponsePair(
-      currentPrompt,
-      currentResponse
-    );
-    if (!validation.isValid) {
-      setError(validation.errors[0]);
+    if (!saveTarget) {
+      setError("Run the flow before saving");
       return;
     }
 
+    const isConversation = saveTarget.type === "chatNode";
+    const { model, parameters, conversationId } = saveTarget.data;
+    let body;
+
+    if (isConversation) {
+      body = { messages: saveTarget.data.messages };
+    } else {
+      const prompt = saveTarget.data.prompt;
+      const responseText = saveTarget.data.content;
+
+      // Validate prompt-response pair before submission
+      const validation = validatePromptResponsePair(prompt, responseText);
+      if (!validation.isValid) {
+        setError(validation.errors[0]);
+        return;
+      }
+
+      body = {
+        prompt: prompt.trim(),
+        response: responseText.trim(),
+        ...(saveTarget.data.system && { system: saveTarget.data.system }),
+        // A cached response used no tokens, so it stays out of usage totals
+        ...(saveTarget.data.usage &&
+          !saveTarget.data.cached && {
+            usage: saveTarget.data.usage,
+            ...(Number.isInteger(saveTarget.data.latencyMs) && {
+              latencyMs: saveTarget.data.latencyMs,
+            }),
+          }),
+      };
+    }
+
     setIsSaving(true);
     setError(null);
-    setSaveSuccess(false);
+    setSaveSuccess(null);
 
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+      const payload = {
+        ...body,
+        ...(model && { model }),
+        parameters: parameters || {},
+      };
+
+      let data;
+      if (!isConversation) {
+        data = await savePromptResponse(payload);
+      } else if (conversationId) {
+        // Saving a conversation again updates its existing thread
+        data = await updateConversation(conversationId, payload);
+      } else {
+        data = await createConversation(payload);
+      }
+
+      if (isConversation) {
+        updateNodeData(saveTarget.id, { conversationId: data.id });
+        setSaveSuccess("Conversation saved successfully!");
+      } else {
+        setSaveSuccess("Prompt-response pair saved successfully!");
+        setHistoryRefreshKey((key) => key + 1);
+      }
+      // Clear success message after 5 seconds
+      setTimeout(() => setSaveSuccess(null), 5000);
+    } catch (err) {
+      console.error("Error saving data:", err);
+      setError(
+        toErrorState(err, getErrorMessage(err, "Failed to save your data"))
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
 
-      const response = await fetch("http://localhost:5000/api/save", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+  // Remember the winner picked in the comparison view
+  const handleWinnerChange = (winnerId) => {
+    setComparison({
+      key: comparisonTarget.key,
+      winnerId,
+      savedId: comparisonState?.savedId || null,
+    });
+  };
+
+  // Remember the saved record so saving again updates it
+  const handleComparisonSaved = (savedId) => {
+    setComparison({
+      key: comparisonTarget.key,
+      winnerId: comparisonState?.winnerId || null,
+      savedId,
+    });
+  };
+
+  const closeComparison = useCallback(() => setIsComparisonOpen(false), []);
+
+  // Put a saved system prompt into the System Prompt Node wired to a Result
+  // Node, adding and connecting one if there is none
+  const loadSystemPrompt = (resultNode, system) => {
+    const connected = edges
+      .filter((edge) => edge.target === resultNode.id)
+      .map((edge) => nodes.find((node) => node.id === edge.source))
+      .find((node) => node?.type === "systemPromptNode");
+
+    if (connected) {
+      updateNodeData(connected.id, { value: system });
+      return;
+    }
+
+    nodeCounter.current += 1;
+    const id = `system-${nodeCounter.current}`;
+    setNodes((nds) => [
+      ...nds,
+      {
+        id,
+        type: "systemPromptNode",
+        position: {
+          x: resultNode.position.x - 300,
+          y: resultNode.position.y + 200,
         },
-        body: JSON.stringify({
-          prompt: currentPrompt.trim(),
-          response: currentResponse.trim(),
-        }),
-        signal: controller.signal,
-      });
+        data: {
+          label: "System Prompt",
+          value: system,
+          status: "idle",
+          onChange: (value) => handleInputChange(id, value),
+        },
+      },
+    ]);
+    setEdges((eds) =>
+      addEdge({ source: id, target: resultNode.id, ...defaultEdgeOptions }, eds)
+    );
+  };
 
-      clearTimeout(timeoutId);
+  // Load a saved prompt-response pair into the first Input and Result Nodes
+  const handleHistorySelect = (item) => {
+    const inputNode = nodes.find((node) => node.type === "inputNode");
+    const resultNode = nodes.find((node) => node.type === "resultNode");
 
-      if (!response.ok) {
-        let errorMessage = "Failed to save prompt-response pair";
+    if (!inputNode || !resultNode) {
+      setError("Add a User Input and an AI Response node to load a saved pair");
+      return;
+    }
 
-        try {
-          const errorData = await response.json();
-          if (errorData.error?.message) {
-            errorMessage = errorData.error.message;
-          }
-        } catch (parseError) {
-          console.error("Failed to parse error response:", parseError);
-          // Use default error message
-        }
+    setError(null);
+    updateNodeData(inputNode.id, { value: item.prompt });
+    if (item.system) {
+      loadSystemPrompt(resultNode, item.system);
+    }
+    updateNodeData(resultNode.id, {
+      prompt: item.prompt,
+      system: item.system || "",
+      content: item.response,
+      model: item.model || null,
+      parameters: item.parameters || {},
+      usage: item.usage || null,
+      latencyMs: item.latencyMs ?? null,
+      cached: false,
+      settings: {
+        model: item.model || "",
+        temperature: item.parameters?.temperature ?? "",
+        max_tokens: item.parameters?.max_tokens ?? "",
+        top_p: item.parameters?.top_p ?? "",
+        stop: item.parameters?.stop?.join(", ") ?? "",
+      },
+      loading: false,
+      streaming: false,
+      status: "idle",
+      error: null,
+    });
+  };
 
-        throw new Error(errorMessage);
-      }
+  // Save the canvas as a new flow, or update the flow that is open
+  const handleSaveFlow = async (name, { asNew = false } = {}) => {
+    const isUpdate = Boolean(currentFlow) && !asNew;
+    const flow = serializeFlow({
+      nodes,
+      edges,
+      viewport: flowInstance?.getViewport(),
+    });
 
-      const data = await response.json();
+    setError(null);
+    setSaveSuccess(null);
 
-      if (!data.success) {
-        throw new Error(data.error?.message || "Save operation failed");
-      }
+    try {
+      const payload = {
+        name,
+        ...flow,
+        variables: pickVariables(variableNames, variables),
+      };
+      const data = isUpdate
+        ? await updateFlow(currentFlow.id, payload)
+        : await createFlow(payload);
 
-      setSaveSuccess(true);
-      // Clear success message after 5 seconds
-      setTimeout(() => setSaveSuccess(false), 5000);
+      setCurrentFlow({ id: data.id, name });
+      setSaveSuccess(`Flow "${name}" saved successfully!`);
+      setTimeout(() => setSaveSuccess(null), 5000);
+      return true;
     } catch (err) {
-      console.error("Error saving data:", err);
+      console.error("Error saving flow:", err);
+      setError(toErrorState(err, getErrorMessage(err, "Failed to save flow")));
+      return false;
+    }
+  };
 
-      let errorMessage = "Failed to save your data";
-
-      if (err.name === "AbortError") {
-        errorMessage = "Save request timed out. Please try again.";
-      } else if (
-        err.message.includes("Failed to fetch") ||
-        err.message.includes("NetworkError")
-      ) {
-        errorMessage =
-          "Unable to connect to the server. Please check your connection and try again.";
-      } else if (err.message) {
-        errorMessage = err.message;
-      }
+  // Replace the canvas with a saved flow, restoring its pan and zoom
+  const handleOpenFlow = (item) => {
+    const {
+      nodes: savedNodes,
+      edges: savedEdges,
+      viewport,
+    } = deserializeFlow(item);
 
-      setError(errorMessage);
-    } finally {
-      setIsSaving(false);
+    setError(null);
+    setNodes(savedNodes.map(attachNodeHandlers));
+    setEdges(savedEdges);
+    setVariables(item.variables || {});
+    nodeCounter.current = getLastNodeNumber(savedNodes);
+    if (viewport && flowInstance) {
+      flowInstance.setViewport(viewport);
     }
+    setCurrentFlow({ id: item.id, name: item.name });
+  };
+
+  // Forget the open flow once it is deleted
+  const handleDeleteFlow = (id) => {
+    setCurrentFlow((flow) => (flow?.id === id ? null : flow));
+  };
+
+  // Update one template variable from the Variables panel
+  const handleVariableChange = (name, value) => {
+    setVariables((current) => ({ ...current, [name]: value }));
+  };
+
+  // Load a saved template into the selected or first Input Node
+  const handleUseTemplate = (template) => {
+    if (!templateTarget) {
+      setError("Add a User Input node to use a template");
+      return;
+    }
+
+    setError(null);
+    updateNodeData(templateTarget.id, { value: template.template });
   };
 
   // Clear error when user dismisses it
@@ -334,7 +911,7 @@ function App() {
 
   // Clear success notification when user dismisses it
   const handleDismissSuccess = () => {
-    setSaveSuccess(false);
+    setSaveSuccess(null);
   };
 
   return (
@@ -345,13 +922,53 @@ function App() {
           <div className="flex items-center justify-between">
             <h1 className="text-xl font-semibold text-gray-800">
               AI Flow Visualizer
+              {currentFlow && (
+                <span className="ml-2 text-base font-normal text-gray-500">
+                  {currentFlow.name}
+                </span>
+              )}
             </h1>
             <div className="flex items-center space-x-4">
+              <FlowMenu
+                currentFlow={currentFlow}
+                disabled={isLoading}
+                onSave={handleSaveFlow}
+                onOpen={handleOpenFlow}
+                onDelete={handleDeleteFlow}
+              />
+              <button
+                onClick={() => handleAddNode("inputNode")}
+                disabled={isLoading}
+                className="px-3 py-2 rounded-md text-sm font-medium border border-blue-500 text-blue-600 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                + Input
+              </button>
+              <button
+                onClick={() => handleAddNode("systemPromptNode")}
+                disabled={isLoading}
+                className="px-3 py-2 rounded-md text-sm font-medium border border-amber-500 text-amber-600 hover:bg-amber-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                + System
+              </button>
+              <button
+                onClick={() => handleAddNode("resultNode")}
+                disabled={isLoading}
+                className="px-3 py-2 rounded-md text-sm font-medium border border-green-500 text-green-600 hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                + AI Response
+              </button>
+              <button
+                onClick={() => handleAddNode("chatNode")}
+                disabled={isLoading}
+                className="px-3 py-2 rounded-md text-sm font-medium border border-purple-500 text-purple-600 hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                + Chat
+              </button>
               <button
                 onClick={handleRunFlow}
-                disabled={isLoading || !currentPrompt.trim()}
+                disabled={isLoading || !hasPrompt}
                 className={`px-4 py-2 rounded-md font-medium transition-colors flex items-center ${
-                  isLoading || !currentPrompt.trim()
+                  isLoading || !hasPrompt
                     ? "bg-gray-300 text-gray-500 cursor-not-allowed"
                     : "bg-blue-600 text-white hover:bg-blue-700"
                 }`}
@@ -365,13 +982,19 @@ function App() {
                   "Run Flow"
                 )}
               </button>
+              {isLoading && (
+                <button
+                  onClick={handleStopFlow}
+                  className="px-4 py-2 rounded-md font-medium border border-red-500 text-red-600 hover:bg-red-50"
+                >
+                  Stop
+                </button>
+              )}
               <button
                 onClick={handleSave}
-                disabled={
-                  isSaving || !currentPrompt.trim() || !currentResponse.trim()
-                }
+                disabled={isSaving || isLoading || !saveTarget}
                 className={`px-4 py-2 rounded-md font-medium transition-colors flex items-center ${
-                  isSaving || !currentPrompt.trim() || !currentResponse.trim()
+                  isSaving || isLoading || !saveTarget
                     ? "bg-gray-300 text-gray-500 cursor-not-allowed"
                     : "bg-green-600 text-white hover:bg-green-700"
                 }`}
@@ -385,6 +1008,18 @@ function App() {
                   "Save"
                 )}
               </button>
+              <button
+                onClick={() => setIsComparisonOpen(true)}
+                disabled={isLoading || !comparisonTarget}
+                title={
+                  comparisonTarget
+                    ? "Compare the responses side by side"
+                    : "Connect one input to two or more AI Response nodes and run the flow to compare them"
+                }
+                className="px-3 py-2 rounded-md text-sm font-medium border border-gray-400 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Compare
+              </button>
             </div>
           </div>
 
@@ -395,29 +1030,64 @@ function App() {
             )}
             {saveSuccess && (
               <SuccessNotification
-                message="Prompt-response pair saved successfully!"
+                message={saveSuccess}
                 onDismiss={handleDismissSuccess}
               />
             )}
           </div>
         </div>
 
-        {/* React Flow Canvas */}
-        <div className="flex-1">
-          <ReactFlow
-            nodes={nodes}
-            edges={edges}
-            onNodesChange={onNodesChange}
-            onEdgesChange={onEdgesChange}
-            nodeTypes={nodeTypes}
-            fitView
-            className="bg-gray-50"
-          >
-            <Background />
-            <Controls />
-            <MiniMap />
-          </ReactFlow>
+        <div className="flex-1 flex min-h-0">
+          {/* Saved History */}
+          <HistorySidebar
+            isOpen={isHistoryOpen}
+            onToggle={() => setIsHistoryOpen((open) => !open)}
+            onSelect={handleHistorySelect}
+            refreshKey={historyRefreshKey}
+          />
+
+          {/* React Flow Canvas */}
+          <div className="flex-1">
+            <ReactFlow
+              nodes={nodes}
+              edges={edges}
+              onNodesChange={onNodesChange}
+              onEdgesChange={onEdgesChange}
+              onConnect={handleConnect}
+              onInit={setFlowInstance}
+              nodeTypes={nodeTypes}
+              defaultEdgeOptions={defaultEdgeOptions}
+              fitView
+              className="bg-gray-50"
+            >
+              <Background />
+              <Controls />
+              <MiniMap />
+            </ReactFlow>
+          </div>
+
+          {/* Template Variables */}
+          <VariablesPanel
+            isOpen={isVariablesOpen}
+            onToggle={() => setIsVariablesOpen((open) => !open)}
+            variableNames={variableNames}
+            values={variables}
+            onChange={handleVariableChange}
+            templateSource={templateTarget?.data.value?.trim() || ""}
+            onUseTemplate={handleUseTemplate}
+          />
         </div>
+
+        {isComparisonOpen && comparisonTarget && (
+          <ComparisonView
+            nodes={comparisonTarget.nodes}
+            winnerId={comparisonState?.winnerId || null}
+            savedId={comparisonState?.savedId || null}
+            onWinnerChange={handleWinnerChange}
+            onSaved={handleComparisonSaved}
+            onClose={closeComparison}
+          />
+        )}
       </div>
     </ErrorBoundary>
   );
@@ -0,0 +1,217 @@
+import axios from "axios";
+import { config } from "../config";
+import {
+  ApiError,
+  CancelledError,
+  NetworkError,
+  RateLimitError,
+  ServiceUnavailableError,
+  TimeoutError,
+  createApiError,
+} from "./errors";
+
+/**
+ * HTTP client for the backend
+ *
+ * One axios instance with the base URL and timeout from src/config.js.
+ * `request` resolves to the response body, or rejects with a typed error
+ * from ./errors. Idempotent calls (GET, PUT, DELETE) are retried with
+ * exponential backoff when the backend is unreachable, busy or briefly
+ * unavailable; POSTs never are, since they may already have taken effect.
+ */
+
+const http = axios.create({
+  baseURL: config.apiUrl,
+  timeout: config.requestTimeoutMs,
+});
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Longer waits are left to the user rather than retried behind a spinner
+const MAX_RETRY_DELAY_MS = 5000;
+
+/**
+ * Convert anything a request can throw into an ApiError
+ * @param {Error} error - axios error, or an ApiError already
+ * @param {string} fallbackMessage - Message when the backend sent none
+ * @returns {ApiError}
+ */
+export const toApiError = (error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (axios.isCancel(error) || error.name === "AbortError") {
+    return new CancelledError();
+  }
+
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return new TimeoutError();
+  }
+
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    return createApiError(data, { status, headers, fallbackMessage });
+  }
+
+  return new NetworkError(error.message);
+};
+
+/**
+ * Delay before retrying `error`, or null when it should not be retried
+ */
+const getRetryDelay = (error, attempt) => {
+  const isTransient =
+    error instanceof NetworkError ||
+    error instanceof TimeoutError ||
+    error instanceof RateLimitError ||
+    error instanceof ServiceUnavailableError;
+
+  // The backend has already waited for the database before answering
+  if (
+    !isTransient ||
+    error.code === "DATABASE_UNAVAILABLE" ||
+    attempt >= MAX_RETRIES
+  ) {
+    return null;
+  }
+
+  const delay =
+    error.retryAfter != null
+      ? error.retryAfter * 1000
+      : RETRY_BASE_DELAY_MS * 2 ** attempt;
+
+  return delay <= MAX_RETRY_DELAY_MS ? delay : null;
+};
+
+/**
+ * Wait `ms`, or reject with CancelledError as soon as `signal` aborts
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Make a backend request
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {string} options.url - Path, e.g. /api/flows
+ * @param {Object} options.params - Query parameters
+ * @param {Object} options.data - JSON body
+ * @param {AbortSignal} options.signal - Cancels the request, and any retry
+ * @param {string} options.errorMessage - Message when the backend sent none
+ * @returns {Promise<Object>} Response body
+ */
+export const request = async ({
+  method = "GET",
+  url,
+  params,
+  data,
+  signal,
+  errorMessage = "Request failed",
+}) => {
+  const canRetry = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await http.request({
+        method,
+        url,
+        params,
+        data,
+        signal,
+      });
+
+      // A few routes report failures in a 200 body
+      if (response.data?.success === false) {
+        throw createApiError(response.data, {
+          status: response.status,
+          headers: response.headers,
+          fallbackMessage: errorMessage,
+        });
+      }
+
+      return response.data;
+    } catch (err) {
+      const error = toApiError(err, errorMessage);
+      const delay = canRetry ? getRetryDelay(error, attempt) : null;
+
+      if (delay === null) {
+        throw error;
+      }
+
+      await wait(delay, signal);
+    }
+  }
+};
+
+/**
+ * Open a streamed (text/event-stream) POST
+ * Resolves once the response starts, with its body as a ReadableStream;
+ * an error status rejects with the typed error from its JSON body.
+ * @param {string} url - Path, e.g. /api/ask-ai
+ * @param {Object} data - JSON body
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {string} options.errorMessage - Message when the backend sent none
+ * @returns {Promise<{ stream: ReadableStream, requestId: string|null }>}
+ */
+export const openStream = async (
+  url,
+  data,
+  { signal, errorMessage = "Request failed" } = {}
+) => {
+  let response;
+  try {
+    response = await http.post(url, data, {
+      headers: { Accept: "text/event-stream" },
+      // Only the fetch adapter hands back the body as a stream
+      adapter: "fetch",
+      responseType: "stream",
+      // The caller enforces an idle timeout instead
+      timeout: 0,
+      signal,
+      validateStatus: () => true,
+    });
+  } catch (err) {
+    throw toApiError(err, errorMessage);
+  }
+
+  if (response.status >= 400) {
+    let body = null;
+    try {
+      body = JSON.parse(await new Response(response.data).text());
+    } catch {
+      // Not JSON; use the fallback message
+    }
+
+    throw createApiError(body, {
+      status: response.status,
+      headers: response.headers,
+      fallbackMessage: errorMessage,
+    });
+  }
+
+  return {
+    stream: response.data,
+    requestId: response.headers["x-request-id"] || null,
+  };
+};
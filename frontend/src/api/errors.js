@@ -0,0 +1,142 @@
+/**
+ * Errors thrown by the API client
+ *
+ * Every failed call rejects with an ApiError, or one of its subclasses for
+ * the failures callers handle differently. `code` is the backend's error
+ * code (or a client-side one such as NETWORK_ERROR), and `requestId` is the
+ * backend's ID for the request, which users can quote in bug reports to
+ * find the matching server logs.
+ */
+export class ApiError extends Error {
+  constructor(message, { code = null, status = null, requestId = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.requestId = requestId;
+  }
+}
+
+/** The request was rejected as invalid (400, 409, 413) */
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ValidationError";
+  }
+}
+
+/** The requested record does not exist (404) */
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+  }
+}
+
+/** Too many requests, to the backend or from it to the AI provider (429) */
+export class RateLimitError extends ApiError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, options);
+    this.name = "RateLimitError";
+    // Seconds to wait, when the response said
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The database or AI provider is down (502, 503, 504) */
+export class ServiceUnavailableError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ServiceUnavailableError";
+  }
+}
+
+/** No response in time, from the backend or while streaming */
+export class TimeoutError extends ApiError {
+  constructor(message = "Request timed out", options) {
+    super(message, { code: "REQUEST_TIMEOUT", ...options });
+    this.name = "TimeoutError";
+  }
+}
+
+/** The backend could not be reached at all */
+export class NetworkError extends ApiError {
+  constructor(message = "Network error", options) {
+    super(message, { code: "NETWORK_ERROR", ...options });
+    this.name = "NetworkError";
+  }
+}
+
+/** The caller cancelled the request through its AbortSignal */
+export class CancelledError extends ApiError {
+  constructor(message = "Request cancelled", options) {
+    super(message, { code: "CANCELLED", ...options });
+    this.name = "CancelledError";
+  }
+}
+
+// User-facing text for codes whose backend message is too technical to show
+const ERROR_MESSAGES = {
+  NETWORK_ERROR:
+    "Unable to connect to the server. Please check your connection and try again.",
+  REQUEST_TIMEOUT: "Request timed out. Please try again.",
+  CANCELLED: "Request cancelled.",
+  AI_RATE_LIMIT:
+    "The AI service is receiving too many requests. Please wait a moment and try again.",
+  AI_SERVICE_UNAVAILABLE:
+    "The AI service is unavailable right now. Please try again later.",
+  AI_AUTH_ERROR:
+    "The AI service rejected the server's credentials. Check the API key in the backend configuration.",
+  AI_CONFIG_ERROR:
+    "The AI provider is not configured on the server. Check the backend configuration.",
+  AI_PROCESSING_ERROR: "The AI service failed to answer. Please try again.",
+  DATABASE_UNAVAILABLE:
+    "The database is unavailable, so saved items cannot be loaded or stored right now.",
+  DATABASE_ERROR: "The database could not complete the request.",
+  INTERNAL_ERROR: "Something went wrong on the server. Please try again.",
+};
+
+const classForStatus = (status) => {
+  if (status === 404) return NotFoundError;
+  if (status === 408) return TimeoutError;
+  if (status === 429) return RateLimitError;
+  if ([502, 503, 504].includes(status)) return ServiceUnavailableError;
+  if ([400, 409, 413, 422].includes(status)) return ValidationError;
+  return ApiError;
+};
+
+/**
+ * Build the error for a backend error body: { success: false,
+ * error: { message, code, requestId } }
+ * @param {Object} data - Parsed response body, if any
+ * @param {Object} details - { status, headers, fallbackMessage }
+ */
+export const createApiError = (
+  data,
+  { status = null, headers = {}, fallbackMessage = "Request failed" } = {}
+) => {
+  const ErrorClass = classForStatus(status);
+  const retryAfter = Number.parseInt(headers["retry-after"], 10);
+
+  return new ErrorClass(data?.error?.message || fallbackMessage, {
+    // Subclasses such as TimeoutError supply a code when the body has none
+    ...(data?.error?.code && { code: data.error.code }),
+    status,
+    requestId: data?.error?.requestId || headers["x-request-id"] || null,
+    ...(ErrorClass === RateLimitError &&
+      Number.isFinite(retryAfter) && { retryAfter }),
+  });
+};
+
+/**
+ * Text to show the user for a failed request
+ */
+export const getErrorMessage = (err, fallbackMessage = "Request failed") =>
+  ERROR_MESSAGES[err?.code] || err?.message || fallbackMessage;
+
+/**
+ * Error state for ErrorDisplay: the message, with the request ID when the
+ * backend sent one
+ */
+export const toErrorState = (err, message = getErrorMessage(err)) =>
+  err?.requestId ? { message, requestId: err.requestId } : message;
@@ -0,0 +1,349 @@
+import { config } from "../config";
+import { readEventStream } from "../utils/sse";
+import { openStream, request, toApiError } from "./client";
+import { ApiError, TimeoutError, createApiError } from "./errors";
+
+/**
+ * Backend API
+ *
+ * One function per backend route. Each resolves to the route's response body
+ * and rejects with a typed error from ./errors; every one takes an optional
+ * AbortSignal to cancel it.
+ */
+
+export {
+  ApiError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServiceUnavailableError,
+  TimeoutError,
+  NetworkError,
+  CancelledError,
+  getErrorMessage,
+  toErrorState,
+} from "./errors";
+
+/**
+ * Ask the AI and stream the response
+ *
+ * `input` is either a prompt string or a { role, content } message list
+ * ending with the user's latest turn. Calls onToken(delta) for each streamed
+ * piece of text and resolves to { response, model, renderedPrompt, usage,
+ * latencyMs, cached } once the stream is done; `renderedPrompt` is set when
+ * the prompt was a template, `usage` when the provider reports token counts
+ * and `cached` when the backend answered from its response cache.
+ * `params` holds the optional model, generation parameters, system prompt
+ * and template variables.
+ *
+ * Streams may run long, so instead of a total timeout the request fails
+ * with a TimeoutError when no data arrives for VITE_STREAM_IDLE_TIMEOUT_MS.
+ */
+export const streamAskAI = async (
+  input,
+  { onToken = () => {}, params = {}, signal } = {}
+) => {
+  const errorMessage = "Failed to get AI response";
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeoutId = null;
+
+  const resetTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.streamIdleTimeoutMs);
+  };
+
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  resetTimeout();
+
+  try {
+    const { stream, requestId } = await openStream(
+      "/api/ask-ai",
+      {
+        ...params,
+        ...(Array.isArray(input)
+          ? { messages: input }
+          : { prompt: input.trim() }),
+        stream: true,
+      },
+      { signal: controller.signal, errorMessage }
+    );
+
+    let result = null;
+
+    await readEventStream(stream, (event, data) => {
+      resetTimeout();
+
+      if (event === "token") {
+        onToken(data.content);
+      } else if (event === "done") {
+        result = {
+          response: data.response,
+          model: data.model,
+          renderedPrompt: data.renderedPrompt || null,
+          usage: data.usage || null,
+          latencyMs: data.latencyMs ?? null,
+          cached: Boolean(data.cached),
+        };
+      } else if (event === "error") {
+        throw createApiError(data, {
+          headers: { "x-request-id": requestId },
+          fallbackMessage: errorMessage,
+        });
+      }
+    });
+
+    if (!result?.response) {
+      throw new ApiError("Invalid response format from server", {
+        requestId,
+      });
+    }
+
+    return result;
+  } catch (err) {
+    if (timedOut) {
+      throw new TimeoutError("No response from the AI service in time");
+    }
+    throw toApiError(err, errorMessage);
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener("abort", onAbort);
+    // Close the connection if the stream ended on an error event
+    controller.abort();
+  }
+};
+
+/** GET /api/models */
+export const getModels = ({ signal } = {}) =>
+  request({
+    url: "/api/models",
+    signal,
+    errorMessage: "Failed to load models",
+  });
+
+/** POST /api/save: save a prompt-response pair to history */
+export const savePromptResponse = (data, { signal } = {}) =>
+  request({
+    method: "POST",
+    url: "/api/save",
+    data,
+    signal,
+    errorMessage: "Failed to save prompt-response pair",
+  });
+
+/** GET /api/history; `params` is { page, limit, sort, q } */
+export const listHistory = (params, { signal } = {}) =>
+  request({
+    url: "/api/history",
+    params,
+    signal,
+    errorMessage: "Failed to load history",
+  });
+
+/** GET /api/history/:id */
+export const getHistoryRecord = (id, { signal } = {}) =>
+  request({
+    url: `/api/history/${id}`,
+    signal,
+    errorMessage: "Failed to load history record",
+  });
+
+/** DELETE /api/history/:id */
+export const deleteHistoryRecord = (id, { signal } = {}) =>
+  request({
+    method: "DELETE",
+    url: `/api/history/${id}`,
+    signal,
+    errorMessage: "Failed to delete history record",
+  });
+
+/** GET /api/conversations; `params` is { page, limit } */
+export const listConversations = (params, { signal } = {}) =>
+  request({
+    url: "/api/conversations",
+    params,
+    signal,
+    errorMessage: "Failed to load conversations",
+  });
+
+/** GET /api/conversations/:id */
+export const getConversation = (id, { signal } = {}) =>
+  request({
+    url: `/api/conversations/${id}`,
+    signal,
+    errorMessage: "Failed to load conversation",
+  });
+
+/** POST /api/conversations */
+export const createConversation = (data, { signal } = {}) =>
+  request({
+    method: "POST",
+    url: "/api/conversations",
+    data,
+    signal,
+    errorMessage: "Failed to save conversation",
+  });
+
+/** PUT /api/conversations/:id */
+export const updateConversation = (id, data, { signal } = {}) =>
+  request({
+    method: "PUT",
+    url: `/api/conversations/${id}`,
+    data,
+    signal,
+    errorMessage: "Failed to save conversation",
+  });
+
+/** DELETE /api/conversations/:id */
+export const deleteConversation = (id, { signal } = {}) =>
+  request({
+    method: "DELETE",
+    url: `/api/conversations/${id}`,
+    signal,
+    errorMessage: "Failed to delete conversation",
+  });
+
+/** GET /api/comparisons; `params` is { page, limit } */
+export const listComparisons = (params, { signal } = {}) =>
+  request({
+    url: "/api/comparisons",
+    params,
+    signal,
+    errorMessage: "Failed to load comparisons",
+  });
+
+/** GET /api/comparisons/:id */
+export const getComparison = (id, { signal } = {}) =>
+  request({
+    url: `/api/comparisons/${id}`,
+    signal,
+    errorMessage: "Failed to load comparison",
+  });
+
+/** POST /api/comparisons */
+export const createComparison = (data, { signal } = {}) =>
+  request({
+    method: "POST",
+    url: "/api/comparisons",
+    data,
+    signal,
+    errorMessage: "Failed to save comparison",
+  });
+
+/** PUT /api/comparisons/:id */
+export const updateComparison = (id, data, { signal } = {}) =>
+  request({
+    method: "PUT",
+    url: `/api/comparisons/${id}`,
+    data,
+    signal,
+    errorMessage: "Failed to save comparison",
+  });
+
+/** DELETE /api/comparisons/:id */
+export const deleteComparison = (id, { signal } = {}) =>
+  request({
+    method: "DELETE",
+    url: `/api/comparisons/${id}`,
+    signal,
+    errorMessage: "Failed to delete comparison",
+  });
+
+/** GET /api/templates; `params` is { page, limit } */
+export const listTemplates = (params, { signal } = {}) =>
+  request({
+    url: "/api/templates",
+    params,
+    signal,
+    errorMessage: "Failed to load templates",
+  });
+
+/** GET /api/templates/:id */
+export const getTemplate = (id, { signal } = {}) =>
+  request({
+    url: `/api/templates/${id}`,
+    signal,
+    errorMessage: "Failed to load template",
+  });
+
+/** POST /api/templates */
+export const createTemplate = (data, { signal } = {}) =>
+  request({
+    method: "POST",
+    url: "/api/templates",
+    data,
+    signal,
+    errorMessage: "Failed to save template",
+  });
+
+/** DELETE /api/templates/:id */
+export const deleteTemplate = (id, { signal } = {}) =>
+  request({
+    method: "DELETE",
+    url: `/api/templates/${id}`,
+    signal,
+    errorMessage: "Failed to delete template",
+  });
+
+/** GET /api/flows; `params` is { page, limit } */
+export const listFlows = (params, { signal } = {}) =>
+  request({
+    url: "/api/flows",
+    params,
+    signal,
+    errorMessage: "Failed to load flows",
+  });
+
+/** GET /api/flows/:id */
+export const getFlow = (id, { signal } = {}) =>
+  request({
+    url: `/api/flows/${id}`,
+    signal,
+    errorMessage: "Failed to load flow",
+  });
+
+/** POST /api/flows */
+export const createFlow = (data, { signal } = {}) =>
+  request({
+    method: "POST",
+    url: "/api/flows",
+    data,
+    signal,
+    errorMessage: "Failed to save flow",
+  });
+
+/** PUT /api/flows/:id */
+export const updateFlow = (id, data, { signal } = {}) =>
+  request({
+    method: "PUT",
+    url: `/api/flows/${id}`,
+    data,
+    signal,
+    errorMessage: "Failed to save flow",
+  });
+
+/** DELETE /api/flows/:id */
+export const deleteFlow = (id, { signal } = {}) =>
+  request({
+    method: "DELETE",
+    url: `/api/flows/${id}`,
+    signal,
+    errorMessage: "Failed to delete flow",
+  });
+
+/** GET /api/usage; `params` is { from, to } */
+export const getUsage = (params, { signal } = {}) =>
+  request({
+    url: "/api/usage",
+    params,
+    signal,
+    errorMessage: "Failed to load usage",
+  });
@@ -0,0 +1,147 @@
+import { useReactFlow } from "@xyflow/react";
+import LoadingSpinner from "./LoadingSpinner";
+import NodeStatusBadge from "./NodeStatusBadge";
+import NodeDeleteButton from "./NodeDeleteButton";
+import ModelSettingsPanel from "./ModelSettingsPanel";
+import MarkdownContent from "./MarkdownContent";
+
+const messageStyles = {
+  system: "bg-gray-100 text-gray-600 italic",
+  user: "bg-purple-100 text-purple-900 ml-6",
+  assistant: "bg-gray-50 text-gray-800 border border-gray-200 mr-6",
+};
+
+const roleLabels = {
+  system: "System",
+  user: "You",
+  assistant: "AI",
+};
+
+const ChatMessage = ({ role, content, streaming = false }) => (
+  <div className={`rounded-md px-2 py-1 text-sm ${messageStyles[role]}`}>
+    <div className="text-xs font-medium opacity-70">{roleLabels[role]}</div>
+    {role === "assistant" ? (
+      <MarkdownContent content={content} className="nodrag" />
+    ) : (
+      <p className="whitespace-pre-wrap">{content}</p>
+    )}
+    {streaming && (
+      <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-purple-500 animate-pulse" />
+    )}
+  </div>
+);
+
+const ChatNode = ({ id, data }) => {
+  const { updateNodeData } = useReactFlow();
+  const messages = data.messages || [];
+  const isBusy = data.loading || data.streaming;
+  const canSend = !isBusy && data.draft?.trim();
+
+  const handleSend = () => {
+    if (!canSend || !data.onSend) return;
+
+    data.onSend(
+      [...messages, { role: "user", content: data.draft.trim() }],
+      data.settings
+    );
+  };
+
+  const handleKeyDown = (event) => {
+    // Enter sends, Shift+Enter adds a new line
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      handleSend();
+    }
+  };
+
+  const handleClear = () => {
+    updateNodeData(id, {
+      messages: [],
+      pendingReply: "",
+      conversationId: null,
+      status: "idle",
+      error: null,
+    });
+  };
+
+  return (
+    <div className="bg-white border-2 border-purple-500 rounded-lg p-4 shadow-lg w-80">
+      <div className="mb-2 flex items-center">
+        <h3 className="text-lg font-semibold text-gray-800">
+          {data.label || "Chat"}
+        </h3>
+        <NodeStatusBadge status={data.status} />
+        <div className="ml-auto flex items-center space-x-2">
+          {messages.length > 0 && (
+            <button
+              onClick={handleClear}
+              disabled={isBusy}
+              className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            >
+              Clear
+            </button>
+          )}
+          <NodeDeleteButton nodeId={id} />
+        </div>
+      </div>
+      <ModelSettingsPanel nodeId={id} settings={data.settings} />
+      <div className="nowheel mb-3 h-48 overflow-y-auto space-y-2">
+        {messages.length === 0 && !isBusy && (
+          <div className="h-full flex items-center justify-center">
+            <p className="text-gray-500 italic">Start a conversation...</p>
+          </div>
+        )}
+        {messages.map((message, index) => (
+          <ChatMessage
+            key={index}
+            role={message.role}
+            content={message.content}
+          />
+        ))}
+        {data.loading && (
+          <div className="flex justify-center py-2">
+            <LoadingSpinner size="sm" text="Thinking..." />
+          </div>
+        )}
+        {data.streaming && (
+          <ChatMessage
+            role="assistant"
+            content={data.pendingReply || ""}
+            streaming
+          />
+        )}
+      </div>
+      {data.error && <p className="mb-2 text-sm text-red-600">{data.error}</p>}
+      <div className="flex items-end space-x-2">
+        <textarea
+          value={data.draft || ""}
+          onChange={(event) =>
+            updateNodeData(id, { draft: event.target.value })
+          }
+          onKeyDown={handleKeyDown}
+          placeholder="Type a message..."
+          className="nodrag flex-1 h-16 p-2 text-sm border border-gray-300 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          disabled={isBusy}
+        />
+        {isBusy ? (
+          <button
+            onClick={() => data.onStop?.()}
+            className="px-3 py-2 rounded-md text-sm font-medium border border-red-500 text-red-600 hover:bg-red-50"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={handleSend}
+            disabled={!canSend}
+            className="px-3 py-2 rounded-md text-sm font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+          >
+            Send
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChatNode;
@@ -0,0 +1,166 @@
+import { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import LoadingSpinner from "./LoadingSpinner";
+import MarkdownContent from "./MarkdownContent";
+import { createComparison, getErrorMessage, updateComparison } from "../api";
+import { toComparisonPayload } from "../utils/comparison";
+import { formatResponseStats } from "../utils/format";
+
+/**
+ * Side-by-side view of the responses of a fanned-out prompt, one column per
+ * Result Node. The user can mark a winner and save every response as one
+ * comparison; saving again updates that record.
+ */
+const ComparisonView = ({
+  nodes,
+  winnerId,
+  savedId,
+  onWinnerChange,
+  onSaved,
+  onClose,
+}) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // Whether the record matches what is shown, until the winner changes
+  const [isSaved, setIsSaved] = useState(false);
+  const { prompt, system } = nodes[0].data;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const payload = toComparisonPayload(nodes, winnerId);
+      const data = savedId
+        ? await updateComparison(savedId, payload)
+        : await createComparison(payload);
+      onSaved(data.id);
+      setIsSaved(true);
+    } catch (err) {
+      console.error("Error saving comparison:", err);
+      setError(getErrorMessage(err, "Failed to save comparison"));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleWinnerClick = (id) => {
+    setIsSaved(false);
+    onWinnerChange(id === winnerId ? null : id);
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-6"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Compare responses"
+        className="bg-white rounded-lg shadow-xl w-full max-w-7xl h-full flex flex-col"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">
+            Compare responses
+          </h2>
+          <div className="flex items-center space-x-3">
+            {error && <span className="text-sm text-red-600">{error}</span>}
+            {isSaved && <span className="text-sm text-green-600">Saved</span>}
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="px-3 py-1.5 rounded-md text-sm font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+            >
+              {isSaving ? (
+                <>
+                  <LoadingSpinner size="sm" text="" />
+                  <span className="ml-2">Saving...</span>
+                </>
+              ) : (
+                `${savedId ? "Update" : "Save"} comparison`
+              )}
+            </button>
+            <button
+              onClick={onClose}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+        <div className="px-4 py-3 border-b border-gray-200 space-y-1">
+          {system && (
+            <p className="text-xs text-gray-500 line-clamp-2" title={system}>
+              <span className="font-medium">System:</span> {system}
+            </p>
+          )}
+          <p className="text-sm text-gray-700 line-clamp-3" title={prompt}>
+            <span className="font-medium">Prompt:</span> {prompt}
+          </p>
+        </div>
+        <div
+          className="flex-1 min-h-0 grid gap-4 p-4 overflow-x-auto"
+          style={{
+            gridTemplateColumns: `repeat(${nodes.length}, minmax(18rem, 1fr))`,
+          }}
+        >
+          {nodes.map((node) => {
+            const isWinner = node.id === winnerId;
+            const stats = formatResponseStats(node.data);
+
+            return (
+              <section
+                key={node.id}
+                className={`min-h-0 flex flex-col rounded-lg border-2 ${
+                  isWinner ? "border-green-500" : "border-gray-200"
+                }`}
+              >
+                <div className="px-3 py-2 border-b border-gray-200 flex items-start justify-between">
+                  <div className="min-w-0">
+                    <h3 className="font-semibold text-gray-800 truncate">
+                      {node.data.model || "Default model"}
+                    </h3>
+                    <p className="text-xs text-gray-500 truncate">
+                      {node.data.label}
+                      {stats && ` · ${stats}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleWinnerClick(node.id)}
+                    aria-pressed={isWinner}
+                    className={`ml-2 shrink-0 px-2 py-1 rounded-md text-xs font-medium border ${
+                      isWinner
+                        ? "border-green-500 bg-green-500 text-white"
+                        : "border-gray-300 text-gray-600 hover:bg-gray-50"
+                    }`}
+                  >
+                    {isWinner ? "Winner" : "Mark as winner"}
+                  </button>
+                </div>
+                <div className="flex-1 overflow-y-auto px-3 py-2">
+                  <MarkdownContent content={node.data.content} />
+                </div>
+              </section>
+            );
+          })}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ComparisonView;
@@ -46,6 +46,12 @@ const ErrorDisplay = ({ error, onDismiss, className = "" }) => {
               ? error
               : error.message || "An unexpected error occurred"}
           </p>
+          {error.requestId && (
+            <p className="text-xs text-red-600 mt-1">
+              Request ID:{" "}
+              <code className="font-mono select-all">{error.requestId}</code>
+            </p>
+          )}
         </div>
         {onDismiss && (
           <div className="ml-auto pl-3">
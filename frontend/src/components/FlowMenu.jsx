@@ -0,0 +1,185 @@
+import { useState, useEffect, useCallback } from "react";
+import LoadingSpinner from "./LoadingSpinner";
+import { deleteFlow, getErrorMessage, getFlow, listFlows } from "../api";
+
+const buttonClassName =
+  "px-3 py-2 rounded-md text-sm font-medium border border-gray-400 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed";
+
+const popoverClassName =
+  "absolute right-0 top-full mt-2 w-72 bg-white border border-gray-200 rounded-md shadow-lg z-10 p-3";
+
+const FlowMenu = ({
+  currentFlow,
+  disabled = false,
+  onSave,
+  onOpen,
+  onDelete = () => {},
+}) => {
+  const [openMenu, setOpenMenu] = useState(null);
+  const [name, setName] = useState("");
+  const [flows, setFlows] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchFlows = useCallback(async () => {
+    setIsBusy(true);
+    setError(null);
+
+    try {
+      const data = await listFlows({ limit: 50 });
+      setFlows(data.items);
+    } catch (err) {
+      console.error("Error loading flows:", err);
+      setError(getErrorMessage(err));
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (openMenu === "open") {
+      fetchFlows();
+    }
+  }, [openMenu, fetchFlows]);
+
+  const toggleMenu = (menu) => {
+    setError(null);
+    setName(currentFlow?.name || "");
+    setOpenMenu((current) => (current === menu ? null : menu));
+  };
+
+  const handleSave = async (event, asNew = false) => {
+    event.preventDefault();
+    setIsBusy(true);
+
+    const saved = await onSave(name.trim(), { asNew });
+
+    setIsBusy(false);
+    if (saved) {
+      setOpenMenu(null);
+    }
+  };
+
+  const handleOpen = async (id) => {
+    setIsBusy(true);
+    setError(null);
+
+    try {
+      const data = await getFlow(id);
+      onOpen(data.item);
+      setOpenMenu(null);
+    } catch (err) {
+      console.error("Error loading flow:", err);
+      setError(getErrorMessage(err));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setError(null);
+
+    try {
+      await deleteFlow(id);
+      setFlows((current) => current.filter((flow) => flow.id !== id));
+      onDelete(id);
+    } catch (err) {
+      console.error("Error deleting flow:", err);
+      setError(getErrorMessage(err));
+    }
+  };
+
+  return (
+    <div className="relative flex items-center space-x-2">
+      <button
+        onClick={() => toggleMenu("save")}
+        disabled={disabled}
+        className={buttonClassName}
+      >
+        Save Flow
+      </button>
+      <button
+        onClick={() => toggleMenu("open")}
+        disabled={disabled}
+        className={buttonClassName}
+      >
+        Open Flow
+      </button>
+
+      {openMenu === "save" && (
+        <form onSubmit={handleSave} className={popoverClassName}>
+          <label className="block text-sm text-gray-700">
+            Flow name
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              maxLength={100}
+              autoFocus
+              className="mt-1 w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </label>
+          <div className="mt-3 flex justify-end space-x-2">
+            {currentFlow && (
+              <button
+                type="button"
+                onClick={(event) => handleSave(event, true)}
+                disabled={isBusy || !name.trim()}
+                className={buttonClassName}
+              >
+                Save as New
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isBusy || !name.trim()}
+              className="px-3 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+            >
+              {currentFlow ? "Update" : "Save"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {openMenu === "open" && (
+        <div className={popoverClassName}>
+          {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+          {isBusy ? (
+            <LoadingSpinner size="sm" text="Loading..." />
+          ) : (
+            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+              {flows.map((flow) => (
+                <li key={flow.id} className="group py-2">
+                  <button
+                    onClick={() => handleOpen(flow.id)}
+                    className="w-full text-left"
+                  >
+                    <p className="text-sm text-gray-800">{flow.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {flow.nodeCount} nodes ·{" "}
+                      {new Date(flow.updatedAt).toLocaleString()}
+                    </p>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(flow.id)}
+                    className="mt-1 text-xs text-red-500 hover:text-red-700 opacity-0 group-hover:opacity-100 transition-opacity"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+
+              {flows.length === 0 && !error && (
+                <li className="py-2 text-sm text-gray-500 italic">
+                  No saved flows yet
+                </li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlowMenu;
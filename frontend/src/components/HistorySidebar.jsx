@@ -0,0 +1,179 @@
+import { useState, useEffect, useCallback } from "react";
+import LoadingSpinner from "./LoadingSpinner";
+import ErrorDisplay from "./ErrorDisplay";
+import {
+  deleteHistoryRecord,
+  getHistoryRecord,
+  listHistory,
+  toErrorState,
+} from "../api";
+
+const PAGE_SIZE = 20;
+
+const HistorySidebar = ({ isOpen, onToggle, onSelect, refreshKey = 0 }) => {
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [search, setSearch] = useState("");
+  const [activeSearch, setActiveSearch] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(async (pageToLoad, query) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await listHistory({
+        page: pageToLoad,
+        limit: PAGE_SIZE,
+        ...(query && { q: query, sort: "relevance" }),
+      });
+
+      setItems((current) =>
+        pageToLoad === 1 ? data.items : [...current, ...data.items]
+      );
+      setPage(data.pagination.page);
+      setTotalPages(data.pagination.totalPages);
+    } catch (err) {
+      console.error("Error loading history:", err);
+      setError(toErrorState(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Reload from the first page when opened, searched or after a save
+  useEffect(() => {
+    if (isOpen) {
+      fetchHistory(1, activeSearch);
+    }
+  }, [isOpen, activeSearch, refreshKey, fetchHistory]);
+
+  const handleSearchSubmit = (event) => {
+    event.preventDefault();
+    setActiveSearch(search.trim());
+  };
+
+  const handleSelect = async (id) => {
+    setError(null);
+
+    try {
+      const data = await getHistoryRecord(id);
+      onSelect(data.item);
+    } catch (err) {
+      console.error("Error loading history record:", err);
+      setError(toErrorState(err));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setError(null);
+
+    try {
+      await deleteHistoryRecord(id);
+      setItems((current) => current.filter((item) => item.id !== id));
+    } catch (err) {
+      console.error("Error deleting history record:", err);
+      setError(toErrorState(err));
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="bg-white border-r border-gray-200">
+        <button
+          onClick={onToggle}
+          className="h-full px-2 text-sm text-gray-600 hover:bg-gray-100 [writing-mode:vertical-rl]"
+          aria-label="Open history"
+        >
+          History
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <aside className="w-80 bg-white border-r border-gray-200 flex flex-col">
+      <div className="flex items-center justify-between p-3 border-b border-gray-200">
+        <h2 className="text-md font-semibold text-gray-800">History</h2>
+        <button
+          onClick={onToggle}
+          className="text-sm text-gray-500 hover:text-gray-700"
+          aria-label="Close history"
+        >
+          Hide
+        </button>
+      </div>
+
+      <form
+        onSubmit={handleSearchSubmit}
+        className="p-3 border-b border-gray-200"
+      >
+        <input
+          type="search"
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+          placeholder="Search prompts and responses..."
+          className="w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </form>
+
+      {error && (
+        <ErrorDisplay
+          error={error}
+          onDismiss={() => setError(null)}
+          className="m-3"
+        />
+      )}
+
+      <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+        {items.map((item) => (
+          <li key={item.id} className="group p-3 hover:bg-gray-50">
+            <button
+              onClick={() => handleSelect(item.id)}
+              className="w-full text-left"
+            >
+              <p className="text-sm text-gray-800 line-clamp-2">
+                {item.prompt}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                {new Date(item.createdAt).toLocaleString()} ·{" "}
+                {item.responseLength} chars
+              </p>
+            </button>
+            <button
+              onClick={() => handleDelete(item.id)}
+              className="mt-1 text-xs text-red-500 hover:text-red-700 opacity-0 group-hover:opacity-100 transition-opacity"
+            >
+              Delete
+            </button>
+          </li>
+        ))}
+
+        {!isLoading && items.length === 0 && !error && (
+          <li className="p-3 text-sm text-gray-500 italic">
+            {activeSearch ? "No matching records" : "No saved records yet"}
+          </li>
+        )}
+      </ul>
+
+      <div className="p-3 border-t border-gray-200">
+        {isLoading ? (
+          <LoadingSpinner size="sm" text="Loading..." />
+        ) : (
+          page < totalPages && (
+            <button
+              onClick={() => fetchHistory(page + 1, activeSearch)}
+              className="w-full text-sm text-blue-600 hover:text-blue-800"
+            >
+              Load more
+            </button>
+          )
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default HistorySidebar;
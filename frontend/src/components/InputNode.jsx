@@ -1,6 +1,8 @@
 import { Handle, Position } from "@xyflow/react";
+import NodeStatusBadge from "./NodeStatusBadge";
+import NodeDeleteButton from "./NodeDeleteButton";
 
-const InputNode = ({ data }) => {
+const InputNode = ({ id, data }) => {
   const handleInputChange = (event) => {
     if (data.onChange) {
       data.onChange(event.target.value);
@@ -9,10 +11,14 @@ const InputNode = ({ data }) => {
 
   return (
     <div className="bg-white border-2 border-blue-500 rounded-lg p-4 shadow-lg min-w-64">
-      <div className="mb-2">
+      <div className="mb-2 flex items-center">
         <h3 className="text-lg font-semibold text-gray-800">
           {data.label || "User Input"}
         </h3>
+        <NodeStatusBadge status={data.status} />
+        <div className="ml-auto">
+          <NodeDeleteButton nodeId={id} />
+        </div>
       </div>
       <div className="mb-3">
         <textarea
@@ -0,0 +1,17 @@
+import { lazy, Suspense } from "react";
+
+const MarkdownRenderer = lazy(() => import("./MarkdownRenderer"));
+
+/**
+ * Render AI output as Markdown (see MarkdownRenderer), showing the plain
+ * text until the renderer has loaded
+ */
+const MarkdownContent = ({ content, className = "" }) => (
+  <div className={`markdown-content ${className}`}>
+    <Suspense fallback={<p className="whitespace-pre-wrap">{content}</p>}>
+      <MarkdownRenderer content={content} />
+    </Suspense>
+  </div>
+);
+
+export default MarkdownContent;
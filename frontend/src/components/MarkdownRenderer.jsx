@@ -0,0 +1,61 @@
+import { useRef, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import rehypeHighlight from "rehype-highlight";
+import "highlight.js/styles/github.css";
+
+// Fenced code block with a button that copies its text
+const CodeBlock = ({ children }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current.textContent);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy code:", err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleCopy}
+        className="nodrag absolute top-1 right-1 px-2 py-0.5 rounded text-xs bg-white border border-gray-300 text-gray-600 hover:bg-gray-100"
+      >
+        {copied ? "Copied" : "Copy"}
+      </button>
+      <pre ref={preRef}>{children}</pre>
+    </div>
+  );
+};
+
+// Links open in a new tab rather than replacing the canvas
+const Link = ({ href, children }) => (
+  <a href={href} target="_blank" rel="noopener noreferrer">
+    {children}
+  </a>
+);
+
+const components = { pre: CodeBlock, a: Link };
+
+/**
+ * GitHub-flavored Markdown with highlighted code blocks, loaded on demand
+ * through MarkdownContent since the parser and highlighter are large
+ *
+ * Raw HTML in the text is shown escaped instead of rendered, and unsafe link
+ * URLs (e.g. javascript:) are dropped, so model output cannot run scripts.
+ */
+const MarkdownRenderer = ({ content }) => (
+  <ReactMarkdown
+    remarkPlugins={[remarkGfm]}
+    rehypePlugins={[rehypeHighlight]}
+    components={components}
+  >
+    {content}
+  </ReactMarkdown>
+);
+
+export default MarkdownRenderer;
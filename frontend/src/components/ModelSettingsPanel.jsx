@@ -0,0 +1,124 @@
+import { useState } from "react";
+import { useReactFlow } from "@xyflow/react";
+import useModels from "../hooks/useModels";
+
+const inputClassName =
+  "nodrag w-full p-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const ModelSettingsPanel = ({ nodeId, settings = {} }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { updateNodeData } = useReactFlow();
+  const { models, defaultModel, error } = useModels();
+
+  const handleChange = (field) => (event) => {
+    updateNodeData(nodeId, {
+      settings: {
+        ...settings,
+        [field]:
+          event.target.type === "checkbox"
+            ? event.target.checked
+            : event.target.value,
+      },
+    });
+  };
+
+  const summary = settings.model || defaultModel || "Default model";
+
+  return (
+    <div className="mb-3 border-t border-gray-100 pt-2">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center justify-between text-xs text-gray-600 hover:text-gray-800"
+        aria-expanded={isOpen}
+      >
+        <span className="truncate">Model: {summary}</span>
+        <span className="ml-2">{isOpen ? "▲" : "▼"}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 grid grid-cols-2 gap-2 text-xs text-gray-700">
+          <label className="col-span-2">
+            Model
+            <select
+              value={settings.model || ""}
+              onChange={handleChange("model")}
+              className={inputClassName}
+            >
+              <option value="">
+                Default{defaultModel ? ` (${defaultModel})` : ""}
+              </option>
+              {models.map((model) => (
+                <option key={model} value={model}>
+                  {model}
+                </option>
+              ))}
+            </select>
+            {error && <span className="text-red-600">{error}</span>}
+          </label>
+          <label>
+            Temperature
+            <input
+              type="number"
+              min="0"
+              max="2"
+              step="0.1"
+              value={settings.temperature ?? ""}
+              onChange={handleChange("temperature")}
+              placeholder="Default"
+              className={inputClassName}
+            />
+          </label>
+          <label>
+            Max tokens
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={settings.max_tokens ?? ""}
+              onChange={handleChange("max_tokens")}
+              placeholder="Default"
+              className={inputClassName}
+            />
+          </label>
+          <label>
+            Top P
+            <input
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.top_p ?? ""}
+              onChange={handleChange("top_p")}
+              placeholder="Default"
+              className={inputClassName}
+            />
+          </label>
+          <label>
+            Stop
+            <input
+              type="text"
+              value={settings.stop ?? ""}
+              onChange={handleChange("stop")}
+              placeholder="e.g. ###, END"
+              className={inputClassName}
+            />
+          </label>
+          <label
+            className="col-span-2 flex items-center"
+            title="Always ask the model instead of reusing a cached response to the same request"
+          >
+            <input
+              type="checkbox"
+              checked={Boolean(settings.bypassCache)}
+              onChange={handleChange("bypassCache")}
+              className="nodrag mr-2"
+            />
+            Skip cache
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelSettingsPanel;
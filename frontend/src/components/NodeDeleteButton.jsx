@@ -0,0 +1,29 @@
+import { useReactFlow } from "@xyflow/react";
+
+const NodeDeleteButton = ({ nodeId }) => {
+  const { deleteElements } = useReactFlow();
+
+  return (
+    <button
+      onClick={() => deleteElements({ nodes: [{ id: nodeId }] })}
+      className="ml-2 text-gray-400 hover:text-red-600 transition-colors"
+      aria-label="Delete node"
+    >
+      <svg
+        className="h-4 w-4"
+        fill="none"
+        viewBox="0 0 24 24"
+        stroke="currentColor"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M6 18L18 6M6 6l12 12"
+        />
+      </svg>
+    </button>
+  );
+};
+
+export default NodeDeleteButton;
@@ -0,0 +1,29 @@
+const statusStyles = {
+  running: "bg-blue-100 text-blue-700",
+  done: "bg-green-100 text-green-700",
+  error: "bg-red-100 text-red-700",
+  skipped: "bg-gray-100 text-gray-600",
+  cancelled: "bg-amber-100 text-amber-700",
+};
+
+const statusLabels = {
+  running: "Running",
+  done: "Done",
+  error: "Error",
+  skipped: "Skipped",
+  cancelled: "Cancelled",
+};
+
+const NodeStatusBadge = ({ status }) => {
+  if (!status || !statusStyles[status]) return null;
+
+  return (
+    <span
+      className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[status]}`}
+    >
+      {statusLabels[status]}
+    </span>
+  );
+};
+
+export default NodeStatusBadge;
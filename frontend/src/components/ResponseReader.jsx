@@ -0,0 +1,65 @@
+import { useEffect } from "react";
+import { createPortal } from "react-dom";
+import MarkdownContent from "./MarkdownContent";
+
+/**
+ * Full-screen view of a long AI response, closed with Escape or the Close
+ * button. Rendered into document.body so the canvas zoom does not apply.
+ */
+const ResponseReader = ({ title, content, raw, onToggleRaw, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-6"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={title}
+        className="bg-white rounded-lg shadow-xl w-full max-w-4xl h-full flex flex-col"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={onToggleRaw}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              {raw ? "Rendered" : "Raw"}
+            </button>
+            <button
+              onClick={onClose}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {raw ? (
+            <p className="text-sm text-gray-800 whitespace-pre-wrap font-mono">
+              {content}
+            </p>
+          ) : (
+            <MarkdownContent content={content} />
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ResponseReader;
@@ -1,11 +1,31 @@
-import { Handle, Position } from "@xyflow/react";
+import { useCallback, useState } from "react";
+import { Handle, NodeResizer, Position } from "@xyflow/react";
 import LoadingSpinner from "./LoadingSpinner";
+import NodeStatusBadge from "./NodeStatusBadge";
+import NodeDeleteButton from "./NodeDeleteButton";
+import ModelSettingsPanel from "./ModelSettingsPanel";
+import MarkdownContent from "./MarkdownContent";
+import ResponseReader from "./ResponseReader";
+import { formatResponseStats } from "../utils/format";
+
+const ResultNode = ({ id, data, selected, height }) => {
+  const [raw, setRaw] = useState(false);
+  const [isReaderOpen, setIsReaderOpen] = useState(false);
+  const closeReader = useCallback(() => setIsReaderOpen(false), []);
+
+  // A resized node gives the response the remaining height
+  const boxClassName = height ? "flex-1 min-h-24" : "h-24";
+
+  const showFooter =
+    data.content &&
+    !data.loading &&
+    !data.streaming &&
+    (data.usage || Number.isFinite(data.latencyMs));
 
-const ResultNode = ({ data }) => {
   const getDisplayContent = () => {
     if (data.loading) {
       return (
-        <div className="flex items-center justify-center h-24">
+        <div className={`${boxClassName} flex items-center justify-center`}>
           <LoadingSpinner size="md" text="Processing..." />
         </div>
       );
@@ -13,32 +33,113 @@ const ResultNode = ({ data }) => {
 
     if (data.content) {
       return (
-        <div className="h-24 overflow-y-auto">
-          <p className="text-gray-800 whitespace-pre-wrap">{data.content}</p>
+        <div className={`nowheel nodrag ${boxClassName} overflow-y-auto`}>
+          {raw ? (
+            <p className="text-sm text-gray-800 whitespace-pre-wrap">
+              {data.content}
+            </p>
+          ) : (
+            <MarkdownContent content={data.content} />
+          )}
+          {data.streaming && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-green-500 animate-pulse" />
+          )}
+        </div>
+      );
+    }
+
+    if (data.status === "cancelled") {
+      return (
+        <div className={`${boxClassName} flex items-center justify-center`}>
+          <p className="text-gray-500 italic">Run cancelled</p>
+        </div>
+      );
+    }
+
+    if (data.error) {
+      return (
+        <div className={`${boxClassName} flex items-center justify-center`}>
+          <p className="text-sm text-red-600 text-center">{data.error}</p>
         </div>
       );
     }
 
     return (
-      <div className="h-24 flex items-center justify-center">
+      <div className={`${boxClassName} flex items-center justify-center`}>
         <p className="text-gray-500 italic">AI response will appear here...</p>
       </div>
     );
   };
 
   return (
-    <div className="bg-white border-2 border-green-500 rounded-lg p-4 shadow-lg min-w-64">
-      <div className="mb-2">
+    <div className="bg-white border-2 border-green-500 rounded-lg p-4 shadow-lg min-w-64 h-full flex flex-col">
+      <NodeResizer
+        isVisible={selected}
+        minWidth={256}
+        minHeight={200}
+        color="#22c55e"
+      />
+      <div className="mb-2 flex items-center">
         <h3 className="text-lg font-semibold text-gray-800">
           {data.label || "AI Response"}
         </h3>
+        <NodeStatusBadge status={data.status} />
+        <div className="ml-auto flex items-center space-x-2">
+          {data.content && (
+            <>
+              <button
+                onClick={() => setRaw((value) => !value)}
+                className="text-xs text-gray-500 hover:text-gray-700"
+              >
+                {raw ? "Rendered" : "Raw"}
+              </button>
+              <button
+                onClick={() => setIsReaderOpen(true)}
+                className="text-xs text-gray-500 hover:text-gray-700"
+                aria-label="Open full-screen reader"
+              >
+                Expand
+              </button>
+            </>
+          )}
+          <NodeDeleteButton nodeId={id} />
+        </div>
       </div>
-      <div className="mb-3">{getDisplayContent()}</div>
+      <ModelSettingsPanel nodeId={id} settings={data.settings} />
+      <div className={`mb-3 ${height ? "flex-1 min-h-0 flex flex-col" : ""}`}>
+        {getDisplayContent()}
+      </div>
+      {showFooter && (
+        <p
+          className="-mt-2 mb-1 text-xs text-gray-500"
+          title={
+            data.usage
+              ? `${data.usage.promptTokens} prompt + ${data.usage.completionTokens} completion tokens`
+              : undefined
+          }
+        >
+          {formatResponseStats(data)}
+        </p>
+      )}
       <Handle
         type="target"
         position={Position.Left}
         className="w-3 h-3 bg-green-500"
       />
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="w-3 h-3 bg-green-500"
+      />
+      {isReaderOpen && (
+        <ResponseReader
+          title={data.label || "AI Response"}
+          content={data.content}
+          raw={raw}
+          onToggleRaw={() => setRaw((value) => !value)}
+          onClose={closeReader}
+        />
+      )}
     </div>
   );
 };
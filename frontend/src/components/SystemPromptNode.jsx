@@ -0,0 +1,41 @@
+import { Handle, Position } from "@xyflow/react";
+import NodeStatusBadge from "./NodeStatusBadge";
+import NodeDeleteButton from "./NodeDeleteButton";
+
+const SystemPromptNode = ({ id, data }) => {
+  const handleInputChange = (event) => {
+    if (data.onChange) {
+      data.onChange(event.target.value);
+    }
+  };
+
+  return (
+    <div className="bg-white border-2 border-amber-500 rounded-lg p-4 shadow-lg min-w-64">
+      <div className="mb-2 flex items-center">
+        <h3 className="text-lg font-semibold text-gray-800">
+          {data.label || "System Prompt"}
+        </h3>
+        <NodeStatusBadge status={data.status} />
+        <div className="ml-auto">
+          <NodeDeleteButton nodeId={id} />
+        </div>
+      </div>
+      <div className="mb-3">
+        <textarea
+          value={data.value || ""}
+          onChange={handleInputChange}
+          placeholder="Instructions for the AI, e.g. You are a concise assistant..."
+          className="w-full h-24 p-2 border border-gray-300 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+          rows={3}
+        />
+      </div>
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="w-3 h-3 bg-amber-500"
+      />
+    </div>
+  );
+};
+
+export default SystemPromptNode;
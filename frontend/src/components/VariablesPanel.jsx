@@ -0,0 +1,213 @@
+import { useState, useEffect, useCallback } from "react";
+import LoadingSpinner from "./LoadingSpinner";
+import ErrorDisplay from "./ErrorDisplay";
+import {
+  createTemplate,
+  deleteTemplate,
+  getTemplate,
+  listTemplates,
+  toErrorState,
+} from "../api";
+
+const inputClassName =
+  "w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const VariablesPanel = ({
+  isOpen,
+  onToggle,
+  variableNames,
+  values,
+  onChange,
+  templateSource,
+  onUseTemplate,
+}) => {
+  const [templates, setTemplates] = useState([]);
+  const [templateName, setTemplateName] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTemplates = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await listTemplates({ limit: 100 });
+      setTemplates(data.items);
+    } catch (err) {
+      console.error("Error loading templates:", err);
+      setError(toErrorState(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchTemplates();
+    }
+  }, [isOpen, fetchTemplates]);
+
+  const handleSaveTemplate = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      await createTemplate({
+        name: templateName.trim(),
+        template: templateSource.trim(),
+      });
+      setTemplateName("");
+      fetchTemplates();
+    } catch (err) {
+      console.error("Error saving template:", err);
+      setError(toErrorState(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUseTemplate = async (id) => {
+    setError(null);
+
+    try {
+      const data = await getTemplate(id);
+      onUseTemplate(data.item);
+    } catch (err) {
+      console.error("Error loading template:", err);
+      setError(toErrorState(err));
+    }
+  };
+
+  const handleDeleteTemplate = async (id) => {
+    setError(null);
+
+    try {
+      await deleteTemplate(id);
+      setTemplates((current) => current.filter((item) => item.id !== id));
+    } catch (err) {
+      console.error("Error deleting template:", err);
+      setError(toErrorState(err));
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="bg-white border-l border-gray-200">
+        <button
+          onClick={onToggle}
+          className="h-full px-2 text-sm text-gray-600 hover:bg-gray-100 [writing-mode:vertical-rl]"
+          aria-label="Open variables"
+        >
+          Variables{variableNames.length > 0 && ` (${variableNames.length})`}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <aside className="w-80 bg-white border-l border-gray-200 flex flex-col">
+      <div className="flex items-center justify-between p-3 border-b border-gray-200">
+        <h2 className="text-md font-semibold text-gray-800">Variables</h2>
+        <button
+          onClick={onToggle}
+          className="text-sm text-gray-500 hover:text-gray-700"
+          aria-label="Close variables"
+        >
+          Hide
+        </button>
+      </div>
+
+      {error && (
+        <ErrorDisplay
+          error={error}
+          onDismiss={() => setError(null)}
+          className="m-3"
+        />
+      )}
+
+      <div className="flex-1 overflow-y-auto">
+        <section className="p-3 space-y-3 border-b border-gray-200">
+          {variableNames.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              Use {"{{name}}"} in an input to add a variable
+            </p>
+          ) : (
+            variableNames.map((name) => (
+              <label key={name} className="block text-sm text-gray-700">
+                <span className="font-mono">{name}</span>
+                <textarea
+                  value={values[name] || ""}
+                  onChange={(event) => onChange(name, event.target.value)}
+                  rows={2}
+                  className={`${inputClassName} mt-1 resize-y`}
+                />
+              </label>
+            ))
+          )}
+        </section>
+
+        <section className="p-3">
+          <h3 className="text-sm font-semibold text-gray-800 mb-2">
+            Templates
+          </h3>
+
+          <form onSubmit={handleSaveTemplate} className="flex space-x-2 mb-3">
+            <input
+              type="text"
+              value={templateName}
+              onChange={(event) => setTemplateName(event.target.value)}
+              placeholder="Template name"
+              className={inputClassName}
+            />
+            <button
+              type="submit"
+              disabled={isSaving || !templateName.trim() || !templateSource}
+              title="Save the selected input's text as a template"
+              className="px-3 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 disabled:text-gray-500 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </form>
+
+          {isLoading ? (
+            <LoadingSpinner size="sm" text="Loading..." />
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {templates.map((item) => (
+                <li key={item.id} className="group py-2">
+                  <button
+                    onClick={() => handleUseTemplate(item.id)}
+                    className="w-full text-left"
+                  >
+                    <p className="text-sm text-gray-800">{item.name}</p>
+                    {item.variables.length > 0 && (
+                      <p className="text-xs text-gray-500 font-mono truncate">
+                        {item.variables.join(", ")}
+                      </p>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteTemplate(item.id)}
+                    className="mt-1 text-xs text-red-500 hover:text-red-700 opacity-0 group-hover:opacity-100 transition-opacity"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+
+              {templates.length === 0 && !error && (
+                <li className="py-2 text-sm text-gray-500 italic">
+                  No saved templates yet
+                </li>
+              )}
+            </ul>
+          )}
+        </section>
+      </div>
+    </aside>
+  );
+};
+
+export default VariablesPanel;
@@ -0,0 +1,7 @@
+import { parseConfig } from "./utils/parseConfig";
+
+/**
+ * Build-time configuration, from the VITE_* variables in .env
+ * (see .env.example)
+ */
+export const config = parseConfig(import.meta.env);
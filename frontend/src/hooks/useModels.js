@@ -0,0 +1,57 @@
+import { useState, useEffect } from "react";
+import { getErrorMessage, getModels } from "../api";
+
+// Shared across every node so the model list is only fetched once
+let modelsRequest = null;
+
+/**
+ * Load the models the backend's default provider can serve
+ *
+ * Returns { models, defaultModel, error }.
+ */
+const useModels = () => {
+  const [state, setState] = useState({
+    models: [],
+    defaultModel: null,
+    error: null,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!modelsRequest) {
+      modelsRequest = getModels().catch((err) => {
+        // Allow a later mount to retry after a failure
+        modelsRequest = null;
+        throw err;
+      });
+    }
+
+    modelsRequest
+      .then((data) => {
+        if (!cancelled) {
+          setState({
+            models: data.models,
+            defaultModel: data.defaultModel,
+            error: null,
+          });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setState((current) => ({
+            ...current,
+            error: getErrorMessage(err),
+          }));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+};
+
+export default useModels;
@@ -0,0 +1,99 @@
+/**
+ * Model comparison utilities
+ *
+ * Connecting one input to several AI Response nodes fans the prompt out:
+ * each Result Node sends the same prompt, usually with a different model,
+ * and the flow engine runs them in parallel. Result Nodes wired to exactly
+ * the same upstream nodes form one comparison.
+ */
+
+/**
+ * Whether a Result Node holds a complete response from the last run
+ */
+export const hasComparableResponse = (node) =>
+  node.type === "resultNode" &&
+  node.data.status === "done" &&
+  Boolean(node.data.content?.trim());
+
+/**
+ * Group Result Nodes that share all of their upstream nodes
+ *
+ * Returns { key, nodes } for every group of two or more, with `key`
+ * identifying the shared upstream nodes and `nodes` ordered top to bottom
+ * as on the canvas.
+ */
+export const findComparisonGroups = (nodes, edges) => {
+  const sourcesByTarget = new Map();
+  for (const edge of edges) {
+    if (!sourcesByTarget.has(edge.target)) {
+      sourcesByTarget.set(edge.target, new Set());
+    }
+    sourcesByTarget.get(edge.target).add(edge.source);
+  }
+
+  const groups = new Map();
+  for (const node of nodes) {
+    const sources = sourcesByTarget.get(node.id);
+    if (node.type !== "resultNode" || !sources) {
+      continue;
+    }
+
+    const key = [...sources].sort().join(",");
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(node);
+  }
+
+  return [...groups]
+    .filter(([, group]) => group.length >= 2)
+    .map(([key, group]) => ({
+      key,
+      nodes: [...group].sort((a, b) => a.position.y - b.position.y),
+    }));
+};
+
+/**
+ * Pick the comparison the Compare button opens: the group holding the
+ * selected node, otherwise the first on the canvas
+ *
+ * Only nodes with a response from the last run take part, so a group needs
+ * at least two of them. Returns { key, nodes } or null.
+ */
+export const getComparisonTarget = (nodes, edges) => {
+  const groups = findComparisonGroups(nodes, edges)
+    .map(({ key, nodes: group }) => ({
+      key,
+      nodes: group.filter(hasComparableResponse),
+    }))
+    .filter((group) => group.nodes.length >= 2);
+
+  return (
+    groups.find((group) => group.nodes.some((node) => node.selected)) ||
+    groups[0] ||
+    null
+  );
+};
+
+/**
+ * Build the POST /api/comparisons body from a comparison's Result Nodes
+ * and the ID of the node marked as the winner, if any
+ */
+export const toComparisonPayload = (nodes, winnerId = null) => {
+  const { prompt, system } = nodes[0].data;
+  const winner = nodes.findIndex((node) => node.id === winnerId);
+
+  return {
+    prompt: prompt.trim(),
+    ...(system && { system }),
+    variants: nodes.map(({ data }) => ({
+      model: data.model,
+      parameters: data.parameters || {},
+      response: data.content.trim(),
+      ...(data.usage && { usage: data.usage }),
+      ...(Number.isInteger(data.latencyMs) && { latencyMs: data.latencyMs }),
+      cached: Boolean(data.cached),
+    })),
+    winner: winner === -1 ? null : winner,
+  };
+};
@@ -0,0 +1,167 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findComparisonGroups,
+  getComparisonTarget,
+  hasComparableResponse,
+  toComparisonPayload,
+} from "./comparison.js";
+
+const result = (id, y, data = {}) => ({
+  id,
+  type: "resultNode",
+  position: { x: 0, y },
+  data: { status: "done", content: `answer ${id}`, ...data },
+});
+const edge = (source, target) => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+});
+const ids = (group) => group.nodes.map((node) => node.id);
+
+describe("hasComparableResponse", () => {
+  it("needs a finished Result Node with content", () => {
+    assert.equal(hasComparableResponse(result("a", 0)), true);
+    assert.equal(
+      hasComparableResponse(result("a", 0, { status: "loading" })),
+      false
+    );
+    assert.equal(
+      hasComparableResponse(result("a", 0, { content: "  " })),
+      false
+    );
+    assert.equal(
+      hasComparableResponse({ ...result("a", 0), type: "inputNode" }),
+      false
+    );
+  });
+});
+
+describe("findComparisonGroups", () => {
+  it("groups Result Nodes with the same upstream nodes, top to bottom", () => {
+    const nodes = [
+      { id: "input", type: "inputNode", position: { x: 0, y: 0 }, data: {} },
+      {
+        id: "system",
+        type: "systemPromptNode",
+        position: { x: 0, y: 0 },
+        data: {},
+      },
+      result("low", 200),
+      result("high", 100),
+      result("withSystem", 300),
+      result("alone", 400),
+    ];
+    const edges = [
+      edge("input", "low"),
+      edge("input", "high"),
+      edge("system", "withSystem"),
+      edge("input", "withSystem"),
+      edge("other", "alone"),
+    ];
+
+    const groups = findComparisonGroups(nodes, edges);
+
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].key, "input");
+    assert.deepEqual(ids(groups[0]), ["high", "low"]);
+  });
+
+  it("keys groups by their sorted upstream nodes", () => {
+    const edges = [
+      edge("b", "x"),
+      edge("a", "x"),
+      edge("a", "y"),
+      edge("b", "y"),
+    ];
+
+    const [group] = findComparisonGroups(
+      [result("x", 0), result("y", 1)],
+      edges
+    );
+
+    assert.equal(group.key, "a,b");
+  });
+});
+
+describe("getComparisonTarget", () => {
+  const edges = [
+    edge("one", "a1"),
+    edge("one", "a2"),
+    edge("two", "b1"),
+    edge("two", "b2"),
+  ];
+
+  it("prefers the group holding the selected node", () => {
+    const nodes = [
+      result("a1", 0),
+      result("a2", 1),
+      result("b1", 2),
+      { ...result("b2", 3), selected: true },
+    ];
+
+    assert.deepEqual(ids(getComparisonTarget(nodes, edges)), ["b1", "b2"]);
+
+    // Without a selection, the first group on the canvas
+    const unselected = nodes.map((node) => ({ ...node, selected: false }));
+    assert.deepEqual(ids(getComparisonTarget(unselected, edges)), ["a1", "a2"]);
+  });
+
+  it("skips groups without two finished responses", () => {
+    const nodes = [
+      result("a1", 0),
+      result("a2", 1, { status: "error" }),
+      result("b1", 2),
+      result("b2", 3),
+    ];
+
+    assert.deepEqual(ids(getComparisonTarget(nodes, edges)), ["b1", "b2"]);
+    assert.equal(getComparisonTarget(nodes.slice(0, 3), edges), null);
+  });
+});
+
+describe("toComparisonPayload", () => {
+  const nodes = [
+    result("a", 0, {
+      prompt: "  Compare us  ",
+      system: "Be brief",
+      model: "m1",
+      content: " first ",
+      parameters: { temperature: 0.2 },
+      usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+      latencyMs: 120,
+      cached: true,
+    }),
+    result("b", 1, { prompt: "Compare us", model: "m2", content: "second" }),
+  ];
+
+  it("builds one variant per node and marks the winner by index", () => {
+    assert.deepEqual(toComparisonPayload(nodes, "b"), {
+      prompt: "Compare us",
+      system: "Be brief",
+      variants: [
+        {
+          model: "m1",
+          parameters: { temperature: 0.2 },
+          response: "first",
+          usage: { promptTokens: 1, completionTokens: 2, totalTokens: 3 },
+          latencyMs: 120,
+          cached: true,
+        },
+        { model: "m2", parameters: {}, response: "second", cached: false },
+      ],
+      winner: 1,
+    });
+  });
+
+  it("leaves out the system prompt and winner when there are none", () => {
+    const payload = toComparisonPayload(
+      nodes.map((node) => ({ ...node, data: { ...node.data, system: "" } })),
+      "missing"
+    );
+
+    assert.equal("system" in payload, false);
+    assert.equal(payload.winner, null);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Flow graph validation and execution utilities
+ */
+
+const getNodeName = (node) => node.data?.label || node.id;
+
+/**
+ * Build upstream/downstream adjacency lists for the graph
+ */
+const buildAdjacency = (nodes, edges) => {
+  const upstream = new Map(nodes.map((node) => [node.id, []]));
+  const downstream = new Map(nodes.map((node) => [node.id, []]));
+
+  for (const edge of edges) {
+    if (upstream.has(edge.target) && downstream.has(edge.source)) {
+      upstream.get(edge.target).push(edge.source);
+      downstream.get(edge.source).push(edge.target);
+    }
+  }
+
+  return { upstream, downstream };
+};
+
+/**
+ * Topologically sort the graph (Kahn's algorithm)
+ *
+ * Returns { order, cycle } where `cycle` lists the IDs of nodes that could
+ * not be ordered because they sit on or behind a cycle.
+ */
+export const topologicalSort = (nodes, edges) => {
+  const { upstream, downstream } = buildAdjacency(nodes, edges);
+  const inDegree = new Map(
+    nodes.map((node) => [node.id, upstream.get(node.id).length])
+  );
+
+  // Seed with roots in canvas order so execution order is stable
+  const queue = nodes
+    .filter((node) => inDegree.get(node.id) === 0)
+    .map((node) => node.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+
+    for (const next of downstream.get(id)) {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) {
+        queue.push(next);
+      }
+    }
+  }
+
+  const ordered = new Set(order);
+  const cycle = nodes
+    .filter((node) => !ordered.has(node.id))
+    .map((node) => node.id);
+
+  return { order, cycle };
+};
+
+/**
+ * Validate a flow graph before running it
+ *
+ * Catches edges to missing nodes, cycles, result nodes without a prompt
+ * input (system prompts alone are not enough) and nodes that are not
+ * connected to anything.
+ */
+export const validateFlowGraph = (nodes, edges) => {
+  const errors = [];
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+
+  if (!nodes.some((node) => node.type === "resultNode")) {
+    errors.push("Add at least one AI Response node to run the flow");
+    return { isValid: false, errors, order: [] };
+  }
+
+  for (const edge of edges) {
+    if (!nodeById.has(edge.source) || !nodeById.has(edge.target)) {
+      errors.push(
+        `Connection ${edge.id} points to a node that no longer exists`
+      );
+    }
+  }
+
+  const { upstream, downstream } = buildAdjacency(nodes, edges);
+
+  for (const node of nodes) {
+    const hasUpstream = upstream.get(node.id).length > 0;
+    const hasDownstream = downstream.get(node.id).length > 0;
+
+    if (!hasUpstream && !hasDownstream) {
+      errors.push(`"${getNodeName(node)}" is not connected to anything`);
+    } else if (node.type === "resultNode" && !hasUpstream) {
+      errors.push(`"${getNodeName(node)}" has no input connected`);
+    } else if (
+      node.type === "resultNode" &&
+      upstream
+        .get(node.id)
+        .every((id) => nodeById.get(id)?.type === "systemPromptNode")
+    ) {
+      errors.push(`"${getNodeName(node)}" has no prompt input connected`);
+    }
+  }
+
+  const { order, cycle } = topologicalSort(nodes, edges);
+  if (cycle.length > 0) {
+    const names = cycle.map((id) => `"${getNodeName(nodeById.get(id))}"`);
+    errors.push(`Flow contains a cycle involving ${names.join(", ")}`);
+  }
+
+  return { isValid: errors.length === 0, errors, order };
+};
+
+/**
+ * Run every node of a validated graph in dependency order
+ *
+ * Each node starts as soon as all of its upstream nodes are done, so
+ * independent branches run in parallel. `executeNode(node, inputs, sources)`
+ * returns the node's output, where `inputs` are the upstream outputs in edge
+ * order and `sources` the matching upstream nodes.
+ * `onStatus(id, status, details)` reports "running", "done", "error",
+ * "skipped" (an upstream node failed) and "cancelled" (`signal` aborted
+ * while the node ran or before it started).
+ *
+ * Resolves to a Map of node ID to { status, output?, error? }.
+ */
+export const runFlowGraph = async ({
+  nodes,
+  edges,
+  order,
+  executeNode,
+  onStatus = () => {},
+  signal,
+}) => {
+  const { upstream } = buildAdjacency(nodes, edges);
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const results = new Map();
+  const pending = new Map();
+
+  const runNode = async (id) => {
+    const upstreamResults = await Promise.all(
+      upstream.get(id).map((sourceId) => pending.get(sourceId))
+    );
+
+    if (signal?.aborted) {
+      const result = { status: "cancelled" };
+      results.set(id, result);
+      onStatus(id, "cancelled");
+      return result;
+    }
+
+    if (upstreamResults.some((result) => result.status !== "done")) {
+      const result = { status: "skipped" };
+      results.set(id, result);
+      onStatus(id, "skipped");
+      return result;
+    }
+
+    onStatus(id, "running");
+
+    try {
+      const output = await executeNode(
+        nodeById.get(id),
+        upstreamResults.map((result) => result.output),
+        upstream.get(id).map((sourceId) => nodeById.get(sourceId))
+      );
+      const result = { status: "done", output };
+      results.set(id, result);
+      onStatus(id, "done", { output });
+      return result;
+    } catch (error) {
+      const status = signal?.aborted ? "cancelled" : "error";
+      const result = { status, error };
+      results.set(id, result);
+      onStatus(id, status, { error });
+      return result;
+    }
+  };
+
+  // Topological order guarantees upstream promises exist before use
+  for (const id of order) {
+    pending.set(id, runNode(id));
+  }
+
+  await Promise.all(pending.values());
+  return results;
+};
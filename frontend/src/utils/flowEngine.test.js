@@ -0,0 +1,145 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { runFlowGraph, validateFlowGraph } from "./flowEngine.js";
+
+const node = (id, type = "inputNode") => ({ id, type, data: { label: id } });
+const edge = (source, target) => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+});
+
+describe("validateFlowGraph", () => {
+  it("orders a valid graph by its dependencies", () => {
+    const result = validateFlowGraph(
+      [
+        node("result", "resultNode"),
+        node("input"),
+        node("system", "systemPromptNode"),
+      ],
+      [edge("system", "result"), edge("input", "result")]
+    );
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.order, ["input", "system", "result"]);
+  });
+
+  it("requires an AI Response node", () => {
+    assert.deepEqual(validateFlowGraph([node("input")], []).errors, [
+      "Add at least one AI Response node to run the flow",
+    ]);
+  });
+
+  it("reports cycles", () => {
+    const result = validateFlowGraph(
+      [node("input"), node("a", "resultNode"), node("b", "resultNode")],
+      [edge("input", "a"), edge("a", "b"), edge("b", "a")]
+    );
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, [
+      'Flow contains a cycle involving "a", "b"',
+    ]);
+  });
+
+  it("reports unconnected nodes and missing prompt inputs", () => {
+    const result = validateFlowGraph(
+      [
+        node("input"),
+        node("system", "systemPromptNode"),
+        node("result", "resultNode"),
+        node("lonely", "resultNode"),
+      ],
+      [edge("system", "result"), edge("input", "gone")]
+    );
+
+    assert.deepEqual(result.errors, [
+      "Connection input-gone points to a node that no longer exists",
+      '"input" is not connected to anything',
+      '"result" has no prompt input connected',
+      '"lonely" is not connected to anything',
+    ]);
+  });
+});
+
+describe("runFlowGraph", () => {
+  const nodes = [
+    node("input"),
+    node("first", "resultNode"),
+    node("second", "resultNode"),
+    node("other", "resultNode"),
+  ];
+  const edges = [
+    edge("input", "first"),
+    edge("first", "second"),
+    edge("input", "other"),
+  ];
+  const order = ["input", "first", "other", "second"];
+
+  const run = (executeNode, signal) => {
+    const statuses = [];
+    const results = runFlowGraph({
+      nodes,
+      edges,
+      order,
+      executeNode,
+      onStatus: (id, status) => statuses.push([id, status]),
+      signal,
+    });
+    return { statuses, results };
+  };
+
+  it("passes upstream outputs to each node", async () => {
+    const { results } = run(async (current, inputs, sources) =>
+      [current.id, ...inputs, ...sources.map((source) => source.id)].join(" ")
+    );
+
+    const outputs = Object.fromEntries(
+      [...(await results)].map(([id, result]) => [id, result.output])
+    );
+    assert.deepEqual(outputs, {
+      input: "input",
+      first: "first input input",
+      other: "other input input",
+      second: "second first input input first",
+    });
+  });
+
+  it("skips nodes downstream of a failure and runs the rest", async () => {
+    const failure = new Error("provider down");
+    const { statuses, results } = run(async (current) => {
+      if (current.id === "first") {
+        throw failure;
+      }
+      return current.id;
+    });
+    const finished = await results;
+
+    assert.deepEqual(finished.get("first"), {
+      status: "error",
+      error: failure,
+    });
+    assert.deepEqual(finished.get("second"), { status: "skipped" });
+    assert.equal(finished.get("other").status, "done");
+    assert.deepEqual(
+      statuses.filter(([id]) => id === "second"),
+      [["second", "skipped"]]
+    );
+  });
+
+  it("cancels running and pending nodes when the signal aborts", async () => {
+    const controller = new AbortController();
+    const { results } = run(async (current) => {
+      if (current.id === "first") {
+        controller.abort();
+        throw new Error("aborted");
+      }
+      return current.id;
+    }, controller.signal);
+    const finished = await results;
+
+    assert.equal(finished.get("input").status, "done");
+    assert.equal(finished.get("first").status, "cancelled");
+    assert.equal(finished.get("second").status, "cancelled");
+  });
+});
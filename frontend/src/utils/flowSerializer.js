@@ -0,0 +1,71 @@
+/**
+ * Flow canvas serialization utilities
+ *
+ * Saved flows keep each node's position and data, minus handler functions
+ * (re-attached by App on load) and state that only matters mid-run.
+ */
+
+// Node data that describes an in-progress run rather than the flow itself
+const TRANSIENT_DATA_KEYS = ["loading", "streaming", "pendingReply", "status"];
+
+const serializeNodeData = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data).filter(
+      ([key, value]) =>
+        typeof value !== "function" && !TRANSIENT_DATA_KEYS.includes(key)
+    )
+  );
+
+/**
+ * Turn the canvas state into a JSON-safe flow body for the API
+ */
+export const serializeFlow = ({ nodes, edges, viewport }) => ({
+  nodes: nodes.map(({ id, type, position, data, width, height }) => ({
+    id,
+    type,
+    position: { x: position.x, y: position.y },
+    data: serializeNodeData(data),
+    ...(typeof width === "number" && { width }),
+    ...(typeof height === "number" && { height }),
+  })),
+  edges: edges.map(
+    ({ id, source, target, sourceHandle, targetHandle, type, animated }) => ({
+      id,
+      source,
+      target,
+      ...(sourceHandle && { sourceHandle }),
+      ...(targetHandle && { targetHandle }),
+      ...(type && { type }),
+      ...(animated !== undefined && { animated }),
+    })
+  ),
+  ...(viewport && { viewport }),
+});
+
+/**
+ * Turn a saved flow back into canvas nodes and edges, with every node idle
+ */
+export const deserializeFlow = ({ nodes = [], edges = [], viewport }) => ({
+  nodes: nodes.map((node) => ({
+    ...node,
+    data: {
+      ...node.data,
+      status: "idle",
+      loading: false,
+      streaming: false,
+      ...(node.type === "chatNode" && { pendingReply: "" }),
+    },
+  })),
+  edges,
+  viewport,
+});
+
+/**
+ * Highest number used in node IDs such as "input-3", so new nodes added
+ * after loading a flow get unique IDs
+ */
+export const getLastNodeNumber = (nodes) =>
+  nodes.reduce((max, node) => {
+    const number = Number(node.id.split("-").pop());
+    return Number.isInteger(number) ? Math.max(max, number) : max;
+  }, 0);
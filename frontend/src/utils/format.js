@@ -0,0 +1,22 @@
+/**
+ * Display formatting utilities
+ */
+
+/**
+ * Format a latency in milliseconds as "850 ms" or "1.2 s"
+ */
+export const formatLatency = (ms) =>
+  ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+/**
+ * Summarize a response's token count, latency and cache hit, e.g.
+ * "1,234 tokens · 1.2 s · cached"; empty when none are known
+ */
+export const formatResponseStats = ({ usage, latencyMs, cached }) =>
+  [
+    usage && `${usage.totalTokens.toLocaleString()} tokens`,
+    Number.isFinite(latencyMs) && formatLatency(latencyMs),
+    cached && "cached",
+  ]
+    .filter(Boolean)
+    .join(" · ");
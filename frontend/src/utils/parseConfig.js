@@ -0,0 +1,54 @@
+/**
+ * Read the frontend settings from VITE_* variables
+ *
+ * Shared by src/config.js, which applies it to import.meta.env, and
+ * vite.config.js, which runs it before a build so invalid values fail the
+ * build instead of the running app. Throws one error listing every problem.
+ */
+export const parseConfig = (env) => {
+  const problems = [];
+
+  const readUrl = (name, fallback) => {
+    const value = env[name]?.trim();
+    if (!value) {
+      return fallback;
+    }
+
+    try {
+      new URL(value);
+    } catch {
+      problems.push(`${name} must be a URL, got "${value}"`);
+      return fallback;
+    }
+    // Paths are appended as "/api/...", so drop any trailing slash
+    return value.replace(/\/+$/, "");
+  };
+
+  const readInteger = (name, fallback) => {
+    const value = env[name]?.trim();
+    if (!value) {
+      return fallback;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      problems.push(`${name} must be a positive integer, got "${value}"`);
+      return fallback;
+    }
+    return number;
+  };
+
+  const config = {
+    apiUrl: readUrl("VITE_API_URL", "http://localhost:5000"),
+    streamIdleTimeoutMs: readInteger("VITE_STREAM_IDLE_TIMEOUT_MS", 30000),
+    requestTimeoutMs: readInteger("VITE_REQUEST_TIMEOUT_MS", 15000),
+  };
+
+  if (problems.length > 0) {
+    throw new Error(
+      ["Invalid frontend configuration:", ...problems].join("\n  - ")
+    );
+  }
+
+  return config;
+};
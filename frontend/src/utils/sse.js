@@ -0,0 +1,58 @@
+/**
+ * Server-sent events helpers for streamed backend responses
+ */
+
+/**
+ * Parse a single SSE frame into its event name and JSON data
+ */
+const parseFrame = (frame) => {
+  let event = "message";
+  const dataLines = [];
+
+  for (const line of frame.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: JSON.parse(dataLines.join("\n")) };
+};
+
+/**
+ * Read a response body stream as server-sent events
+ * and call onEvent(event, data) for each complete event
+ */
+export const readEventStream = async (stream, onEvent) => {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+    // Events are separated by a blank line; keep any partial event buffered
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+
+    for (const frame of frames) {
+      const parsed = parseFrame(frame);
+      if (parsed) {
+        onEvent(parsed.event, parsed.data);
+      }
+    }
+  }
+
+  const parsed = parseFrame(buffer);
+  if (parsed) {
+    onEvent(parsed.event, parsed.data);
+  }
+};
@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readEventStream } from "./sse.js";
+
+/**
+ * A response body stream that yields `chunks` as UTF-8 bytes
+ */
+const streamOf = (chunks) => {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(
+          typeof chunk === "string" ? encoder.encode(chunk) : chunk
+        );
+      }
+      controller.close();
+    },
+  });
+};
+
+const collect = async (chunks) => {
+  const events = [];
+  await readEventStream(streamOf(chunks), (event, data) =>
+    events.push([event, data])
+  );
+  return events;
+};
+
+describe("readEventStream", () => {
+  it("parses named events with JSON data", async () => {
+    assert.deepEqual(
+      await collect([
+        'event: token\ndata: {"content":"Hel"}\n\n',
+        'event: done\ndata: {"success":true}\n\n',
+      ]),
+      [
+        ["token", { content: "Hel" }],
+        ["done", { success: true }],
+      ]
+    );
+  });
+
+  it("reassembles frames split across chunks", async () => {
+    assert.deepEqual(
+      await collect(["event: tok", 'en\ndata: {"content', '":"a"}\n', "\n"]),
+      [["token", { content: "a" }]]
+    );
+  });
+
+  it("reassembles characters split across chunks", async () => {
+    const bytes = new TextEncoder().encode('data: {"content":"é"}\n\n');
+    const split = bytes.indexOf(0xc3) + 1;
+
+    assert.deepEqual(
+      await collect([bytes.slice(0, split), bytes.slice(split)]),
+      [["message", { content: "é" }]]
+    );
+  });
+
+  it("accepts CRLF line endings", async () => {
+    assert.deepEqual(
+      await collect(['event: error\r\ndata: {"code":"X"}\r\n\r\n']),
+      [["error", { code: "X" }]]
+    );
+  });
+
+  it("joins multi-line data and skips frames without data", async () => {
+    assert.deepEqual(
+      await collect([": keep-alive\n\n", 'data: {"a":\ndata: 1}\n\n']),
+      [["message", { a: 1 }]]
+    );
+  });
+
+  it("emits a final frame without a trailing blank line", async () => {
+    assert.deepEqual(await collect(['event: done\ndata: {"ok":1}']), [
+      ["done", { ok: 1 }],
+    ]);
+  });
+});
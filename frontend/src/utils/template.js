@@ -0,0 +1,39 @@
+/**
+ * Prompt template utilities
+ *
+ * Input Node text may contain {{name}} placeholders. The backend fills them
+ * in from the request's `variables`; the frontend only detects them. `\{{`
+ * stands for a literal `{{` and is not a placeholder.
+ */
+
+// A placeholder, capturing its name, or an escaped `\{{`
+const TOKEN_PATTERN = /\\\{\{|\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * List the variable names used in a piece of text, in order of first use
+ */
+export const extractVariables = (text) => {
+  if (typeof text !== "string") {
+    return [];
+  }
+
+  const names = new Set();
+  for (const [, name] of text.matchAll(TOKEN_PATTERN)) {
+    if (name !== undefined) {
+      names.add(name);
+    }
+  }
+  return [...names];
+};
+
+/**
+ * Pick the values for the given variable names
+ */
+export const pickVariables = (names, values) =>
+  Object.fromEntries(names.map((name) => [name, values[name] ?? ""]));
+
+/**
+ * List the given variable names that have no value yet
+ */
+export const findMissingVariables = (names, values) =>
+  names.filter((name) => !values[name]?.trim());
@@ -0,0 +1,31 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractVariables, findMissingVariables } from "./template.js";
+
+describe("extractVariables", () => {
+  it("lists each variable once, in order of first use", () => {
+    assert.deepEqual(
+      extractVariables("{{ topic }} for {{audience}} {{topic}}"),
+      ["topic", "audience"]
+    );
+  });
+
+  it("does not treat escaped braces as variables", () => {
+    const text = "Explain \\{{ name }} in Mustache to {{ audience }}";
+
+    assert.deepEqual(extractVariables(text), ["audience"]);
+    assert.deepEqual(extractVariables("Literal \\{{ name }}"), []);
+  });
+});
+
+describe("findMissingVariables", () => {
+  it("lists variables without a value", () => {
+    assert.deepEqual(
+      findMissingVariables(["topic", "audience"], {
+        topic: "SSE",
+        audience: " ",
+      }),
+      ["audience"]
+    );
+  });
+});
@@ -58,6 +58,112 @@ export const validatePromptResponsePair = (prompt, response) => {
   return { isValid: true, errors: [] };
 };
 
+/**
+ * Validate a System Prompt node's text
+ */
+export const validateSystemPrompt = (system) => {
+  const trimmedSystem = typeof system === "string" ? system.trim() : "";
+
+  if (trimmedSystem.length === 0) {
+    return { isValid: false, errors: ["System prompt cannot be empty"] };
+  }
+
+  if (trimmedSystem.length > 10000) {
+    return {
+      isValid: false,
+      errors: ["System prompt is too long (maximum 10,000 characters)"],
+    };
+  }
+
+  return { isValid: true, errors: [] };
+};
+
+/**
+ * Validate a chat reply. Short replies such as "ok" are fine in a
+ * conversation, so only emptiness and length are checked.
+ */
+export const validateChatMessage = (content) => {
+  const trimmedContent = typeof content === "string" ? content.trim() : "";
+
+  if (trimmedContent.length === 0) {
+    return { isValid: false, errors: ["Message cannot be empty"] };
+  }
+
+  if (trimmedContent.length > 10000) {
+    return {
+      isValid: false,
+      errors: ["Message is too long (maximum 10,000 characters)"],
+    };
+  }
+
+  return { isValid: true, errors: [] };
+};
+
+/**
+ * Validate a Result Node's model settings and convert the form values into
+ * request parameters. Empty fields are left out so the backend defaults apply.
+ */
+export const validateGenerationSettings = (settings = {}) => {
+  const params = {};
+  const isBlank = (value) =>
+    value === undefined || value === null || String(value).trim() === "";
+
+  if (!isBlank(settings.model)) {
+    params.model = String(settings.model).trim();
+  }
+
+  if (!isBlank(settings.temperature)) {
+    const temperature = Number(settings.temperature);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      return {
+        isValid: false,
+        errors: ["Temperature must be a number between 0 and 2"],
+      };
+    }
+    params.temperature = temperature;
+  }
+
+  if (!isBlank(settings.max_tokens)) {
+    const maxTokens = Number(settings.max_tokens);
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 32000) {
+      return {
+        isValid: false,
+        errors: ["Max tokens must be a whole number between 1 and 32000"],
+      };
+    }
+    params.max_tokens = maxTokens;
+  }
+
+  if (!isBlank(settings.top_p)) {
+    const topP = Number(settings.top_p);
+    if (!Number.isFinite(topP) || topP <= 0 || topP > 1) {
+      return {
+        isValid: false,
+        errors: ["Top P must be a number greater than 0 and at most 1"],
+      };
+    }
+    params.top_p = topP;
+  }
+
+  if (!isBlank(settings.stop)) {
+    const stop = String(settings.stop)
+      .split(",")
+      .map((sequence) => sequence.trim())
+      .filter(Boolean);
+    if (stop.length > 4) {
+      return {
+        isValid: false,
+        errors: ["Use at most 4 stop sequences"],
+      };
+    }
+    if (stop.length > 0) {
+      params.stop = stop;
+    }
+  }
+
+  return { isValid: true, errors: [], params };
+};
+
 export const sanitizeInput = (input) => {
   if (typeof input !== "string") {
     return "";
@@ -1,8 +1,15 @@
-import { defineConfig } from "vite";
+import process from "node:process";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import { parseConfig } from "./src/utils/parseConfig.js";
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [tailwindcss(), react()],
+export default defineConfig(({ mode }) => {
+  // Stop before building (or serving) with invalid VITE_* settings
+  parseConfig(loadEnv(mode, process.cwd(), "VITE_"));
+
+  return {
+    plugins: [tailwindcss(), react()],
+  };
 });